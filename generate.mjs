@@ -5,39 +5,38 @@
  * 
  * Generates beautifully framed App Store screenshots by automating YUZU AppScreen.
  * Reads configuration from config.json and processes raw screenshots into output directory.
- * 
- * Selectors discovered from YUZU AppScreen (https://github.com/YUZU-Hub/appscreen):
- * Verified via live exploration on 2026-02-16
- * 
- * - File upload: #file-input (hidden file input)
- * - Output size dropdown: #output-size-trigger, .device-option[data-device="iphone-6.9|iphone-6.7"]
- * - Tab navigation: button.tab[data-tab="background|screenshot|text"]
- * - Background type: #bg-type-selector button[data-type="gradient"]
- * - Gradient angle: #gradient-angle (range input)
- * - Gradient stops: #gradient-stops .gradient-stop input[type="color"]
- * - Device type: #device-type-selector button[data-type="2d"]
- * - Position presets: button.position-preset[data-preset="bleed-bottom"]
- * - Headline toggle: #headline-toggle (div.toggle)
- * - Headline text: #headline-text (textarea!)
- * - Headline font picker: #font-picker-trigger
- * - Font search: #font-search
- * - Headline weight: #headline-weight (select)
- * - Headline color: #headline-color (input color)
- * - Subheadline toggle: #subheadline-toggle
- * - Export button: #export-current
+ * This file is the command line; generation itself lives in lib/engine.mjs
+ * (importable as `generate()`) and the YUZU page automation in lib/yuzu.mjs.
  * 
  * Usage:
- *   node generate.mjs [--config path/to/config.json] [--yuzu-url http://localhost:8080]
+ *   node generate.mjs [--config path/to/config.json]
+ *                     [--yuzu-dir path/to/appscreen | --yuzu-url http://localhost:8080] [--allow-remote]
+ *                     [--renderer yuzu|native] [--force] [--concurrency 4]
+ *                     [--context-jobs 12] [--context-memory 1024]
+ *                     [--report report.json] [--junit junit.xml]
+ *                     [--artifacts-dir artifacts [--trace]]
+ *                     [--compare baseline-dir [--threshold 0.1] [--max-diff 0]
+ *                      [--compare-out compare-report] [--update-baseline]]
+ *                     [--watch [--preview-port 8787]]
+ *   node generate.mjs --validate [--config path/to/config.json]
+ *   node generate.mjs --verify [--config path/to/config.json]
+ *   node generate.mjs --export-titles titles.xlf|titles.csv [--source-locale en]
+ *   node generate.mjs --ingest dir|archive.zip [--pattern '{locale}-{index}'] [--locale en] [--dry-run]
  * 
  * @author appshot
  * @version 1.0.0
  */
 
-import { chromium } from 'playwright';
-import { readFileSync } from 'fs';
-import { mkdir, rename, access } from 'fs/promises';
-import { join, dirname } from 'path';
+import { readFileSync, watch } from 'fs';
+import { join, dirname, resolve, relative, basename } from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfig, buildJobs, createGenerator, verifyOutputs, DEFAULT_CONCURRENCY } from './lib/engine.mjs';
+import { DEFAULT_CONTEXT_JOBS, DEFAULT_CONTEXT_MEMORY_MB } from './lib/browser-pool.mjs';
+import { writeJsonReport, writeJUnitReport } from './lib/report.mjs';
+import { compareWithBaseline, updateBaseline, DEFAULT_DIFF_THRESHOLD, DEFAULT_MAX_DIFF_PERCENT } from './lib/compare.mjs';
+import { startPreviewServer, DEFAULT_PREVIEW_PORT } from './lib/preview-server.mjs';
+import { exportTitles } from './lib/translations.mjs';
+import { ingestScreenshots } from './lib/ingest.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -50,520 +49,504 @@ const configPath = args.includes('--config')
 const yuzuBaseUrl = args.includes('--yuzu-url')
   ? args[args.indexOf('--yuzu-url') + 1]
   : null; // Auto-detect
+const yuzuDir = args.includes('--yuzu-dir') // Serve a YUZU checkout or build without Docker
+  ? args[args.indexOf('--yuzu-dir') + 1]
+  : null;
+const allowRemote = args.includes('--allow-remote'); // Allow YUZU on another machine (e.g. the public demo)
+const renderer = args.includes('--renderer')
+  ? args[args.indexOf('--renderer') + 1]
+  : 'yuzu';
+const validateOnly = args.includes('--validate');
+const verifyOnly = args.includes('--verify'); // Check existing output, generate nothing
+const force = args.includes('--force'); // Ignore the cache and regenerate everything
+const concurrency = args.includes('--concurrency')
+  ? Number(args[args.indexOf('--concurrency') + 1])
+  : DEFAULT_CONCURRENCY;
+const contextJobs = args.includes('--context-jobs')
+  ? Number(args[args.indexOf('--context-jobs') + 1])
+  : DEFAULT_CONTEXT_JOBS;
+const reportPath = args.includes('--report')
+  ? resolve(args[args.indexOf('--report') + 1])
+  : null;
+const junitPath = args.includes('--junit')
+  ? resolve(args[args.indexOf('--junit') + 1])
+  : null;
+const artifactsDir = args.includes('--artifacts-dir')
+  ? resolve(args[args.indexOf('--artifacts-dir') + 1])
+  : null;
+const trace = args.includes('--trace'); // Also save a Playwright trace per failed attempt
+const contextMemoryMb = args.includes('--context-memory')
+  ? Number(args[args.indexOf('--context-memory') + 1])
+  : DEFAULT_CONTEXT_MEMORY_MB;
+const baselineDir = args.includes('--compare')
+  ? resolve(args[args.indexOf('--compare') + 1])
+  : null;
+const diffThreshold = args.includes('--threshold')
+  ? Number(args[args.indexOf('--threshold') + 1])
+  : DEFAULT_DIFF_THRESHOLD;
+const maxDiffPercent = args.includes('--max-diff')
+  ? Number(args[args.indexOf('--max-diff') + 1])
+  : DEFAULT_MAX_DIFF_PERCENT;
+const compareReportDir = args.includes('--compare-out')
+  ? resolve(args[args.indexOf('--compare-out') + 1])
+  : join(__dirname, 'compare-report');
+const updateBaselineAfter = args.includes('--update-baseline'); // Accept this run's images as the new baseline
+const watchMode = args.includes('--watch'); // Rebuild on config/raw changes and serve a live preview
+const exportTitlesPath = args.includes('--export-titles')
+  ? resolve(args[args.indexOf('--export-titles') + 1])
+  : null;
+const sourceLocale = args.includes('--source-locale')
+  ? args[args.indexOf('--source-locale') + 1]
+  : 'en';
+const ingestSource = args.includes('--ingest') // Sort exported screenshots into the raw folders
+  ? resolve(args[args.indexOf('--ingest') + 1])
+  : null;
+const ingestPatterns = args.includes('--pattern')
+  ? [args[args.indexOf('--pattern') + 1]]
+  : undefined;
+const ingestLocale = args.includes('--locale')
+  ? args[args.indexOf('--locale') + 1]
+  : null;
+const dryRun = args.includes('--dry-run'); // With --ingest: report what would be copied, copy nothing
+const previewPort = args.includes('--preview-port')
+  ? Number(args[args.indexOf('--preview-port') + 1])
+  : DEFAULT_PREVIEW_PORT;
+
+if (!['yuzu', 'native'].includes(renderer)) {
+  console.error(`✗ Unknown renderer "${renderer}" (expected "yuzu" or "native")`);
+  process.exit(1);
+}
+if (yuzuDir && yuzuBaseUrl) {
+  console.error('✗ --yuzu-dir and --yuzu-url can\'t be combined');
+  process.exit(1);
+}
+if (trace && !artifactsDir) {
+  console.error('✗ --trace needs --artifacts-dir to save traces into');
+  process.exit(1);
+}
+if (updateBaselineAfter && !baselineDir) {
+  console.error('✗ --update-baseline needs --compare with the baseline directory');
+  process.exit(1);
+}
+if (watchMode && baselineDir) {
+  console.error('✗ --watch can\'t be combined with --compare');
+  process.exit(1);
+}
+if (!(diffThreshold >= 0 && diffThreshold <= 1)) {
+  console.error('✗ --threshold must be a number from 0 to 1');
+  process.exit(1);
+}
+if (!(maxDiffPercent >= 0 && maxDiffPercent <= 100)) {
+  console.error('✗ --max-diff must be a percentage from 0 to 100');
+  process.exit(1);
+}
+for (const [flag, value] of [['--concurrency', concurrency], ['--context-jobs', contextJobs], ['--context-memory', contextMemoryMb], ['--preview-port', previewPort]]) {
+  if (!Number.isInteger(value) || value < 1) {
+    console.error(`✗ ${flag} must be a positive whole number`);
+    process.exit(1);
+  }
+}
 
-// Configuration
-const MAX_RETRIES = 3;
-const CANVAS_WAIT_MS = 2000; // Wait for canvas to render
-const DOWNLOAD_TIMEOUT_MS = 30000;
-const PER_SCREENSHOT_TIMEOUT_MS = 90000; // 90s max per screenshot before retry
+const WATCH_DEBOUNCE_MS = 300; // Editors often write a file in several steps
 
 // Load configuration
 console.log(`Loading configuration from: ${configPath}`);
-const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+let config;
+try {
+  config = JSON.parse(readFileSync(configPath, 'utf-8'));
+} catch (error) {
+  console.error(`✗ Could not read configuration: ${error.message}`);
+  process.exit(1);
+}
+
+let translationFiles = []; // Files read for titlesSource (watched in --watch mode)
 
 /**
- * Detect if YUZU is running locally or use live demo
+ * Prepare a config as read from disk (see loadConfig in lib/engine.mjs) and
+ * report imported titles and missing translations per locale.
+ * Returns { config, problems }.
  */
-async function detectYuzuUrl() {
-  if (yuzuBaseUrl) {
-    console.log(`Using YUZU URL from CLI: ${yuzuBaseUrl}`);
-    return yuzuBaseUrl;
-  }
+function importTitles(rawConfig, { checkRawFiles = false } = {}) {
+  const loaded = loadConfig(rawConfig, { baseDir: __dirname, renderer, checkRawFiles });
+  translationFiles = loaded.translationFiles;
 
-  // Try localhost first
-  try {
-    const response = await fetch('http://localhost:8080', { 
-      method: 'HEAD',
-      signal: AbortSignal.timeout(3000)
-    });
-    if (response.ok) {
-      console.log('✓ Using local YUZU instance at http://localhost:8080');
-      return 'http://localhost:8080';
+  // Without any file read, titlesSource is reported as a config problem instead
+  if (loaded.translationFiles.length > 0) {
+    console.log(`ℹ Imported ${loaded.importedTitles} title(s) from ${loaded.translationFiles.length} translation file(s)`);
+  }
+  if (loaded.missingTranslations.length > 0) {
+    console.log('⚠ Missing translations (skipped; add a locale fallback to fill them):');
+    for (const { locale, ids } of loaded.missingTranslations) {
+      console.log(`  ${locale}: ${ids.length} screenshot(s) - ${ids.join(', ')}`);
     }
-  } catch (err) {
-    // Localhost not available
   }
-
-  // Fallback to live demo
-  console.log('⚠ Local YUZU not available, using live demo: https://yuzu-hub.github.io/appscreen/');
-  return 'https://yuzu-hub.github.io/appscreen/';
+  return { config: loaded.config, problems: loaded.problems };
 }
 
 /**
- * Create output directory if it doesn't exist
+ * Print config problems as "path: message" lines
  */
-async function ensureDir(path) {
-  try {
-    await access(path);
-  } catch {
-    await mkdir(path, { recursive: true });
+function printConfigProblems(problems) {
+  for (const { path, message } of problems) {
+    console.error(`  ✗ ${path || '(root)'}: ${message}`);
   }
 }
 
 /**
- * Sanitize size name for filesystem (replace " with _)
+ * Console prefix for one image: "  [locale] [size] id"
  */
-function sanitizeSize(sizeName) {
-  return sizeName.replace(/"/g, '_').replace(/\s+/g, '_');
+function logPrefix({ locale, size, id }) {
+  return `  [${locale}] [${size}] ${id}`;
 }
 
 /**
- * Get device selector attribute for YUZU size picker
+ * Generator options for the command line flags, with callbacks that print
+ * each image's progress
  */
-function getDeviceSelectorAttr(sizeName) {
-  // Map "iPhone 6.9"" to "iphone-6.9"
-  return sizeName.toLowerCase().replace(/\s+/g, '-').replace(/"/g, '');
+function generatorOptions() {
+  return {
+    baseDir: __dirname,
+    renderer,
+    yuzuDir,
+    yuzuUrl: yuzuBaseUrl,
+    allowRemote,
+    concurrency,
+    contextJobs,
+    contextMemoryMb,
+    force,
+    artifactsDir,
+    trace,
+    onJobStart: job => console.log(`${logPrefix(job)} - Processing... (attempt ${job.attempt}/${job.maxAttempts})`),
+    onRetry: job => {
+      console.error(`${logPrefix(job)} - ✗ Error: ${job.error}`);
+      console.log(`${logPrefix(job)} - Retrying...`);
+    },
+    onJobComplete: entry => {
+      const panorama = entry.panorama ? `panorama "${entry.panorama}"` : null;
+      if (entry.status === 'cached') {
+        console.log(`${logPrefix(entry)} - ✓ Unchanged (cached${panorama ? `, ${panorama}` : ''})`);
+      } else if (entry.status === 'generated') {
+        console.log(`${logPrefix(entry)} - ✓ Done${panorama ? ` (${panorama})` : ''}${formatTextFit(entry.textFit)}`);
+      } else {
+        console.error(`${logPrefix(entry)} - ✗ ${entry.error}`);
+      }
+    },
+    onMessage: ({ level, message, ...job }) => {
+      const icon = level === 'warning' ? '⚠' : 'ℹ';
+      console.log(job.id ? `${logPrefix(job)} - ${icon} ${message}` : `    ${icon} ${message}`);
+    }
+  };
 }
 
 /**
- * Wait for canvas to finish rendering
- * YUZU uses HTML Canvas which requires time to paint after settings change
+ * Verify every image the config would generate, without generating anything
+ * (--verify). Exits with 1 if any image is missing or fails a check.
  */
-async function waitForCanvasRender(page) {
-  // Strategy: Fixed delay + check if canvas has content
-  await page.waitForTimeout(CANVAS_WAIT_MS);
-  
-  // Optional: Verify canvas has non-blank content
-  const hasContent = await page.evaluate(() => {
-    const canvas = document.getElementById('preview-canvas');
-    if (!canvas) return false;
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    // Check if at least some pixels are non-transparent
-    for (let i = 3; i < imageData.data.length; i += 4) {
-      if (imageData.data[i] > 0) return true;
-    }
-    return false;
-  });
-  
-  if (!hasContent) {
-    console.warn('    ⚠ Canvas appears blank, waiting additional time...');
-    await page.waitForTimeout(1000);
+async function verifyAll() {
+  const { outputDir, checked, failures } = await verifyOutputs(config, { baseDir: __dirname });
+  for (const failure of failures) {
+    console.error(`${logPrefix(failure)} (${failure.path}) - ✗ ${failure.problems.join(', ')}`);
+  }
+  if (failures.length > 0) {
+    console.error(`\n✗ ${failures.length}/${checked} image(s) failed verification in ${outputDir}`);
+    process.exit(1);
   }
+  console.log(`✓ All ${checked} image(s) in ${outputDir} passed verification`);
 }
 
 /**
- * Remove all existing screenshots from YUZU's sidebar list.
- * YUZU persists its project state in IndexedDB across reloads, so old screenshots
- * accumulate and the wrong one can end up selected when we export.
- * Clearing the list ensures only our freshly-uploaded image is present.
+ * Copy a test run's screenshots into the raw folders (--ingest), then list
+ * what didn't match and which raw images are still missing. Exits with 1 if
+ * any file didn't match.
  */
-async function clearYuzuScreenshots(page) {
-  let attempts = 0;
-  while (attempts < 40) {
-    const items = await page.locator('.screenshot-item:not(.upload-item)').all();
-    if (items.length === 0) break;
-    try {
-      // Open the context menu for the first item
-      const menuBtn = items[0].locator('.screenshot-menu-btn');
-      await menuBtn.click({ timeout: 2000 });
-      await page.waitForTimeout(150);
-      // Click "Remove"
-      await page.click('.screenshot-menu-item.screenshot-delete', { timeout: 2000 });
-      await page.waitForTimeout(150);
-    } catch {
-      break; // No more items or menu not found
-    }
-    attempts++;
+async function ingestRaws() {
+  let result;
+  try {
+    result = await ingestScreenshots(config, {
+      source: ingestSource,
+      baseDir: __dirname,
+      patterns: ingestPatterns,
+      locale: ingestLocale,
+      dryRun
+    });
+  } catch (error) {
+    console.error(`✗ Could not ingest ${ingestSource}: ${error.message}`);
+    process.exit(1);
   }
-}
-
-async function uploadScreenshot(page, screenshotPath) {
-  // Clear any previously loaded screenshots so only ours is in the list.
-  // This prevents YUZU from exporting the wrong (previously selected) screenshot.
-  await clearYuzuScreenshots(page);
+  const { matched, unmatched, missing } = result;
   
-  const fileInput = page.locator('#file-input');
-  await fileInput.setInputFiles(screenshotPath);
-  await page.waitForTimeout(500);
+  for (const file of matched) {
+    console.log(`${dryRun ? '↷' : '✓'} ${file.source} → ${file.target}`);
+  }
+  for (const file of unmatched) {
+    console.error(`✗ ${file.source}: ${file.reason}`);
+  }
+  for (const raw of missing) {
+    console.warn(`⚠ No raw image for ${raw.id}: ${raw.path}`);
+  }
   
-  // After upload, ensure the newly added item is selected.
-  // (With a clean list there's only one item, but click anyway to be safe.)
-  try {
-    const item = page.locator('.screenshot-item:not(.upload-item)').first();
-    await item.click({ timeout: 2000 });
-    await page.waitForTimeout(200);
-  } catch {}
+  const verb = dryRun ? 'Would copy' : 'Copied';
+  console.log(`\n${verb} ${matched.length} screenshot(s), ${unmatched.length} unmatched, ${missing.length} raw image(s) missing`);
+  if (unmatched.length > 0) process.exit(1);
 }
 
 /**
- * Select output size in YUZU
+ * Console description of a failed comparison
  */
-async function selectOutputSize(page, size) {
-  const deviceAttr = size.yuzuDevice || getDeviceSelectorAttr(size.device);
-  
-  // Open size dropdown
-  await page.click('#output-size-trigger');
-  await page.waitForTimeout(300);
-  
-  if (deviceAttr === 'custom') {
-    // Select custom size option
-    await page.click('.device-option[data-device="custom"]');
-    await page.waitForTimeout(500);
-    
-    // Wait for custom size inputs to appear (#custom-size-inputs container)
-    await page.waitForSelector('#custom-size-inputs.visible', { state: 'visible', timeout: 5000 });
-    
-    // Fill custom width and height using the discovered YUZU selectors
-    await page.fill('#custom-width', size.width.toString());
-    await page.waitForTimeout(200);
-    await page.fill('#custom-height', size.height.toString());
-    await page.waitForTimeout(500);
-    
-    // Trigger change events to ensure YUZU picks up the values
-    await page.evaluate(() => {
-      const w = document.getElementById('custom-width');
-      const h = document.getElementById('custom-height');
-      w.dispatchEvent(new Event('input', { bubbles: true }));
-      w.dispatchEvent(new Event('change', { bubbles: true }));
-      h.dispatchEvent(new Event('input', { bubbles: true }));
-      h.dispatchEvent(new Event('change', { bubbles: true }));
-    });
-    await page.waitForTimeout(500);
-  } else {
-    // Click the device option
-    await page.click(`.device-option[data-device="${deviceAttr}"]`);
-    await page.waitForTimeout(500);
+function describeComparison(result) {
+  switch (result.status) {
+    case 'changed': return `${result.diffPercent.toFixed(3)}% of pixels changed`;
+    case 'resized': return 'dimensions differ from the baseline';
+    case 'new': return 'no baseline image';
+    default: return 'no image generated';
   }
 }
 
 /**
- * Configure Background tab settings
+ * Compare this run's images with the baseline tree (--compare), print what
+ * changed and write the HTML report. With --update-baseline the images are
+ * then copied over the baseline. Returns true if any image changed, lost its
+ * baseline or is missing (and the baseline was not updated).
  */
-async function configureBackground(page, design) {
-  // Switch to Background tab
-  await page.click('button.tab[data-tab="background"]');
-  await page.waitForTimeout(300);
-  
-  // Select gradient type
-  await page.click('#bg-type-selector button[data-type="gradient"]');
-  await page.waitForTimeout(300);
-  
-  // Set gradient angle
-  await page.fill('#gradient-angle', design.background.angle.toString());
-  await page.waitForTimeout(200);
-  
-  // Set gradient colors
-  const stops = await page.locator('#gradient-stops .gradient-stop').all();
-  if (stops.length >= 2) {
-    // First color stop
-    const color1Input = stops[0].locator('input[type="color"]');
-    await color1Input.fill(design.background.color1);
-    
-    // Second color stop
-    const color2Input = stops[1].locator('input[type="color"]');
-    await color2Input.fill(design.background.color2);
-    
-    await page.waitForTimeout(200);
+async function compareOutputs(entries, outputDir) {
+  const images = entries.map(entry => ({
+    relPath: relative(outputDir, join(__dirname, entry.outputPath)),
+    label: `[${entry.locale}] [${entry.size}] ${entry.id}`
+  }));
+  const { results, reportPath } = await compareWithBaseline(images, {
+    outputDir,
+    baselineDir,
+    reportDir: compareReportDir,
+    threshold: diffThreshold,
+    maxDiffPercent
+  });
+
+  const regressions = results.filter(result => result.status !== 'unchanged');
+  console.log('\n' + '═'.repeat(50));
+  console.log('  VISUAL COMPARISON');
+  console.log('═'.repeat(50));
+  console.log(`  Baseline: ${baselineDir}`);
+  for (const result of regressions) {
+    console.log(`  ✗ ${result.label} - ${describeComparison(result)}`);
+  }
+  console.log(`  ✓ Unchanged: ${results.length - regressions.length}/${results.length}`);
+  console.log(`  Report written to ${reportPath}`);
+
+  if (updateBaselineAfter) {
+    const copied = await updateBaseline(images, { outputDir, baselineDir });
+    console.log(`  ℹ --update-baseline: copied ${copied} image(s) to ${baselineDir}`);
+    return false;
   }
+  return regressions.length > 0;
 }
 
 /**
- * Configure Device tab settings
+ * Write the inline titles and subtitles as XLIFF or CSV (--export-titles)
  */
-async function configureDevice(page, design, size) {
-  // Switch to Device tab (labeled "Screenshot" in YUZU)
-  await page.click('button.tab[data-tab="screenshot"]');
-  await page.waitForTimeout(500);
-  
-  // Wait for tab content to be visible
-  await page.waitForSelector('#device-type-selector', { state: 'visible', timeout: 5000 });
-  
-  // Select 2D device type
-  await page.click('#device-type-selector button[data-type="2d"]');
-  await page.waitForTimeout(500);
-  
-  // Click "Bleed Bottom" preset (expand dropdown first)
-  try {
-    await page.click('#position-preset-trigger');
-    await page.waitForSelector('#position-preset-content', { state: 'visible', timeout: 3000 });
-    await page.click('button.position-preset[data-preset="bleed-bottom"]');
-    await page.waitForTimeout(300);
-  } catch (err) {
-    console.log('    ⚠ Position preset not available (using default)');
+function exportInlineTitles() {
+  if (!Array.isArray(config.screenshots)) {
+    console.error('✗ The configuration has no screenshots to export titles from');
+    process.exit(1);
   }
-  
-  // Set corner radius (per-size override or design default)
-  const cornerRadius = size.cornerRadius ?? design.device.cornerRadius ?? 24;
-  await page.evaluate((val) => {
-    const el = document.getElementById('corner-radius');
-    el.value = val; el.dispatchEvent(new Event('input', { bubbles: true }));
-  }, cornerRadius);
-  await page.waitForTimeout(200);
-  
-  // Configure border if specified for this size
-  if (size.border) {
-    // Always enable border toggle (it resets to disabled after page reload)
-    const frameToggle = page.locator('#frame-toggle');
-    await frameToggle.click();
-    await page.waitForTimeout(500);
-    // Verify it's now active; if it was already active, clicking toggled it off — click again
-    const borderActive = await frameToggle.evaluate(el => el.classList.contains('active'));
-    if (!borderActive) {
-      await frameToggle.click();
-      await page.waitForTimeout(500);
-    }
-    // Set border properties via JavaScript to avoid visibility issues with collapsed sections
-    await page.evaluate(({ width, color, opacity }) => {
-      const wEl = document.getElementById('frame-width');
-      if (wEl) { wEl.value = width; wEl.dispatchEvent(new Event('input', { bubbles: true })); }
-      const cEl = document.getElementById('frame-color');
-      if (cEl) { cEl.value = color; cEl.dispatchEvent(new Event('input', { bubbles: true })); }
-      const oEl = document.getElementById('frame-opacity');
-      if (oEl) { oEl.value = opacity; oEl.dispatchEvent(new Event('input', { bubbles: true })); }
-    }, { width: size.border.width, color: size.border.color, opacity: size.border.opacity ?? 100 });
-    await page.waitForTimeout(200);
+  try {
+    const { format, strings, locales } = exportTitles(config, exportTitlesPath, { sourceLocale });
+    console.log(`✓ Exported ${strings} string(s) in ${locales.length} locale(s) as ${format.toUpperCase()} to ${exportTitlesPath}`);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
   }
 }
 
 /**
- * Configure Text tab settings
+ * Short log suffix describing an auto-fitted headline
  */
-async function configureText(page, design, titleText) {
-  // Switch to Text tab
-  await page.click('button.tab[data-tab="text"]');
-  await page.waitForTimeout(300);
-  
-  // Enable headline if not already enabled
-  const headlineToggle = page.locator('#headline-toggle');
-  const isEnabled = await headlineToggle.evaluate(el => el.classList.contains('active'));
-  if (!isEnabled) {
-    await headlineToggle.click();
-    await page.waitForTimeout(500);
-  }
-  
-  // Set headline text (using textarea, not input!)
-  await page.fill('#headline-text', titleText);
-  await page.waitForTimeout(300);
-  
-  // Set font using the font picker
-  const font = design.text.font || 'Open Sans';
-  await page.click('#font-picker-trigger');
-  await page.waitForTimeout(200);
-  
-  await page.fill('#font-search', font);
-  await page.waitForTimeout(300);
-  
-  try {
-    await page.click(`.font-option:has-text("${font}")`, { timeout: 3000 });
-    await page.waitForTimeout(200);
-  } catch (error) {
-    console.warn(`    ⚠ Could not find font "${font}", using default`);
+function formatTextFit(textFit) {
+  if (!textFit || (textFit.fits && !textFit.shrunk)) return '';
+  return textFit.fits
+    ? ` (headline shrunk to ${textFit.fontSize}px)`
+    : ` ⚠ headline overflows at ${textFit.fontSize}px (${textFit.lines} lines)`;
+}
+
+/**
+ * Print every shrunk or overflowing headline so translators can fix copy
+ */
+function printTextFitReport(textFits) {
+  console.log('\n' + '═'.repeat(50));
+  console.log('  TEXT FIT REPORT');
+  console.log('═'.repeat(50));
+  const sorted = [...textFits].sort((a, b) =>
+    a.id.localeCompare(b.id) || a.locale.localeCompare(b.locale) || a.size.localeCompare(b.size));
+  for (const fit of sorted) {
+    const icon = fit.status === 'overflow' ? '✗' : '↓';
+    const action = fit.status === 'overflow' ? 'overflows at' : 'shrunk to';
+    console.log(`  ${icon} ${fit.id} [${fit.locale}] [${fit.size}] - ${action} ${fit.fontSize}px, ${fit.lines} line(s)`);
   }
-  
-  // Set font weight
-  const weight = design.text.headlineWeight || '900';
-  await page.selectOption('#headline-weight', weight);
-  await page.waitForTimeout(200);
-  
-  // Set text color
-  await page.fill('#headline-color', design.text.headlineColor);
-  await page.waitForTimeout(200);
-  
-  // Set text vertical offset
-  const textOffsetY = design.text.verticalOffset ?? 12;
-  await page.evaluate((val) => {
-    const el = document.getElementById('text-offset-y');
-    el.value = val; el.dispatchEvent(new Event('input', { bubbles: true }));
-  }, textOffsetY);
-  await page.waitForTimeout(200);
-  
-  // Disable subheadline if enabled (as per design config)
-  const subheadlineToggle = page.locator('#subheadline-toggle');
-  const subEnabled = await subheadlineToggle.evaluate(el => el.classList.contains('active'));
-  if (subEnabled) {
-    await subheadlineToggle.click();
-    await page.waitForTimeout(300);
+}
+
+/**
+ * One console line per failed image
+ */
+function printFailures(failures) {
+  for (const failure of failures) {
+    console.log(`  ✗ [${failure.locale}] [${failure.size}] ${failure.id}: ${failure.error?.split('\n')[0]}`);
   }
-  
-  await waitForCanvasRender(page);
 }
 
 /**
- * Export/download the framed screenshot
+ * Raw directories the config reads from (sizes, composite devices and
+ * panorama elements), relative to the project root
  */
-async function exportScreenshot(page, outputPath) {
-  await ensureDir(dirname(outputPath));
-  
-  // Set up download listener
-  const downloadPromise = page.waitForEvent('download', { timeout: DOWNLOAD_TIMEOUT_MS });
-  
-  // Click export button
-  await page.click('#export-current');
-  
-  // Wait for download
-  const download = await downloadPromise;
-  
-  // Save to output path
-  await download.saveAs(outputPath);
+function rawDirsOf(config) {
+  const dirs = new Set(config.output.sizes.map(size => size.rawDir || 'raw'));
+  for (const entry of [...config.screenshots.flatMap(s => s.devices ?? []), ...(config.panoramas ?? []).flatMap(p => p.elements ?? [])]) {
+    if (entry.rawDir) dirs.add(entry.rawDir);
+  }
+  return [...dirs].sort();
 }
 
 /**
- * Process a single screenshot with retry logic.
- * Configures ALL settings per screenshot since YUZU resets device position on upload.
+ * Watch the config file, its translation files and the raw directories;
+ * `onChange` runs once edits settle. Returns a function that stops watching.
  */
-async function processScreenshot(page, screenshot, locale, size, design, outputDir, attempt = 1) {
-  const screenshotId = screenshot.id;
-  const title = screenshot.titles[locale];
-  const sizeRawDir = join(__dirname, size.rawDir || 'raw');
-  const rawPath = join(sizeRawDir, locale, `${screenshotId}.png`);
-  const sizeFolder = sanitizeSize(size.device);
-  const outputPath = join(outputDir, locale, sizeFolder, `${screenshotId}.png`);
-  
-  const logPrefix = `  [${locale}] [${size.device}] ${screenshotId}`;
-  
-  try {
-    // Check if raw screenshot exists
+function watchInputs(onChange) {
+  let timer = null;
+  const trigger = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, WATCH_DEBOUNCE_MS);
+  };
+
+  // Watch the config's directory: editors often replace the file on save
+  const configFile = basename(configPath);
+  const watchers = [watch(dirname(resolve(configPath)), (event, filename) => {
+    if (filename === configFile) trigger();
+  })];
+  for (const file of translationFiles) {
+    watchers.push(watch(dirname(file), (event, filename) => {
+      if (filename === basename(file)) trigger();
+    }));
+  }
+  for (const rawDir of rawDirsOf(config)) {
     try {
-      await access(rawPath);
+      watchers.push(watch(join(__dirname, rawDir), { recursive: true }, trigger));
     } catch {
-      console.error(`${logPrefix} - ✗ Raw screenshot not found: ${rawPath}`);
-      return false;
-    }
-    
-    console.log(`${logPrefix} - Processing... (attempt ${attempt}/${MAX_RETRIES})`);
-    
-    // Reload page to clear YUZU's screenshot list (prevents OOM from accumulation)
-    await page.reload({ waitUntil: 'networkidle' });
-    await page.waitForTimeout(500);
-    await selectOutputSize(page, size);
-    
-    // Upload screenshot
-    await uploadScreenshot(page, rawPath);
-    
-    // Configure all settings (YUZU resets device position on each upload)
-    await configureBackground(page, design);
-    await configureDevice(page, design, size);
-    await configureText(page, design, title);
-    
-    // Export
-    await exportScreenshot(page, outputPath);
-    
-    console.log(`${logPrefix} - ✓ Done`);
-    return true;
-    
-  } catch (error) {
-    console.error(`${logPrefix} - ✗ Error: ${error.message}`);
-    
-    if (attempt < MAX_RETRIES) {
-      console.log(`${logPrefix} - Retrying...`);
-      await page.waitForTimeout(1500);
-      // Reload page to clear state on retry
-      await page.reload({ waitUntil: 'networkidle' });
-      await page.waitForTimeout(1000);
-      return processScreenshot(page, screenshot, locale, size, design, outputDir, attempt + 1);
-    } else {
-      console.error(`${logPrefix} - ✗ Failed after ${MAX_RETRIES} attempts`);
-      return false;
+      console.log(`  ⚠ Not watching ${rawDir}/ (directory not found)`);
     }
   }
+  for (const watcher of watchers) {
+    watcher.on('error', error => console.error(`  ⚠ Watch error: ${error.message}`));
+  }
+
+  return () => {
+    clearTimeout(timer);
+    for (const watcher of watchers) watcher.close();
+  };
 }
 
 /**
- * Process all screenshots for a single output size
+ * Preview server entries for a run's report entries
  */
-async function processSize(size, yuzuUrl, config) {
-  const outputDir = join(__dirname, config.output.path);
-  let successCount = 0;
-  let failureCount = 0;
-  let browser = null;
-  
-  // Launch/relaunch browser for this size
-  async function launchBrowser() {
-    try { if (browser) await browser.close(); } catch {}
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--disable-web-security']
+function previewImages(entries, outputDir) {
+  return entries.map(entry => ({
+    relPath: relative(outputDir, join(__dirname, entry.outputPath)),
+    locale: entry.locale,
+    size: entry.size,
+    id: entry.id,
+    status: entry.status,
+    error: entry.error?.split('\n')[0]
+  }));
+}
+
+
+/**
+ * --watch: serve a live preview and rebuild whenever the config or a raw
+ * screenshot changes, until Ctrl+C. The cache limits each rebuild to the
+ * images whose inputs changed; the generator keeps its browser pool open in
+ * between.
+ */
+async function watchAndPreview(generator, result) {
+  let outputDir = result.outputDir;
+  const preview = await startPreviewServer({
+    port: previewPort,
+    outputDir,
+    images: previewImages(result.entries, outputDir)
+  });
+
+  let building = false;
+  let pending = false;
+  let stopWatching = watchInputs(rebuild);
+
+  async function rebuildOnce() {
+    let rawConfig;
+    try {
+      rawConfig = JSON.parse(readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      console.error(`\n✗ Could not read configuration: ${error.message}`);
+      return;
+    }
+    const previousInputs = [...rawDirsOf(config), ...translationFiles].join('\n');
+    const { config: nextConfig, problems } = importTitles(rawConfig);
+    if (problems.length > 0) {
+      console.error(`\n✗ Invalid configuration (${problems.length} problem(s)), waiting for the next change:`);
+      printConfigProblems(problems);
+      return;
+    }
+
+    const inputsChanged = [...rawDirsOf(nextConfig), ...translationFiles].join('\n') !== previousInputs;
+    config = nextConfig;
+    if (inputsChanged) {
+      stopWatching();
+      stopWatching = watchInputs(rebuild);
+    }
+
+    console.log('\n↻ Change detected, rebuilding...');
+    // --force applies to the first build only
+    const rebuilt = await generator.run(config, { force: false });
+    outputDir = rebuilt.outputDir;
+
+    const generated = rebuilt.entries.filter(e => e.status === 'generated');
+    const failures = rebuilt.entries.filter(e => e.status === 'failed');
+    const seconds = (rebuilt.durationMs / 1000).toFixed(1);
+    console.log(`  ✓ Rebuilt ${generated.length}, unchanged ${rebuilt.summary.cached}, failed ${failures.length} (${seconds}s)`);
+    printFailures(failures);
+    preview.update({
+      outputDir,
+      images: previewImages(rebuilt.entries, outputDir),
+      changed: previewImages(generated, outputDir).map(image => image.relPath)
     });
   }
-  
-  // Helper to create a fresh browser context + page with full settings configured
-  async function createFreshPage() {
+
+  async function rebuild() {
+    // A change during a rebuild queues exactly one more
+    if (building) {
+      pending = true;
+      return;
+    }
+    building = true;
     try {
-      const context = await browser.newContext({
-        viewport: { width: 1920, height: 1080 },
-        permissions: ['clipboard-read', 'clipboard-write']
-      });
-      const page = await context.newPage();
-      await page.goto(yuzuUrl, { waitUntil: 'networkidle' });
-      await page.waitForTimeout(1000);
-      await selectOutputSize(page, size);
-      return { context, page };
-    } catch (err) {
-      // Browser died — relaunch
-      console.log(`    ℹ Browser crashed, relaunching...`);
-      await launchBrowser();
-      const context = await browser.newContext({
-        viewport: { width: 1920, height: 1080 },
-        permissions: ['clipboard-read', 'clipboard-write']
-      });
-      const page = await context.newPage();
-      await page.goto(yuzuUrl, { waitUntil: 'networkidle' });
-      await page.waitForTimeout(1000);
-      await selectOutputSize(page, size);
-      return { context, page };
+      await rebuildOnce();
+    } catch (error) {
+      console.error(`  ✗ Rebuild failed: ${error.message}`);
     }
-  }
-  
-  await launchBrowser();
-  const isIpad = size.device.toLowerCase().includes('ipad');
-  const CONTEXT_REFRESH_INTERVAL = isIpad ? 6 : 12;
-  
-  try {
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`Output Size: ${size.device} (${size.width}×${size.height})`);
-    console.log('='.repeat(50));
-    
-    let { context, page } = await createFreshPage();
-    console.log(`\nNavigating to YUZU...`);
-    let processedInContext = 0;
-    
-    // Process each screenshot
-    for (const screenshot of config.screenshots) {
-      // Process each locale
-      for (const locale of Object.keys(screenshot.titles)) {
-        // Refresh context periodically to prevent memory/state buildup
-        if (processedInContext >= CONTEXT_REFRESH_INTERVAL) {
-          console.log(`    ℹ Refreshing browser context (after ${processedInContext} screenshots)...`);
-          try { await context.close(); } catch {}
-          ({ context, page } = await createFreshPage());
-          processedInContext = 0;
-        }
-
-        let success = false;
-        try {
-          success = await processScreenshot(page, screenshot, locale, size, config.design, outputDir);
-        } catch (fatalError) {
-          // Browser context or browser died — recreate and retry
-          console.log(`    ⚠ ${fatalError.message}, recovering...`);
-          try { await context.close(); } catch {}
-          ({ context, page } = await createFreshPage());
-          processedInContext = 0;
-          try {
-            success = await processScreenshot(page, screenshot, locale, size, config.design, outputDir);
-          } catch (retryError) {
-            console.error(`    ✗ ${retryError.message}, skipping`);
-            success = false;
-          }
-        }
-        
-        processedInContext++;
-        if (success) {
-          successCount++;
-        } else {
-          failureCount++;
-        }
-      }
+    building = false;
+    if (pending) {
+      pending = false;
+      await rebuild();
     }
-    
-    // Close context after processing this size
-    try { await context.close(); } catch {}
-    
-  } finally {
-    try { await browser.close(); } catch {}
   }
-  
-  return { successCount, failureCount };
+
+  const watched = [
+    relative(process.cwd(), resolve(configPath)) || configPath,
+    ...(translationFiles.length > 0 ? [`${translationFiles.length} translation file(s)`] : []),
+    ...rawDirsOf(config).map(dir => `${dir}/`)
+  ];
+  console.log(`\nℹ Watching ${watched.join(', ')}`);
+  console.log(`  Preview: ${preview.url} (Ctrl+C to stop)`);
+  await new Promise(done => process.once('SIGINT', done));
+
+  console.log('\nStopping...');
+  stopWatching();
+  await preview.close();
+  await generator.close();
 }
 
 /**
@@ -575,55 +558,131 @@ async function main() {
   console.log('  YUZU AppScreen Automation Engine');
   console.log('═══════════════════════════════════════════════════\n');
   
-  // Detect YUZU URL
-  const yuzuUrl = await detectYuzuUrl();
+  // Hand the inline titles to translators (before anything is imported)
+  if (exportTitlesPath) {
+    exportInlineTitles();
+    return;
+  }
+  
+  // Titles from translation files count as if they were written inline.
+  // Validate before any browser launches: --validate also checks raw files
+  // and stops here; a normal run aborts only on config errors.
+  const imported = importTitles(config, { checkRawFiles: validateOnly });
+  config = imported.config;
+  const { problems } = imported;
+  if (validateOnly) {
+    if (problems.length > 0) {
+      console.error(`✗ Found ${problems.length} problem(s) in ${configPath}:`);
+      printConfigProblems(problems);
+      process.exit(1);
+    }
+    console.log('✓ Configuration is valid and all raw screenshots are present');
+    return;
+  }
+  if (problems.length > 0) {
+    console.error(`✗ Invalid configuration (${problems.length} problem(s)):`);
+    printConfigProblems(problems);
+    console.error('\nRun with --validate for a full preflight check.');
+    process.exit(1);
+  }
+  
+  if (verifyOnly) {
+    await verifyAll();
+    return;
+  }
+  
+  if (ingestSource) {
+    await ingestRaws();
+    return;
+  }
+  
+  // The native renderer doesn't need YUZU at all
+  if (renderer === 'native') {
+    console.log('✓ Using native renderer (YUZU not required)');
+  }
   
-  // Calculate total screenshots
-  const totalScreenshots = config.screenshots.length * 
-                          Object.keys(config.screenshots[0].titles).length * 
-                          config.output.sizes.length;
+  // Calculate total screenshots (every screenshot's own locales at each size that renders it)
+  const jobs = buildJobs(config, { renderer });
+  const localeCount = new Set(config.screenshots.flatMap(s => Object.keys(s.titles))).size;
+  const totalScreenshots = jobs.reduce((sum, job) => sum + job.count, 0);
   console.log(`Configuration loaded:`);
   console.log(`  Screenshots: ${config.screenshots.length}`);
-  console.log(`  Locales: ${Object.keys(config.screenshots[0].titles).length}`);
+  console.log(`  Locales: ${localeCount}`);
   console.log(`  Sizes: ${config.output.sizes.length}`);
   console.log(`  Total to generate: ${totalScreenshots}\n`);
   
-  // Split sizes: run iPhones in parallel, iPads sequentially (large images need more memory)
-  const iphoneSizes = config.output.sizes.filter(s => s.device.toLowerCase().includes('iphone'));
-  const ipadSizes = config.output.sizes.filter(s => !s.device.toLowerCase().includes('iphone'));
-  const sizeResults = [];
-  
-  if (iphoneSizes.length > 0) {
-    console.log(`Wave 1 (parallel): ${iphoneSizes.map(s => s.device).join(', ')}...\n`);
-    const iphoneResults = await Promise.all(
-      iphoneSizes.map(size => processSize(size, yuzuUrl, config))
-    );
-    sizeResults.push(...iphoneResults);
+  if (force) {
+    console.log('ℹ --force: ignoring cached results\n');
   }
   
-  for (const size of ipadSizes) {
-    console.log(`\nWave (sequential): ${size.device}...\n`);
-    const result = await processSize(size, yuzuUrl, config);
-    sizeResults.push(result);
+  // Every job goes through one queue; browser jobs share a pool of contexts
+  const generator = createGenerator(generatorOptions());
+  console.log(`Running ${jobs.length} job(s) on ${Math.min(concurrency, jobs.length)} worker(s)...\n`);
+  let result;
+  try {
+    result = await generator.run(config);
+  } catch (error) {
+    // A refused or outdated YUZU stops the run with its own explanation
+    await generator.close();
+    console.error(`\n✗ ${error.message}`);
+    process.exit(1);
+  }
+  if (!watchMode) {
+    await generator.close();
+  }
+  const { entries, textFits, summary } = result;
+  const failures = entries.filter(e => e.status === 'failed');
+  
+  // Text fit report
+  const overflowCount = textFits.filter(f => f.status === 'overflow').length;
+  if (textFits.length > 0) {
+    printTextFitReport(textFits);
+    console.log(`  Report written to ${result.textFitReportPath}`);
   }
   
-  // Aggregate results
-  const successCount = sizeResults.reduce((sum, r) => sum + r.successCount, 0);
-  const failureCount = sizeResults.reduce((sum, r) => sum + r.failureCount, 0);
+  // Run reports for CI
+  if (reportPath) {
+    await writeJsonReport(reportPath, result);
+    console.log(`\n  Run report written to ${reportPath}`);
+  }
+  if (junitPath) {
+    await writeJUnitReport(junitPath, result);
+    console.log(`  JUnit report written to ${junitPath}`);
+  }
   
   // Summary
   console.log('\n' + '═'.repeat(50));
   console.log('  GENERATION COMPLETE');
   console.log('═'.repeat(50));
-  console.log(`  ✓ Success: ${successCount}/${totalScreenshots}`);
-  console.log(`  ✗ Failures: ${failureCount}/${totalScreenshots}`);
+  console.log(`  ✓ Generated: ${summary.generated}/${totalScreenshots}`);
+  console.log(`  ↷ Skipped (cached): ${summary.cached}/${totalScreenshots}`);
+  console.log(`  ✗ Failures: ${summary.failed}/${totalScreenshots}`);
+  if (overflowCount > 0) {
+    console.log(`  ⚠ Headline overflows: ${overflowCount} (see text fit report above)`);
+  }
   
-  if (failureCount > 0) {
-    console.log('\n⚠ Some screenshots failed to generate. Check errors above.');
-    process.exit(1);
+  if (failures.length > 0) {
+    console.log('\n⚠ Some screenshots failed to generate:');
+    printFailures(failures);
   } else {
     console.log('\n🎉 All screenshots generated successfully!');
   }
+  
+  // Watch mode keeps the browser pool warm and rebuilds on every change
+  if (watchMode) {
+    await watchAndPreview(generator, result);
+    return;
+  }
+  
+  // Visual regression check against a baseline tree
+  const visualChanges = baselineDir ? await compareOutputs(entries, result.outputDir) : false;
+  if (visualChanges) {
+    console.log(`\n⚠ Images differ from the baseline (threshold ${diffThreshold}, max ${maxDiffPercent}% changed pixels)`);
+  }
+  
+  if (failures.length > 0 || visualChanges) {
+    process.exit(1);
+  }
 }
 
 // Execute
@@ -0,0 +1,118 @@
+/**
+ * Failure Artifacts
+ *
+ * Evidence saved when a YUZU attempt fails, so a timeout can be told apart
+ * from a changed UI: a full-page screenshot, the HTML of YUZU's controls, the
+ * browser console log of the attempt and, with tracing on, a Playwright trace.
+ * Pages are tracked from creation (see trackPage); every attempt starts a
+ * fresh console buffer and trace chunk.
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+/** Console lines kept per attempt */
+const MAX_CONSOLE_LINES = 1000;
+
+/**
+ * Controls from lib/yuzu.mjs's selector list that sit at the edges of YUZU's
+ * settings panel; their closest common ancestor is the container saved
+ */
+const CONTROL_ANCHORS = ['button.tab[data-tab="background"]', '#headline-text', '#export-current'];
+
+const consoleLogs = new WeakMap();
+
+/**
+ * Start recording a page's console messages and uncaught errors
+ */
+export function trackPage(page) {
+  const lines = [];
+  consoleLogs.set(page, lines);
+  const push = line => {
+    if (lines.length >= MAX_CONSOLE_LINES) lines.shift();
+    lines.push(`${new Date().toISOString()} ${line}`);
+  };
+  page.on('console', message => push(`[${message.type()}] ${message.text()}`));
+  page.on('pageerror', error => push(`[pageerror] ${error.message}`));
+}
+
+/**
+ * Mark the start of an attempt: clear the console buffer and, when tracing,
+ * start a new trace chunk
+ */
+export async function beginAttempt(page, { trace }) {
+  consoleLogs.get(page)?.splice(0);
+  if (trace) {
+    try { await page.context().tracing.startChunk(); } catch {}
+  }
+}
+
+/**
+ * End a successful attempt, dropping its trace chunk
+ */
+export async function discardAttempt(page, { trace }) {
+  if (trace) {
+    try { await page.context().tracing.stopChunk(); } catch {}
+  }
+}
+
+/**
+ * outerHTML of the element holding every CONTROL_ANCHORS control found on
+ * the page, or null when none is
+ */
+async function controlsHtml(page) {
+  return page.evaluate(selectors => {
+    const controls = selectors.map(selector => document.querySelector(selector)).filter(Boolean);
+    if (controls.length === 0) return null;
+    let container = controls[0].parentElement;
+    while (container && !controls.every(control => container.contains(control))) container = container.parentElement;
+    return container?.outerHTML ?? null;
+  }, CONTROL_ANCHORS);
+}
+
+/**
+ * Save the artifacts of a failed attempt as `${basePath}.png`, `.html` (the
+ * controls container; `.page.html`, the whole page, when YUZU's controls
+ * can't be found), `.console.log` and (when tracing) `.trace.zip`. Never
+ * throws; returns the paths that were written.
+ */
+export async function saveFailureArtifacts(page, { basePath, trace }) {
+  const saved = {};
+  try {
+    await mkdir(dirname(basePath), { recursive: true });
+  } catch {
+    return saved;
+  }
+
+  try {
+    await page.screenshot({ path: `${basePath}.png`, fullPage: true, timeout: 10000 });
+    saved.screenshot = `${basePath}.png`;
+  } catch {}
+
+  try {
+    // The controls show which settings were applied; the rest of the page is
+    // mostly the canvas, which the screenshot covers
+    const controls = await controlsHtml(page);
+    const [kind, path] = controls ? ['html', `${basePath}.html`] : ['page', `${basePath}.page.html`];
+    // Uploaded images are inlined as data URLs; keep the snapshot readable
+    const html = (controls ?? await page.content()).replace(/data:[^"')\s]{200,}/g, 'data:…');
+    await writeFile(path, html);
+    saved[kind] = path;
+  } catch {}
+
+  const lines = consoleLogs.get(page);
+  if (lines) {
+    try {
+      await writeFile(`${basePath}.console.log`, lines.join('\n') + '\n');
+      saved.console = `${basePath}.console.log`;
+    } catch {}
+  }
+
+  if (trace) {
+    try {
+      await page.context().tracing.stopChunk({ path: `${basePath}.trace.zip` });
+      saved.trace = `${basePath}.trace.zip`;
+    } catch {}
+  }
+  return saved;
+}
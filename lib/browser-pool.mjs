@@ -0,0 +1,133 @@
+/**
+ * Browser Pool
+ *
+ * One shared Chromium with a browser context (and YUZU page) per worker.
+ * Contexts are opened on first use and recycled once they have run a job
+ * budget or their page's JS heap passes a memory budget, so long runs don't
+ * accumulate browser state. A crashed Chromium is relaunched once, however
+ * many workers notice it.
+ */
+
+import { chromium } from 'playwright';
+
+/** Jobs a context runs before it is replaced (counted by pixel area, see release) */
+export const DEFAULT_CONTEXT_JOBS = 12;
+/** JS heap size (MB) after which a context is replaced */
+export const DEFAULT_CONTEXT_MEMORY_MB = 1024;
+
+const CONTEXT_OPTIONS = {
+  viewport: { width: 1920, height: 1080 },
+  permissions: ['clipboard-read', 'clipboard-write']
+};
+
+/**
+ * Create a pool serving YUZU pages at `url`. `contextJobs` and
+ * `contextMemoryMb` are the recycling budgets. With `trace`, every context
+ * records a Playwright trace (saved in chunks, see lib/artifacts.mjs);
+ * `onPage` is called for each new page before it navigates. `onMessage({
+ * level, message })` receives 'info' notices such as a relaunched browser or
+ * a recycled context (createGenerator passes its own onMessage).
+ */
+export function createBrowserPool({
+  url,
+  contextJobs = DEFAULT_CONTEXT_JOBS,
+  contextMemoryMb = DEFAULT_CONTEXT_MEMORY_MB,
+  trace = false,
+  onPage = null,
+  onMessage = null
+}) {
+  let browser = null;
+  let launching = null;
+  const slots = new Map(); // workerId → { context, page, jobs, load }
+
+  async function getBrowser() {
+    if (browser?.isConnected()) return browser;
+    if (!launching) {
+      if (browser) onMessage?.({ level: 'info', message: 'Browser crashed, relaunching...' });
+      launching = chromium.launch({ headless: true, args: ['--disable-web-security'] })
+        .then(launched => {
+          browser = launched;
+          return launched;
+        })
+        .finally(() => {
+          launching = null;
+        });
+    }
+    return launching;
+  }
+
+  async function openSlot() {
+    const context = await (await getBrowser()).newContext(CONTEXT_OPTIONS);
+    try {
+      if (trace) {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+      }
+      const page = await context.newPage();
+      onPage?.(page);
+      await page.goto(url, { waitUntil: 'networkidle' });
+      await page.waitForTimeout(1000);
+      return { context, page, jobs: 0, load: 0 };
+    } catch (error) {
+      try { await context.close(); } catch {}
+      throw error;
+    }
+  }
+
+  async function discard(workerId) {
+    const slot = slots.get(workerId);
+    slots.delete(workerId);
+    try { await slot?.context.close(); } catch {}
+  }
+
+  return {
+    /**
+     * The worker's YUZU page, opening a fresh context if it has none
+     */
+    async page(workerId) {
+      if (!slots.has(workerId)) {
+        let slot;
+        try {
+          slot = await openSlot();
+        } catch {
+          // Chromium may have died under us; getBrowser relaunches it if so
+          slot = await openSlot();
+        }
+        slots.set(workerId, slot);
+      }
+      return slots.get(workerId).page;
+    },
+
+    /**
+     * Close the worker's context (e.g. after a crash); the next page() call
+     * opens a new one
+     */
+    discard,
+
+    /**
+     * Count a finished job against the worker's context and recycle the
+     * context if it is over either budget. `weight` is the job's share of the
+     * job budget (its pixel area relative to an iPhone 6.9" image), so a 4K TV
+     * image uses up more of a context than a watch face.
+     */
+    async release(workerId, weight = 1) {
+      const slot = slots.get(workerId);
+      if (!slot) return;
+      slot.jobs++;
+      slot.load += weight;
+      const heapBytes = await slot.page.evaluate(() => performance.memory?.usedJSHeapSize ?? 0).catch(() => 0);
+      const heapMb = Math.round(heapBytes / (1024 * 1024));
+      if (slot.load >= contextJobs || heapMb >= contextMemoryMb) {
+        onMessage?.({ level: 'info', message: `Recycling browser context (after ${slot.jobs} job(s), ${heapMb} MB heap)...` });
+        await discard(workerId);
+      }
+    },
+
+    /**
+     * Close every context and the browser
+     */
+    async close() {
+      await Promise.all([...slots.keys()].map(discard));
+      try { await browser?.close(); } catch {}
+    }
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Generation Cache
+ *
+ * Keeps a manifest in the output directory mapping each generated image to the
+ * hash of everything that went into it (raw PNG and other input file bytes,
+ * title and subtitle, effective design, size entry, renderer version) plus the
+ * hash of the file that was written.
+ * A job is skipped when both still match.
+ */
+
+import { createHash } from 'crypto';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { join, relative } from 'path';
+
+const MANIFEST_FILE = '.appshot-manifest.json';
+const MANIFEST_VERSION = 1;
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+async function hashFile(path) {
+  try {
+    return sha256(await readFile(path));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the manifest for an output directory (empty if missing or unreadable)
+ */
+export async function loadManifest(outputDir) {
+  const path = join(outputDir, MANIFEST_FILE);
+  try {
+    const manifest = JSON.parse(await readFile(path, 'utf-8'));
+    if (manifest.version === MANIFEST_VERSION && manifest.entries) {
+      return { path, outputDir, entries: manifest.entries };
+    }
+  } catch {
+    // No manifest yet
+  }
+  return { path, outputDir, entries: {} };
+}
+
+/**
+ * Write the manifest atomically (temp file + rename)
+ */
+export async function saveManifest(manifest) {
+  await mkdir(manifest.outputDir, { recursive: true });
+  const tempPath = `${manifest.path}.tmp`;
+  const data = { version: MANIFEST_VERSION, entries: manifest.entries };
+  await writeFile(tempPath, JSON.stringify(data, null, 2) + '\n');
+  await rename(tempPath, manifest.path);
+}
+
+/**
+ * Hash every input that affects a rendered image. `inputFiles` are hashed by
+ * content (raw screenshot first, then assets such as background images).
+ */
+export async function computeJobHash({ inputFiles, title, subtitle, design, size, rendererVersion }) {
+  const fileHashes = [];
+  for (const path of inputFiles) {
+    fileHashes.push(sha256(await readFile(path)));
+  }
+  const inputs = JSON.stringify({ title, subtitle, design, size, rendererVersion });
+  return sha256(`${fileHashes.join('\n')}\n${inputs}`);
+}
+
+/**
+ * The manifest entry for outputPath if it was generated from the same inputs
+ * and hasn't changed since, otherwise null
+ */
+export async function findCachedOutput(manifest, outputPath, hash) {
+  const entry = manifest.entries[relative(manifest.outputDir, outputPath)];
+  if (!entry || entry.hash !== hash) return null;
+  return (await hashFile(outputPath)) === entry.outputHash ? entry : null;
+}
+
+/**
+ * Record a freshly generated output under its input hash. `meta` is stored
+ * alongside so cached runs can still report it (e.g. the headline fit).
+ */
+export async function recordOutput(manifest, outputPath, hash, meta = {}) {
+  manifest.entries[relative(manifest.outputDir, outputPath)] = {
+    hash,
+    outputHash: await hashFile(outputPath),
+    ...meta
+  };
+}
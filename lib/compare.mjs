@@ -0,0 +1,183 @@
+/**
+ * Visual Regression
+ *
+ * Compares generated images with a baseline tree (same relative paths) using
+ * pixelmatch, a perceptual per-pixel diff that ignores anti-aliasing noise.
+ * Every image that differs gets a diff image, and a static HTML page shows
+ * baseline, new and diff side by side.
+ */
+
+import { readFile, writeFile, mkdir, copyFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import pixelmatch from 'pixelmatch';
+import { decodePng, encodeRgbPng } from './png.mjs';
+
+/** pixelmatch color distance (0–1) above which a pixel counts as changed */
+export const DEFAULT_DIFF_THRESHOLD = 0.1;
+/** Share of changed pixels (%) an image may have and still pass */
+export const DEFAULT_MAX_DIFF_PERCENT = 0;
+
+const STATUS_LABELS = {
+  changed: 'Changed',
+  resized: 'Different size',
+  new: 'No baseline',
+  missing: 'Not generated',
+  unchanged: 'Unchanged'
+};
+
+async function readIfExists(path) {
+  try {
+    return await readFile(path);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare one image with its baseline. Returns { status, diffPixels,
+ * diffPercent, diff } where status is 'unchanged', 'changed', 'resized',
+ * 'new' (no baseline) or 'missing' (no current image); `diff` holds the diff
+ * image's pixels when both images could be compared.
+ */
+async function compareImage(currentPath, baselinePath, { threshold, maxDiffPercent }) {
+  const [currentBuffer, baselineBuffer] = await Promise.all([readIfExists(currentPath), readIfExists(baselinePath)]);
+  if (!currentBuffer) return { status: 'missing' };
+  if (!baselineBuffer) return { status: 'new' };
+
+  const [current, baseline] = await Promise.all([decodePng(currentBuffer), decodePng(baselineBuffer)]);
+  if (current.width !== baseline.width || current.height !== baseline.height) {
+    return { status: 'resized' };
+  }
+
+  const { width, height } = current;
+  const diffData = new Uint8ClampedArray(width * height * 4);
+  const diffPixels = pixelmatch(baseline.data, current.data, diffData, width, height, { threshold });
+  const diffPercent = (diffPixels / (width * height)) * 100;
+  return {
+    status: diffPercent > maxDiffPercent ? 'changed' : 'unchanged',
+    diffPixels,
+    diffPercent,
+    diff: diffPixels > 0 ? { width, height, data: diffData } : null
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function imageCell(src) {
+  if (!src) return '<td class="none">—</td>';
+  const href = escapeHtml(encodeURI(src));
+  return `<td><a href="${href}"><img src="${href}" loading="lazy"></a></td>`;
+}
+
+function renderHtml(results, { baselineDir, threshold, maxDiffPercent }) {
+  const counts = Object.keys(STATUS_LABELS)
+    .map(status => [status, results.filter(result => result.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${STATUS_LABELS[status]}: ${count}`)
+    .join(' · ');
+
+  const rows = results
+    .filter(result => result.status !== 'unchanged' || result.diffPixels > 0)
+    .map(result => {
+      const detail = result.diffPixels !== undefined
+        ? `${result.diffPixels} px (${result.diffPercent.toFixed(3)}%)`
+        : '';
+      return `<tr class="${result.status}">
+  <th>${escapeHtml(result.label)}<br><span>${STATUS_LABELS[result.status]}</span><br><small>${detail}</small></th>
+  ${imageCell(result.baselineImage)}${imageCell(result.currentImage)}${imageCell(result.diffImage)}
+</tr>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>appshot visual comparison</title>
+<style>
+  body { font: 14px -apple-system, system-ui, sans-serif; margin: 24px; color: #1c1c1e; }
+  table { border-collapse: collapse; }
+  th, td { border-top: 1px solid #ddd; padding: 12px; vertical-align: top; text-align: left; }
+  thead th { border: 0; }
+  img { width: 240px; display: block; }
+  tr.changed span, tr.resized span, tr.new span, tr.missing span { color: #c0392b; font-weight: 600; }
+  td.none { color: #999; }
+</style>
+</head>
+<body>
+<h1>Visual comparison</h1>
+<p>Baseline: <code>${escapeHtml(baselineDir)}</code> · threshold ${threshold} · max ${maxDiffPercent}% changed pixels</p>
+<p>${escapeHtml(counts)}</p>
+<table>
+<thead><tr><th>Image</th><th>Baseline</th><th>New</th><th>Diff</th></tr></thead>
+<tbody>
+${rows || '<tr><td colspan="4">No differences.</td></tr>'}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Compare every image in `images` ([{ relPath, label }], relative to both
+ * outputDir and baselineDir). Writes diff images, copies of the baseline and
+ * new images that differ, and index.html into reportDir (replacing the images
+ * of an earlier report). Returns { results, reportPath }.
+ */
+export async function compareWithBaseline(images, { outputDir, baselineDir, reportDir, threshold, maxDiffPercent }) {
+  await rm(join(reportDir, 'images'), { recursive: true, force: true });
+  const results = [];
+
+  for (const { relPath, label } of images) {
+    const currentPath = join(outputDir, relPath);
+    const baselinePath = join(baselineDir, relPath);
+    const { diff, ...comparison } = await compareImage(currentPath, baselinePath, { threshold, maxDiffPercent });
+    const result = { relPath, label, ...comparison };
+
+    if (comparison.status !== 'unchanged' || comparison.diffPixels > 0) {
+      // Copy both sides so the report stays valid after the next run
+      const imageDir = join('images', relPath.replace(/\.png$/, ''));
+      await mkdir(join(reportDir, imageDir), { recursive: true });
+      if (comparison.status !== 'new') {
+        result.baselineImage = join(imageDir, 'baseline.png');
+        await copyFile(baselinePath, join(reportDir, result.baselineImage));
+      }
+      if (comparison.status !== 'missing') {
+        result.currentImage = join(imageDir, 'new.png');
+        await copyFile(currentPath, join(reportDir, result.currentImage));
+      }
+      if (diff) {
+        result.diffImage = join(imageDir, 'diff.png');
+        await writeFile(join(reportDir, result.diffImage), encodeRgbPng(diff.width, diff.height, diff.data));
+      }
+    }
+    results.push(result);
+  }
+
+  const reportPath = join(reportDir, 'index.html');
+  await mkdir(reportDir, { recursive: true });
+  await writeFile(reportPath, renderHtml(results, { baselineDir, threshold, maxDiffPercent }));
+  return { results, reportPath };
+}
+
+/**
+ * Copy the current images over the baseline (--update-baseline)
+ */
+export async function updateBaseline(images, { outputDir, baselineDir }) {
+  let copied = 0;
+  for (const { relPath } of images) {
+    const source = join(outputDir, relPath);
+    if (!(await readIfExists(source))) continue;
+    await mkdir(dirname(join(baselineDir, relPath)), { recursive: true });
+    await copyFile(source, join(baselineDir, relPath));
+    copied++;
+  }
+  return copied;
+}
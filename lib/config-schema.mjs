@@ -0,0 +1,843 @@
+/**
+ * Config Schema
+ *
+ * Declarative schema for config.json plus the cross-field checks a schema
+ * alone can't express (duplicate ids, locale sets, device dimensions, raw files).
+ * validateConfig() never throws: it returns every problem with its JSON path
+ * so they can all be reported before any browser launches.
+ */
+
+import { existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { resolveDesign, POSITION_PRESETS, DEVICE_TYPES } from './design.mjs';
+import { TEXT_ALIGNS } from './scripts.mjs';
+import { isComposite, rawSources, panoramaElements, sizeIncludes } from './jobs.mjs';
+import { TITLE_FORMATS } from './translations.mjs';
+import { LOCALE_DIRS, outputLocaleDirs, resolveRawPath } from './locales.mjs';
+import { compilePattern, rawNames } from './ingest.mjs';
+import { designFonts, fontProblem } from './fonts.mjs';
+import { SIZE_PROFILES, STORES, OUTPUT_LAYOUTS, SUPPLY_FOLDERS, STORE_METADATA, sizeLayout, isSingleImageSize } from './sizes.mjs';
+
+/** Output sizes YUZU offers in its size picker (custom accepts any dimensions) */
+export const YUZU_DEVICES = {
+  'iphone-6.9': { width: 1320, height: 2868 },
+  'iphone-6.7': { width: 1290, height: 2796 },
+  'iphone-6.5': { width: 1284, height: 2778 },
+  'iphone-5.5': { width: 1242, height: 2208 },
+  'ipad-12.9': { width: 2048, height: 2732 },
+  'ipad-11': { width: 1668, height: 2388 },
+  'custom': null
+};
+
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const FONT_WEIGHTS = ['100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
+const hexColor = { type: 'string', pattern: HEX_COLOR, patternName: 'a hex color like "#F0B263"' };
+const fontWeight = { type: ['string', 'number'], enum: FONT_WEIGHTS };
+const percent = { type: 'number', minimum: 0, maximum: 100 };
+
+const borderSchema = {
+  type: ['object', 'null'],
+  required: ['width', 'color'],
+  properties: {
+    width: { type: 'number', minimum: 0 },
+    color: hexColor,
+    opacity: percent
+  }
+};
+
+const designSchema = {
+  type: 'object',
+  required: ['background', 'device', 'text'],
+  properties: {
+    background: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['gradient', 'solid', 'image'] },
+        // gradient
+        color1: hexColor,
+        color2: hexColor,
+        stops: {
+          type: 'array',
+          minItems: 2,
+          items: {
+            type: 'object',
+            required: ['color'],
+            properties: { color: hexColor, position: percent }
+          }
+        },
+        angle: { type: 'number', minimum: 0, maximum: 360 },
+        // solid (also the letterbox color for image backgrounds)
+        color: hexColor,
+        // image
+        image: { type: 'string', minLength: 1 },
+        fit: { type: 'string', enum: ['cover', 'contain', 'stretch'] },
+        blur: { type: 'number', minimum: 0 },
+        overlay: {
+          type: 'object',
+          required: ['color'],
+          properties: { color: hexColor, opacity: percent }
+        }
+      }
+    },
+    device: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: Object.keys(DEVICE_TYPES) },
+        preset: {
+          type: 'string',
+          enum: [...Object.values(POSITION_PRESETS).map(p => p.name), ...Object.keys(POSITION_PRESETS)]
+        },
+        // 3D only
+        model: { type: 'string', minLength: 1 },
+        rotation: {
+          type: 'object',
+          properties: {
+            x: { type: 'number', minimum: -180, maximum: 180 },
+            y: { type: 'number', minimum: -180, maximum: 180 },
+            z: { type: 'number', minimum: -180, maximum: 180 }
+          }
+        },
+        cornerRadius: { type: 'number', minimum: 0 },
+        border: borderSchema
+      }
+    },
+    text: {
+      type: 'object',
+      required: ['headlineColor'],
+      properties: {
+        font: { type: 'string', minLength: 1 },
+        headlineWeight: fontWeight,
+        headlineColor: hexColor,
+        headlineSize: { type: 'number', minimum: 1 },
+        autoFit: {
+          type: 'object',
+          properties: {
+            maxLines: { type: 'integer', minimum: 1 },
+            minSize: { type: 'number', minimum: 1 },
+            step: { type: 'number', minimum: 1 },
+            margin: { type: 'number', minimum: 0, maximum: 50 },
+            maxBottom: percent
+          }
+        },
+        subheadline: { type: 'boolean' },
+        subheadlineFont: { type: 'string', minLength: 1 },
+        subheadlineWeight: fontWeight,
+        subheadlineColor: hexColor,
+        subheadlineSize: { type: 'number', minimum: 1 },
+        subheadlineSpacing: { type: 'number', minimum: 0 },
+        verticalOffset: percent,
+        align: { type: 'string', enum: TEXT_ALIGNS },
+        // ISO 15924 script code → font (null keeps the design font)
+        scriptFonts: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'null'], minLength: 1 }
+        }
+      }
+    },
+    rtl: {
+      type: 'object',
+      properties: {
+        textAlign: { type: 'string', enum: TEXT_ALIGNS },
+        mirror: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * Copy of a schema with every `required` list dropped, for partial overrides
+ */
+function partial(schema) {
+  const { required, properties, additionalProperties, items, ...rest } = schema;
+  const copy = { ...rest };
+  if (properties) {
+    copy.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, child]) => [key, partial(child)])
+    );
+  }
+  if (additionalProperties) copy.additionalProperties = partial(additionalProperties);
+  if (items) copy.items = partial(items);
+  return copy;
+}
+
+const designOverrideSchema = partial(designSchema);
+const localeDesignSchema = { type: 'object', additionalProperties: designOverrideSchema };
+
+const colorOrAuto = { type: 'string', pattern: /^(?:auto|#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}))$/, patternName: '"auto" or a hex color' };
+const pixelInset = { type: 'integer', minimum: 0 };
+
+/** Raw screenshot cleanup (see lib/preprocess.mjs), in pixels of the raw image */
+const preprocessSchema = {
+  type: 'object',
+  properties: {
+    statusBar: {
+      type: ['boolean', 'object'],
+      properties: {
+        time: { type: 'string', minLength: 1 },
+        height: { type: 'integer', minimum: 1 },
+        background: colorOrAuto,
+        color: colorOrAuto
+      }
+    },
+    crop: {
+      ...pixelInset,
+      type: ['integer', 'object'],
+      properties: { top: pixelInset, right: pixelInset, bottom: pixelInset, left: pixelInset }
+    },
+    scale: {
+      type: ['boolean', 'object'],
+      required: ['width', 'height'],
+      properties: {
+        width: { type: 'integer', minimum: 1 },
+        height: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+};
+
+const screenshotId = { type: 'string', pattern: /^[A-Za-z0-9._-]+$/, patternName: 'letters, digits, ".", "_" or "-"' };
+
+// device, width and height can come from a profile (see lib/sizes.mjs)
+const sizeSchema = {
+  type: 'object',
+  required: ['device', 'width', 'height'],
+  properties: {
+    profile: { type: 'string', enum: Object.keys(SIZE_PROFILES) },
+    device: { type: 'string', minLength: 1 },
+    width: { type: 'integer', minimum: 1 },
+    height: { type: 'integer', minimum: 1 },
+    store: { type: 'string', enum: STORES },
+    supplyFolder: { type: 'string', enum: SUPPLY_FOLDERS },
+    screenshots: { type: 'array', minItems: 1, items: screenshotId },
+    yuzuDevice: { type: 'string', enum: Object.keys(YUZU_DEVICES) },
+    rawDir: { type: 'string', minLength: 1 },
+    cornerRadius: { type: 'number', minimum: 0 },
+    border: borderSchema,
+    preprocess: preprocessSchema,
+    design: designOverrideSchema
+  }
+};
+
+/** One device of a composite screenshot (x, y and scale in % of the canvas) */
+const compositeDeviceSchema = {
+  type: 'object',
+  required: ['raw'],
+  properties: {
+    raw: screenshotId,
+    rawDir: { type: 'string', minLength: 1 },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    scale: { type: 'number', minimum: 1 },
+    rotation: { type: 'number', minimum: -180, maximum: 180 },
+    z: { type: 'integer' },
+    cornerRadius: { type: 'number', minimum: 0 },
+    border: borderSchema
+  }
+};
+
+/** An element spanning a panorama: a framed raw screenshot or a decoration image */
+const panoramaElementSchema = {
+  ...compositeDeviceSchema,
+  required: [],
+  properties: {
+    ...compositeDeviceSchema.properties,
+    image: { type: 'string', minLength: 1 }
+  }
+};
+
+const panoramaSchema = {
+  type: 'object',
+  required: ['id', 'screenshots'],
+  properties: {
+    id: screenshotId,
+    screenshots: { type: 'array', minItems: 2, items: screenshotId },
+    elements: { type: 'array', items: panoramaElementSchema },
+    design: designOverrideSchema,
+    localeDesign: localeDesignSchema
+  }
+};
+
+// A path, or { path, format, locales, titleKey, subtitleKey }
+const titlesSourceEntrySchema = {
+  type: ['string', 'object'],
+  minLength: 1,
+  required: ['path'],
+  properties: {
+    path: { type: 'string', minLength: 1 },
+    format: { type: 'string', enum: TITLE_FORMATS },
+    locales: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    titleKey: { type: 'string', pattern: /\{id\}/, patternName: 'a key template containing "{id}"' },
+    subtitleKey: { type: 'string', pattern: /\{id\}/, patternName: 'a key template containing "{id}"' }
+  }
+};
+
+// One locale or a list of them
+const localeList = { type: ['string', 'array'], minLength: 1, items: { type: 'string', minLength: 1 } };
+
+const localeTableSchema = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      fallback: localeList,
+      asc: localeList,
+      play: localeList
+    }
+  }
+};
+
+export const configSchema = {
+  type: 'object',
+  required: ['screenshots', 'design', 'output'],
+  properties: {
+    screenshots: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'titles'],
+        properties: {
+          id: screenshotId,
+          titles: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: { type: 'string', minLength: 1 }
+          },
+          subtitles: {
+            type: 'object',
+            additionalProperties: { type: 'string' }
+          },
+          devices: { type: 'array', minItems: 1, items: compositeDeviceSchema },
+          preprocess: preprocessSchema,
+          design: designOverrideSchema,
+          localeDesign: localeDesignSchema
+        }
+      }
+    },
+    panoramas: { type: 'array', items: panoramaSchema },
+    titlesSource: { ...titlesSourceEntrySchema, type: ['string', 'object', 'array'], minItems: 1, items: titlesSourceEntrySchema },
+    locales: localeTableSchema,
+    // Font files for the native renderer: family → file, or weight → file
+    fonts: {
+      type: 'object',
+      additionalProperties: {
+        type: ['string', 'object'],
+        minLength: 1,
+        properties: Object.fromEntries(FONT_WEIGHTS.map(weight => [weight, { type: 'string', minLength: 1 }]))
+      }
+    },
+    design: designSchema,
+    localeDesign: localeDesignSchema,
+    output: {
+      type: 'object',
+      required: ['sizes', 'path'],
+      properties: {
+        sizes: { type: 'array', minItems: 1, items: sizeSchema },
+        path: { type: 'string', minLength: 1 },
+        localeDirs: { type: 'string', enum: LOCALE_DIRS },
+        layout: {
+          type: 'object',
+          properties: Object.fromEntries(STORES.map(store => [store, { type: 'string', enum: OUTPUT_LAYOUTS }]))
+        }
+      }
+    },
+    ingest: {
+      type: 'object',
+      properties: {
+        patterns: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        ids: { type: 'object', additionalProperties: screenshotId },
+        locales: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+        rawDirs: {
+          type: 'object',
+          additionalProperties: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', pattern: /^\d+x\d+$/, patternName: 'dimensions like "1080x2400"' }
+          }
+        }
+      }
+    },
+    upload: {
+      type: 'object',
+      properties: {
+        appId: { type: 'string' },
+        keyId: { type: 'string' },
+        issuerId: { type: 'string' },
+        keyPath: { type: 'string' },
+        packageName: { type: 'string' },
+        jsonKeyPath: { type: 'string' }
+      }
+    },
+    publish: {
+      type: 'object',
+      properties: {
+        stagingDir: { type: 'string', minLength: 1 },
+        // Listing texts per locale and store, with each store's length limits
+        metadata: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: Object.fromEntries(STORES.map(store => [store, {
+              type: 'object',
+              properties: Object.fromEntries(Object.entries(STORE_METADATA[store])
+                .map(([field, { maxLength }]) => [field, { type: 'string', maxLength }]))
+            }]))
+          }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema node, pushing { path, message } problems.
+ * Keys starting with "_" (e.g. "_comment") are always allowed.
+ */
+function checkSchema(value, schema, path, problems) {
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    problems.push({ path, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(String(value))) {
+    problems.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` });
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    problems.push({ path, message: `must be ${schema.patternName} (got ${JSON.stringify(value)})` });
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    problems.push({ path, message: 'must not be empty' });
+  }
+  if (schema.maxLength !== undefined && typeof value === 'string' && [...value].length > schema.maxLength) {
+    problems.push({ path, message: `must be at most ${schema.maxLength} characters (got ${[...value].length})` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push({ path, message: `must be >= ${schema.minimum} (got ${value})` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push({ path, message: `must be <= ${schema.maximum} (got ${value})` });
+  }
+
+  if (types.includes('array') && Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    value.forEach((item, i) => checkSchema(item, schema.items, joinPath(path, i), problems));
+  }
+
+  if (types.includes('object') && typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        problems.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+    const keys = Object.keys(value).filter(key => !key.startsWith('_'));
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      problems.push({ path, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+    for (const key of keys) {
+      const childPath = joinPath(path, key);
+      const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (childSchema) {
+        checkSchema(value[key], childSchema, childPath, problems);
+      } else {
+        problems.push({ path: childPath, message: 'is not a known setting' });
+      }
+    }
+  }
+}
+
+/**
+ * Screenshot and size entries well-formed enough for cross-field checks.
+ * Malformed entries are already reported by the schema pass.
+ */
+function usableEntries(config) {
+  const screenshots = (Array.isArray(config?.screenshots) ? config.screenshots : [])
+    .map((screenshot, index) => ({ screenshot, index }))
+    .filter(({ screenshot }) => typeof screenshot?.id === 'string' && typeOf(screenshot.titles) === 'object');
+  const sizes = (Array.isArray(config?.output?.sizes) ? config.output.sizes : [])
+    .map((size, index) => ({ size, index }))
+    .filter(({ size }) => typeOf(size) === 'object');
+  const panoramas = (Array.isArray(config?.panoramas) ? config.panoramas : [])
+    .map((panorama, index) => ({ panorama, index }))
+    .filter(({ panorama }) => typeOf(panorama) === 'object' && Array.isArray(panorama.screenshots) &&
+      (panorama.elements === undefined || Array.isArray(panorama.elements)));
+  return { screenshots, sizes, panoramas };
+}
+
+/**
+ * Panorama members must exist and belong to one panorama only; each element is
+ * either a raw screenshot or an image
+ */
+function checkPanoramas({ screenshots, panoramas }, baseDir, problems) {
+  const ids = new Set(screenshots.map(({ screenshot }) => screenshot.id));
+  const memberOf = new Map();
+  for (const { panorama, index } of panoramas) {
+    for (const id of panorama.screenshots) {
+      if (!ids.has(id)) {
+        problems.push({ path: `panoramas[${index}].screenshots`, message: `unknown screenshot id "${id}"` });
+      } else if (memberOf.has(id)) {
+        problems.push({
+          path: `panoramas[${index}].screenshots`,
+          message: `"${id}" is already part of panoramas[${memberOf.get(id)}]`
+        });
+      } else {
+        memberOf.set(id, index);
+      }
+    }
+
+    (panorama.elements ?? []).forEach((element, elementIndex) => {
+      const path = `panoramas[${index}].elements[${elementIndex}]`;
+      if (typeOf(element) !== 'object') return;
+      if (Boolean(element.raw) === Boolean(element.image)) {
+        problems.push({ path, message: 'needs either "raw" or "image"' });
+      } else if (element.image && baseDir && !existsSync(resolve(baseDir, element.image))) {
+        problems.push({ path, message: `image not found: ${element.image}` });
+      }
+    });
+  }
+}
+
+/**
+ * Cross-field checks a schema alone can't express
+ */
+function checkSemantics({ screenshots, sizes }, importedLocales, problems) {
+  const seenIds = new Map();
+  for (const { screenshot, index } of screenshots) {
+    if (seenIds.has(screenshot.id)) {
+      problems.push({
+        path: `screenshots[${index}].id`,
+        message: `duplicate id "${screenshot.id}" (also used by screenshots[${seenIds.get(screenshot.id)}])`
+      });
+    } else {
+      seenIds.set(screenshot.id, index);
+    }
+  }
+
+  // A locale only imported from titlesSource may have gaps: those screenshots
+  // are skipped in it (loadConfig lists them as missing translations)
+  const allLocales = [...new Set(screenshots.flatMap(({ screenshot }) => Object.keys(screenshot.titles)))]
+    .filter(locale => !importedLocales.includes(locale));
+  for (const { screenshot, index } of screenshots) {
+    const missing = allLocales.filter(locale => !(locale in screenshot.titles));
+    if (missing.length > 0) {
+      problems.push({ path: `screenshots[${index}].titles`, message: `missing locale(s): ${missing.join(', ')}` });
+    }
+  }
+
+  for (const { screenshot, index } of screenshots) {
+    if (typeOf(screenshot.subtitles) !== 'object') continue;
+    const unknown = Object.keys(screenshot.subtitles)
+      .filter(locale => !locale.startsWith('_') && !(locale in screenshot.titles));
+    if (unknown.length > 0) {
+      problems.push({ path: `screenshots[${index}].subtitles`, message: `locale(s) without a title: ${unknown.join(', ')}` });
+    }
+  }
+
+  for (const { size, index } of sizes) {
+    const expected = YUZU_DEVICES[size.yuzuDevice];
+    if (expected && (expected.width !== size.width || expected.height !== size.height)) {
+      problems.push({
+        path: `output.sizes[${index}]`,
+        message: `${size.width}×${size.height} doesn't match yuzuDevice "${size.yuzuDevice}" ` +
+          `(${expected.width}×${expected.height}); use "custom" for other dimensions`
+      });
+    }
+  }
+}
+
+/**
+ * A size's `screenshots` must name existing screenshots and whole panoramas;
+ * supply layouts need a supplyFolder, and a single-image folder (the feature
+ * graphic) exactly one screenshot
+ */
+function checkSizeTargets(config, { screenshots, sizes, panoramas }, problems) {
+  const ids = new Set(screenshots.map(({ screenshot }) => screenshot.id));
+  for (const { size, index } of sizes) {
+    const path = `output.sizes[${index}]`;
+    if (Array.isArray(size.screenshots)) {
+      const unknown = size.screenshots.filter(id => typeof id === 'string' && !ids.has(id));
+      if (unknown.length > 0) {
+        problems.push({ path: `${path}.screenshots`, message: `unknown screenshot id(s): ${unknown.join(', ')}` });
+      }
+      for (const { panorama } of panoramas) {
+        const listed = panorama.screenshots.filter(id => size.screenshots.includes(id));
+        if (listed.length > 0 && listed.length < panorama.screenshots.length) {
+          problems.push({ path: `${path}.screenshots`, message: `lists only part of panorama "${panorama.id}" (${listed.join(', ')})` });
+        }
+      }
+    }
+    if (sizeLayout(config, size) !== 'supply') continue;
+    if (size.supplyFolder === undefined) {
+      problems.push({ path, message: 'needs "supplyFolder" (or a Play Store profile) for the supply layout' });
+    } else if (isSingleImageSize(config, size) && size.screenshots?.length !== 1) {
+      problems.push({ path: `${path}.screenshots`, message: `${size.supplyFolder} holds one image per locale; list exactly one screenshot` });
+    }
+  }
+}
+
+/**
+ * ingest patterns must compile, and ingest.ids must name screenshots or the
+ * raw images of composite devices and panorama elements
+ */
+function checkIngest(config, problems) {
+  const ingest = config?.ingest;
+  if (typeOf(ingest) !== 'object') return;
+  if (Array.isArray(ingest.patterns)) {
+    ingest.patterns.forEach((pattern, index) => {
+      if (typeof pattern !== 'string') return;
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        problems.push({ path: `ingest.patterns[${index}]`, message: `invalid pattern: ${error.message}` });
+      }
+    });
+  }
+  if (typeOf(ingest.ids) === 'object') {
+    const names = rawNames(config);
+    for (const [key, id] of Object.entries(ingest.ids)) {
+      if (typeof id === 'string' && !names.has(id)) {
+        problems.push({ path: joinPath('ingest.ids', key), message: `"${id}" is no screenshot id or raw image name` });
+      }
+    }
+  }
+}
+
+/**
+ * publish.metadata may only list locales that have titles (their own or a
+ * fallback's)
+ */
+function checkPublish(config, { screenshots }, problems) {
+  const metadata = config?.publish?.metadata;
+  if (typeOf(metadata) !== 'object') return;
+  const titleLocales = new Set(screenshots.flatMap(({ screenshot }) => Object.keys(screenshot.titles)));
+  for (const locale of Object.keys(metadata).filter(locale => !locale.startsWith('_'))) {
+    if (!titleLocales.has(locale)) {
+      problems.push({ path: joinPath('publish.metadata', locale), message: `no screenshot has a title in "${locale}" or its fallbacks` });
+    }
+  }
+}
+
+/**
+ * Every locale in the table must end up with titles (its own or a
+ * fallback's), and no two locales may write the same output folder
+ */
+function checkLocaleTable(config, { screenshots, sizes }, problems) {
+  if (typeOf(config?.locales) !== 'object') return;
+  const titleLocales = new Set(screenshots.flatMap(({ screenshot }) => Object.keys(screenshot.titles)));
+  for (const locale of Object.keys(config.locales).filter(locale => !locale.startsWith('_'))) {
+    if (!titleLocales.has(locale)) {
+      problems.push({ path: joinPath('locales', locale), message: `no screenshot has a title in "${locale}" or its fallbacks` });
+    }
+  }
+
+  // Folder names depend on the store (ASC or Play codes), so each store's
+  // sizes are checked on their own
+  const storeSizes = new Map(sizes.map(({ size }) => [size.store ?? 'appStore', size]));
+  for (const size of storeSizes.size > 0 ? storeSizes.values() : [{}]) {
+    const writers = new Map(); // output folder → locale
+    for (const locale of titleLocales) {
+      for (const folder of outputLocaleDirs(config, locale, size)) {
+        if (writers.has(folder) && writers.get(folder) !== locale) {
+          problems.push({
+            path: 'output.localeDirs',
+            message: `"${writers.get(folder)}" and "${locale}" both write the output folder "${folder}"`
+          });
+        }
+        writers.set(folder, locale);
+      }
+    }
+  }
+}
+
+/**
+ * Problems with a background block given its type (what each type needs)
+ */
+function backgroundProblems(background, baseDir) {
+  const type = background.type || 'gradient';
+  if (type === 'solid') {
+    return background.color ? [] : ['solid background needs "color"'];
+  }
+  if (type === 'image') {
+    if (!background.image) return ['image background needs "image"'];
+    if (baseDir && !existsSync(resolve(baseDir, background.image))) {
+      return [`background image not found: ${background.image}`];
+    }
+    return [];
+  }
+  if (!background.stops && !(background.color1 && background.color2)) {
+    return ['gradient background needs "color1" and "color2", or "stops"'];
+  }
+  return [];
+}
+
+/**
+ * Problems with a whole resolved design: its background, plus settings the
+ * chosen renderer can't honor
+ */
+function designProblems(design, { baseDir, renderer, drawnNatively = null }) {
+  const messages = backgroundProblems(design.background, baseDir);
+  if (design.device?.type === '3D') {
+    if (drawnNatively) {
+      messages.push(`${drawnNatively} only support 2D devices`);
+    } else if (renderer === 'native') {
+      messages.push('3D devices are only supported by the yuzu renderer');
+    }
+  }
+  return messages;
+}
+
+/**
+ * Font files missing for a design the native renderer draws: one for every
+ * font it uses (the subheadline's only with a `subtitle`)
+ */
+function fontProblems(design, { fonts, baseDir, subtitle }) {
+  if (typeOf(design.text) !== 'object') return [];
+  const messages = designFonts(design, { subtitle }).map(({ family, weight }) => fontProblem(fonts, family, weight, baseDir));
+  return [...new Set(messages.filter(Boolean))];
+}
+
+/**
+ * Check every resolved design (overrides can change the background type or
+ * device, so each screenshot × locale × size combination is checked, plus each
+ * panorama's background). Problems already present in the global design are
+ * reported once at `design`.
+ */
+function checkResolvedDesigns(config, { screenshots, sizes, panoramas }, options, problems) {
+  if (typeOf(config.design?.background) !== 'object') return;
+  const globalMessages = designProblems(config.design, options);
+  for (const message of globalMessages) {
+    problems.push({ path: 'design', message });
+  }
+
+  // Group by path and message so each problem is listed once with its locales
+  const grouped = new Map();
+  const report = (path, messages, locale) => {
+    for (const message of messages) {
+      if (globalMessages.includes(message)) continue;
+      const key = `${path}\n${message}`;
+      if (!grouped.has(key)) grouped.set(key, { path, message, locales: new Set() });
+      grouped.get(key).locales.add(locale);
+    }
+  };
+
+  const panoramaMembers = new Set(panoramas.flatMap(({ panorama }) => panorama.screenshots));
+  for (const { screenshot, index } of screenshots) {
+    const drawnNatively = panoramaMembers.has(screenshot.id) ? 'panorama screenshots'
+      : isComposite(screenshot) ? 'composite screenshots'
+      : null;
+    for (const locale of Object.keys(screenshot.titles)) {
+      for (const { size } of sizes.filter(({ size }) => sizeIncludes(size, screenshot.id))) {
+        const design = resolveDesign(config, screenshot, locale, size);
+        report(`screenshots[${index}]`, designProblems(design, { ...options, drawnNatively }), locale);
+        if (drawnNatively || options.renderer === 'native') {
+          const subtitle = Boolean(screenshot.subtitles?.[locale]) && design.text?.subheadline !== false;
+          report(`screenshots[${index}]`, fontProblems(design, { ...options, subtitle }), locale);
+        }
+      }
+    }
+  }
+
+  const allLocales = [...new Set(screenshots.flatMap(({ screenshot }) => Object.keys(screenshot.titles)))];
+  for (const { panorama, index } of panoramas) {
+    const panoramaSizes = sizes.filter(({ size }) => panorama.screenshots.every(id => sizeIncludes(size, id)));
+    for (const locale of allLocales) {
+      for (const { size } of panoramaSizes) {
+        const design = resolveDesign(config, panorama, locale, size);
+        report(`panoramas[${index}]`, backgroundProblems(design.background, options.baseDir), locale);
+      }
+    }
+  }
+
+  for (const { path, message, locales } of grouped.values()) {
+    problems.push({ path, message: `${message} (locale: ${[...locales].join(', ')})` });
+  }
+}
+
+/**
+ * Report every raw screenshot missing under each size's rawDir (or a composite
+ * device's or panorama element's own rawDir)
+ */
+function checkRawFiles(config, { screenshots, sizes, panoramas }, baseDir, problems) {
+  const allLocales = [...new Set(screenshots.flatMap(({ screenshot }) => Object.keys(screenshot.titles)))];
+  for (const { size, index } of sizes) {
+    const checked = new Set();
+    const inputs = [];
+    for (const { screenshot } of screenshots) {
+      if (!sizeIncludes(size, screenshot.id)) continue;
+      // Malformed composite devices are already reported by the schema pass
+      if (isComposite(screenshot) && !screenshot.devices.every(device => typeOf(device) === 'object')) continue;
+      inputs.push({ sources: rawSources(screenshot, size), locales: Object.keys(screenshot.titles) });
+    }
+    for (const { panorama } of panoramas) {
+      if (!panorama.screenshots.every(id => sizeIncludes(size, id))) continue;
+      if (!panorama.elements?.every(element => typeOf(element) === 'object')) continue;
+      inputs.push({ sources: panoramaElements(panorama, size), locales: allLocales });
+    }
+
+    for (const input of inputs) {
+      // Image elements have no raw; malformed names are reported by the schema pass
+      const sources = input.sources
+        .filter(source => typeof source.rawDir === 'string' && typeof source.name === 'string');
+      for (const locale of input.locales) {
+        for (const source of sources) {
+          const relPath = join(source.rawDir, locale, `${source.name}.png`);
+          if (checked.has(relPath)) continue;
+          checked.add(relPath);
+          // A fallback locale's raw screenshot counts (see lib/locales.mjs)
+          const { path, tried } = resolveRawPath(config, baseDir, source.rawDir, locale, source.name);
+          if (!existsSync(path)) {
+            const fallbacks = tried.length > 0 ? ` (no fallback in ${tried.join(', ')} either)` : '';
+            problems.push({ path: `output.sizes[${index}].rawDir`, message: `missing raw screenshot: ${relPath}${fallbacks}` });
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed config. Returns an array of { path, message } problems
+ * (empty when valid). Raw files are only checked when checkRawFiles is set;
+ * `renderer` enables renderer-specific checks. `importedLocales` (from
+ * titlesSource) may be missing from some screenshots.
+ */
+export function validateConfig(config, { baseDir, renderer, checkRawFiles: checkFiles = false, importedLocales = [] } = {}) {
+  const problems = [];
+  checkSchema(config, configSchema, '', problems);
+
+  const entries = usableEntries(config);
+  checkSemantics(entries, importedLocales, problems);
+  checkPanoramas(entries, baseDir, problems);
+  checkLocaleTable(config, entries, problems);
+  checkSizeTargets(config, entries, problems);
+  checkIngest(config, problems);
+  checkPublish(config, entries, problems);
+  if (problems.length === 0) {
+    checkResolvedDesigns(config, entries, { baseDir, renderer, fonts: config.fonts }, problems);
+  }
+  if (checkFiles) {
+    checkRawFiles(config, entries, baseDir, problems);
+  }
+  return problems;
+}
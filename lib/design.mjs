@@ -0,0 +1,141 @@
+/**
+ * Design Resolution
+ *
+ * config.design is the global design. Partial `design` blocks can override it
+ * per size, per screenshot and per locale; they are deep-merged in this order
+ * (later wins):
+ *
+ *   1. config.design                          global
+ *   2. output.sizes[].design                  size (plus legacy cornerRadius/border)
+ *   3. screenshots[].design                   screenshot
+ *   4. script defaults                        font and RTL alignment (lib/scripts.mjs)
+ *   5. config.localeDesign[locale]            locale, all screenshots
+ *   6. screenshots[].localeDesign[locale]     locale, this screenshot only
+ *
+ * Objects merge key by key; arrays and scalars replace. `null` clears a value
+ * (e.g. `"border": null` removes a border set at an earlier level).
+ *
+ * A background `type` change replaces the whole background block, so settings
+ * from a gradient don't leak into a solid or image override.
+ *
+ * Right-to-left locales resolve with `direction: "rtl"`, and with
+ * `rtl.mirror` the finished design is mirrored left to right.
+ */
+
+import { scriptLayer, mirrorDesign } from './scripts.mjs';
+
+const DEFAULT_CORNER_RADIUS = 24;
+
+/**
+ * YUZU's position presets, keyed by the data-preset slug. Geometry is used by
+ * the native renderer: scale is the device width as a fraction of the canvas
+ * width, x/y place the device center as fractions of the canvas size, and
+ * rotation tilts the device in degrees. A YUZU run checks that the page offers
+ * a button for every preset its designs use (yuzuSelectors in yuzu.mjs), so a
+ * preset it lacks stops the run before the first job.
+ */
+export const POSITION_PRESETS = {
+  'centered': { name: 'Centered', scale: 0.7, x: 0.5, y: 0.6, rotation: 0 },
+  'bleed-bottom': { name: 'Bleed Bottom', scale: 0.85, x: 0.5, y: 0.78, rotation: 0 },
+  'bleed-top': { name: 'Bleed Top', scale: 0.85, x: 0.5, y: 0.22, rotation: 0 },
+  'float-center': { name: 'Float Center', scale: 0.6, x: 0.5, y: 0.6, rotation: 0 },
+  'float-bottom': { name: 'Float Bottom', scale: 0.65, x: 0.5, y: 0.7, rotation: 0 },
+  'tilt-left': { name: 'Tilt Left', scale: 0.7, x: 0.5, y: 0.62, rotation: -8 },
+  'tilt-right': { name: 'Tilt Right', scale: 0.7, x: 0.5, y: 0.62, rotation: 8 }
+};
+
+export const DEFAULT_POSITION_PRESET = 'bleed-bottom';
+
+/** Device types YUZU offers (config value → data-type) */
+export const DEVICE_TYPES = { '2D': '2d', '3D': '3d' };
+
+/**
+ * Look up a position preset by display name ("Bleed Bottom") or slug
+ * ("bleed-bottom"). Throws with the list of valid names for unknown presets.
+ */
+export function resolvePositionPreset(preset = DEFAULT_POSITION_PRESET) {
+  const slug = preset.trim().toLowerCase().replace(/\s+/g, '-');
+  if (!POSITION_PRESETS[slug]) {
+    const valid = Object.values(POSITION_PRESETS).map(p => `"${p.name}"`).join(', ');
+    throw new Error(`Unknown position preset "${preset}" (valid presets: ${valid})`);
+  }
+  return { slug, ...POSITION_PRESETS[slug] };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge override into base without mutating either. Keys starting with
+ * "_" (comments) are skipped.
+ */
+export function deepMerge(base, override) {
+  if (!isPlainObject(override)) return base;
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (key.startsWith('_')) continue;
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Legacy per-size settings (size.cornerRadius, size.border) as a design block
+ */
+function legacySizeOverrides(size) {
+  const device = {};
+  if (size.cornerRadius !== undefined) device.cornerRadius = size.cornerRadius;
+  if (size.border !== undefined) device.border = size.border;
+  return { device };
+}
+
+/**
+ * Merge one design layer, replacing the background when its type changes
+ */
+function mergeLayer(design, layer) {
+  const merged = deepMerge(design, layer);
+  const type = layer?.background?.type;
+  if (type && type !== (design.background?.type ?? 'gradient')) {
+    merged.background = layer.background;
+  }
+  return merged;
+}
+
+/**
+ * Resolve the effective design for one screenshot × locale × size
+ */
+export function resolveDesign(config, screenshot, locale, size) {
+  const shared = [legacySizeOverrides(size), size.design, screenshot.design].reduce(mergeLayer, config.design);
+  const layers = [
+    scriptLayer(shared, locale),
+    config.localeDesign?.[locale],
+    screenshot.localeDesign?.[locale]
+  ];
+  const merged = layers.reduce(mergeLayer, shared);
+  const design = deepMerge(merged, {
+    device: {
+      cornerRadius: merged.device?.cornerRadius ?? DEFAULT_CORNER_RADIUS,
+      border: merged.device?.border ?? null
+    }
+  });
+
+  return design.direction === 'rtl' && design.rtl?.mirror ? mirrorDesign(design) : design;
+}
+
+/**
+ * Normalized gradient stops for a background: explicit `stops` if given,
+ * otherwise color1 → color2. Missing positions are spread evenly (0–100).
+ */
+export function resolveGradientStops(background) {
+  const stops = background.stops ?? [
+    { color: background.color1, position: 0 },
+    { color: background.color2, position: 100 }
+  ];
+  return stops.map((stop, i) => ({
+    color: stop.color,
+    position: stop.position ?? (stops.length > 1 ? (i / (stops.length - 1)) * 100 : 0)
+  }));
+}
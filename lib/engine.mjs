@@ -0,0 +1,870 @@
+/**
+ * Generation Engine
+ *
+ * The programmatic API behind generate.mjs: turns a config into framed
+ * screenshots with the YUZU or native renderer, without reading process.argv
+ * or exiting the process. Progress is reported through callbacks instead of
+ * the console, so release tooling can embed it:
+ *
+ *   import { generate } from './lib/engine.mjs';
+ *   const result = await generate(config, {
+ *     renderer: 'native',
+ *     filter: { locales: ['de'] },
+ *     onJobComplete: entry => console.log(entry.id, entry.status)
+ *   });
+ *
+ * generate() runs once and closes the browser; createGenerator() keeps the
+ * browser pool open across runs (--watch). `yuzuUrl` can point at any page
+ * with YUZU's selectors, such as a local stub for tests.
+ */
+
+import { existsSync } from 'fs';
+import { availableParallelism } from 'os';
+import { mkdir, access, writeFile, rm, copyFile } from 'fs/promises';
+import { join, dirname, resolve, relative } from 'path';
+import { validateConfig } from './config-schema.mjs';
+import { resolveDesign, DEVICE_TYPES } from './design.mjs';
+import { loadManifest, saveManifest, computeJobHash, findCachedOutput, recordOutput } from './cache.mjs';
+import { hasCjk } from './text-fit.mjs';
+import { isComposite, rawSources, jobUnits, unitLocales, panoramaElements } from './jobs.mjs';
+import { applySizeProfiles, sizeImagePath, jobWeight } from './sizes.mjs';
+import { runQueue } from './scheduler.mjs';
+import { createBrowserPool, DEFAULT_CONTEXT_JOBS, DEFAULT_CONTEXT_MEMORY_MB } from './browser-pool.mjs';
+import { readPngSize, flattenAlpha } from './png.mjs';
+import { verifyImage, ALPHA_PROBLEM } from './verify.mjs';
+import { trackPage, beginAttempt, discardAttempt, saveFailureArtifacts } from './artifacts.mjs';
+import { applyTitlesSource, missingTranslations } from './translations.mjs';
+import { applyLocaleFallbacks, outputLocaleDirs, resolveRawPath } from './locales.mjs';
+import {
+  YUZU_RENDERER_VERSION, YUZU_DEMO_URL, LOCAL_YUZU_URL, detectLocalYuzu, isLocalUrl, checkYuzuSelectors, yuzuSelectors, checkYuzuModels,
+  selectOutputSize, uploadScreenshot, configureBackground, configureDevice, configureText, layoutHeadline,
+  exportScreenshot
+} from './yuzu.mjs';
+import { startYuzuServer } from './yuzu-server.mjs';
+import { fontFile, designFonts } from './fonts.mjs';
+
+/** Jobs run at once unless `concurrency` says otherwise */
+export const DEFAULT_CONCURRENCY = Math.min(4, availableParallelism());
+
+const RENDERERS = ['yuzu', 'native'];
+const MAX_RETRIES = 3;
+const TEXT_FIT_REPORT_FILE = 'text-fit-report.json';
+
+/**
+ * Prepare a config as read from config.json: apply size profiles, import
+ * titlesSource files (inline titles win), fill locale fallbacks and validate.
+ * Returns { config, problems, translationFiles, importedTitles,
+ * missingTranslations }; only generate from the config when `problems` is
+ * empty. Missing translations are listed when the config imports titles or
+ * has a locale table. A locale some titles were imported in but a screenshot
+ * still lacks after the fallbacks is only a missing translation: that
+ * screenshot is skipped in that locale. A locale missing from inline titles
+ * is a problem.
+ */
+export function loadConfig(rawConfig, { baseDir = process.cwd(), renderer = 'yuzu', checkRawFiles = false } = {}) {
+  const {
+    config: imported, problems, files, imported: importedTitles, locales: importedLocales
+  } = applyTitlesSource(applySizeProfiles(rawConfig), { baseDir });
+  const config = applyLocaleFallbacks(imported);
+  return {
+    config,
+    problems: [...problems, ...validateConfig(config, { baseDir, renderer, checkRawFiles, importedLocales })],
+    translationFiles: files,
+    importedTitles,
+    missingTranslations: rawConfig.titlesSource || rawConfig.locales ? missingTranslations(config) : []
+  };
+}
+
+/**
+ * Sanitize size name for filesystem (replace " with _)
+ */
+export function sanitizeSize(sizeName) {
+  return sizeName.replace(/"/g, '_').replace(/\s+/g, '_');
+}
+
+/**
+ * Absolute path of the background image for a resolved design (image backgrounds only).
+ * Relative paths are resolved from baseDir, like rawDir.
+ */
+function backgroundImagePath(baseDir, design) {
+  const { background } = design;
+  return background.type === 'image' ? resolve(baseDir, background.image) : null;
+}
+
+/**
+ * Resolve raw inputs and output paths for one screenshot/locale/size.
+ * `sources` lists every raw image with its placement (one for plain screenshots),
+ * taken from a fallback locale where the locale has none. `copies` are the
+ * output paths under the locale's other store codes (output.localeDirs "asc").
+ */
+function resolveJobPaths(config, baseDir, screenshot, locale, size) {
+  const sources = rawSources(screenshot, size).map(source => ({
+    path: resolveRawPath(config, baseDir, source.rawDir, locale, source.name).path,
+    placement: source.placement
+  }));
+  const outputDir = join(baseDir, config.output.path);
+  const [outputPath, ...copies] = outputLocaleDirs(config, locale, size)
+    .map(folder => join(outputDir, folder, sizeImagePath(config, size, sanitizeSize(size.device), screenshot.id)));
+  return { sources, outputPath, copies };
+}
+
+/**
+ * Identifies a screenshot in event payloads
+ */
+function describeJob(screenshot, locale, size) {
+  return { id: screenshot.id, locale, size: size.device };
+}
+
+/**
+ * Verify a freshly written image against its size entry, as written. With
+ * `flatten` (YUZU downloads) an alpha channel that is the only problem is
+ * flattened over black and the result verified again; anything else fails
+ * before flattening could hide it. A failing image is deleted and the
+ * problems thrown, so the job fails (and, for YUZU, goes through the retry
+ * path). Returns whether the image was flattened.
+ */
+async function verifyOutput(outputPath, size, { flatten = false } = {}) {
+  let problems = await verifyImage(outputPath, size);
+  let flattened = false;
+  if (flatten && problems.length === 1 && problems[0] === ALPHA_PROBLEM) {
+    flattened = await flattenAlpha(outputPath);
+    problems = await verifyImage(outputPath, size);
+  }
+  if (problems.length > 0) {
+    await rm(outputPath, { force: true });
+    throw new Error(`Output verification failed: ${problems.join(', ')}`);
+  }
+  return flattened;
+}
+
+/**
+ * Path of the first raw source that doesn't exist, or null if all do
+ */
+async function findMissingSource(sources) {
+  for (const { path } of sources) {
+    try {
+      await access(path);
+    } catch {
+      return path;
+    }
+  }
+  return null;
+}
+
+/**
+ * Swap raw sources for their cleaned-up versions when the size or screenshot
+ * sets `preprocess` (see lib/preprocess.mjs; loaded only when needed, like the
+ * native renderer)
+ */
+async function preprocessSources(sources, screenshot, size) {
+  if (!size.preprocess && !screenshot.preprocess) return sources;
+  const { resolvePreprocess, preprocessRaw } = await import('./preprocess.mjs');
+  const options = resolvePreprocess(size, screenshot);
+  if (!options) return sources;
+  return Promise.all(sources.map(async source => ({ ...source, path: await preprocessRaw(source.path, options) })));
+}
+
+/**
+ * Subheadline text for a locale, or null when the screenshot has none for it
+ * or the resolved design turns subheadlines off
+ */
+function resolveSubtitle(screenshot, locale, design) {
+  if (design.text.subheadline === false) return null;
+  return screenshot.subtitles?.[locale] || null;
+}
+
+/**
+ * Font files the native renderer draws a design's text with, so a changed
+ * font file invalidates the cache like a changed raw screenshot
+ */
+function nativeFontFiles(run, design, subtitle) {
+  return designFonts(design, { subtitle: Boolean(subtitle) })
+    .map(({ family, weight }) => fontFile(run.config.fonts, family, weight, run.baseDir))
+    .filter(Boolean);
+}
+
+/**
+ * Hash a job's inputs and check it against the manifest. `fontFiles` are the
+ * font files a native render uses.
+ * Returns { hash, cachedEntry }; cachedEntry is always null when forced.
+ */
+async function checkCache(run, { sources, outputPath, title, subtitle, design, size, rendererVersion, fontFiles = [] }) {
+  const inputFiles = [...sources.map(source => source.path), backgroundImagePath(run.baseDir, design), ...fontFiles].filter(Boolean);
+  const hash = await computeJobHash({ inputFiles, title, subtitle, design, size, rendererVersion });
+  const cachedEntry = run.force ? null : await findCachedOutput(run.manifest, outputPath, hash);
+  return { hash, cachedEntry };
+}
+
+/**
+ * Add a headline fit to the run's text-fit report if it was shrunk or overflows
+ */
+function recordTextFit(run, screenshot, locale, size, textFit) {
+  if (!textFit || (textFit.fits && !textFit.shrunk)) return;
+  run.textFits.push({
+    id: screenshot.id,
+    locale,
+    size: size.device,
+    fontSize: textFit.fontSize,
+    lines: textFit.lines,
+    status: textFit.fits ? 'shrunk' : 'overflow'
+  });
+}
+
+/**
+ * Process a single screenshot with retry logic.
+ * Configures ALL settings per screenshot since YUZU resets device position on upload.
+ * `design` is the resolved design for this screenshot/locale/size. `getPage`
+ * returns the worker's YUZU page; it is only called when the job isn't cached.
+ * Returns { status, attempts, error, textFits, artifacts, flattened } with status
+ * 'generated', 'cached' or 'failed'; throws when the page itself is gone.
+ * With artifactsDir, `artifacts` lists what was saved for each failed attempt.
+ */
+async function processScreenshot(run, getPage, screenshot, locale, size, design, attempt = 1) {
+  const job = describeJob(screenshot, locale, size);
+  const warn = message => run.events.onMessage?.({ level: 'warning', message, ...job });
+  const title = screenshot.titles[locale];
+  const subtitle = resolveSubtitle(screenshot, locale, design);
+  const { sources: originals, outputPath } = resolveJobPaths(run.config, run.baseDir, screenshot, locale, size);
+  let page = null;
+
+  try {
+    // Check if raw screenshot exists
+    const missingPath = await findMissingSource(originals);
+    if (missingPath) {
+      return { status: 'failed', attempts: 0, error: `Raw screenshot not found: ${missingPath}` };
+    }
+
+    let sources;
+    try {
+      sources = await preprocessSources(originals, screenshot, size);
+    } catch (error) {
+      return { status: 'failed', attempts: 0, error: `Preprocessing failed: ${error.message}` };
+    }
+
+    // Skip if nothing that affects this image changed since the last run
+    const { hash, cachedEntry } = await checkCache(run, {
+      sources, outputPath, title, subtitle, design, size, rendererVersion: YUZU_RENDERER_VERSION
+    });
+    if (cachedEntry) {
+      recordTextFit(run, screenshot, locale, size, cachedEntry.textFit);
+      return { status: 'cached', attempts: 0, error: null, textFits: [cachedEntry.textFit] };
+    }
+
+    run.events.onJobStart?.({ ...job, attempt, maxAttempts: MAX_RETRIES });
+    page = await getPage();
+    if (run.artifactsDir) await beginAttempt(page, { trace: run.trace });
+
+    // Reload page to clear YUZU's screenshot list (prevents OOM from accumulation)
+    await page.reload({ waitUntil: 'networkidle' });
+    await page.waitForTimeout(500);
+    await selectOutputSize(page, size);
+
+    // Upload screenshot
+    await uploadScreenshot(page, sources[0].path);
+
+    // Configure all settings (YUZU resets device position on each upload)
+    await configureBackground(page, design, backgroundImagePath(run.baseDir, design));
+    await configureDevice(page, design);
+    // YUZU always centers text (right-to-left locales default to right-aligned)
+    if ((design.text.align ?? 'center') !== 'center' && !run.alignNoticeShown) {
+      run.events.onMessage?.({
+        level: 'info',
+        message: `YUZU has no text alignment setting; headlines stay centered (text.align "${design.text.align}" needs the native renderer)`
+      });
+      run.alignNoticeShown = true;
+    }
+    await configureText(page, design, title, subtitle, warn);
+    const textFit = design.text.autoFit || hasCjk(title) ? await layoutHeadline(page, design, title, size, warn) : null;
+
+    // Export
+    await exportScreenshot(page, outputPath);
+    const flattened = await verifyOutput(outputPath, size, { flatten: true });
+    if (flattened && !run.flattenNoticeShown) {
+      run.events.onMessage?.({
+        level: 'info',
+        message: 'YUZU exported images with an alpha channel; they are flattened over black (alphaFlattened in the run report)'
+      });
+      run.flattenNoticeShown = true;
+    }
+    if (run.artifactsDir) await discardAttempt(page, { trace: run.trace });
+    await recordOutput(run.manifest, outputPath, hash, { textFit });
+    recordTextFit(run, screenshot, locale, size, textFit);
+
+    return { status: 'generated', attempts: attempt, error: null, textFits: [textFit], flattened };
+
+  } catch (error) {
+    // Without a page there is nothing to retry on; the caller recovers the context
+    if (!page) throw error;
+
+    // Save what the page looked like before the retry reload wipes it
+    const artifacts = [];
+    if (run.artifactsDir) {
+      const basePath = join(run.artifactsDir, locale, sanitizeSize(size.device), screenshot.id, `attempt-${attempt}`);
+      artifacts.push({ attempt, ...(await saveFailureArtifacts(page, { basePath, trace: run.trace })) });
+      run.events.onMessage?.({ level: 'info', message: `Failure artifacts saved to ${dirname(basePath)}`, ...job });
+    }
+
+    if (attempt < MAX_RETRIES) {
+      run.events.onRetry?.({ ...job, attempt, error: error.message });
+      await page.waitForTimeout(1500);
+      // Reload page to clear state on retry
+      await page.reload({ waitUntil: 'networkidle' });
+      await page.waitForTimeout(1000);
+      const next = await processScreenshot(run, getPage, screenshot, locale, size, design, attempt + 1);
+      return { ...next, artifacts: [...artifacts, ...(next.artifacts ?? [])] };
+    }
+    return { status: 'failed', attempts: attempt, error: error.message, artifacts };
+  }
+}
+
+/**
+ * Render one screenshot with the native renderer (no browser involved).
+ * Used for every job with the native renderer and for composite screenshots.
+ * Returns { status, attempts, error, textFits } like processScreenshot.
+ */
+async function processScreenshotNative(run, screenshot, locale, size, design) {
+  const { renderScreenshot, RENDERER_VERSION } = await import('./native-renderer.mjs');
+  const title = screenshot.titles[locale];
+  const subtitle = resolveSubtitle(screenshot, locale, design);
+  const { sources: originals, outputPath } = resolveJobPaths(run.config, run.baseDir, screenshot, locale, size);
+
+  const missingPath = await findMissingSource(originals);
+  if (missingPath) {
+    return { status: 'failed', attempts: 0, error: `Raw screenshot not found: ${missingPath}` };
+  }
+
+  try {
+    const sources = await preprocessSources(originals, screenshot, size);
+    const { hash, cachedEntry } = await checkCache(run, {
+      sources, outputPath, title, subtitle, design, size, rendererVersion: `native@${RENDERER_VERSION}`,
+      fontFiles: nativeFontFiles(run, design, subtitle)
+    });
+    if (cachedEntry) {
+      recordTextFit(run, screenshot, locale, size, cachedEntry.textFit);
+      return { status: 'cached', attempts: 0, error: null, textFits: [cachedEntry.textFit] };
+    }
+
+    run.events.onJobStart?.({ ...describeJob(screenshot, locale, size), attempt: 1, maxAttempts: 1 });
+    const { textFit } = await renderScreenshot({
+      sources, title, subtitle, design, size, outputPath, backgroundImage: backgroundImagePath(run.baseDir, design),
+      fonts: run.config.fonts, baseDir: run.baseDir
+    });
+    await verifyOutput(outputPath, size);
+    const reportedFit = design.text.autoFit ? textFit : null;
+    await recordOutput(run.manifest, outputPath, hash, { textFit: reportedFit });
+    recordTextFit(run, screenshot, locale, size, reportedFit);
+    return { status: 'generated', attempts: 1, error: null, textFits: [reportedFit] };
+  } catch (error) {
+    return { status: 'failed', attempts: 1, error: error.message };
+  }
+}
+
+/**
+ * Render a panorama group for one locale on a single wide canvas and slice it
+ * into its screenshots' files. The background comes from the panorama's own
+ * design layers; devices and text from each screenshot's.
+ * Returns { status, attempts, error, textFits } for the whole group.
+ */
+async function processPanoramaNative(run, panorama, screenshots, locale, size) {
+  const { renderPanorama, RENDERER_VERSION } = await import('./native-renderer.mjs');
+  const { config, baseDir } = run;
+  const design = resolveDesign(config, panorama, locale, size);
+  const panels = screenshots.map(screenshot => {
+    const panelDesign = resolveDesign(config, screenshot, locale, size);
+    return {
+      screenshot,
+      ...resolveJobPaths(config, baseDir, screenshot, locale, size),
+      title: screenshot.titles[locale],
+      subtitle: resolveSubtitle(screenshot, locale, panelDesign),
+      design: panelDesign
+    };
+  });
+  const elements = panoramaElements(panorama, size).map(element => ({
+    ...element,
+    path: element.image
+      ? resolve(baseDir, element.image)
+      : resolveRawPath(config, baseDir, element.rawDir, locale, element.name).path
+  }));
+
+  const rawInputs = [...panels.flatMap(panel => panel.sources), ...elements.filter(element => !element.image)];
+  const missingPath = await findMissingSource(rawInputs);
+  if (missingPath) {
+    return { status: 'failed', attempts: 0, error: `Raw screenshot not found: ${missingPath}` };
+  }
+
+  try {
+    // Raw elements follow the size's preprocessing (panoramas set none of their own)
+    for (const panel of panels) {
+      panel.sources = await preprocessSources(panel.sources, panel.screenshot, size);
+    }
+    for (const [i, element] of elements.entries()) {
+      if (!element.image) [elements[i]] = await preprocessSources([element], panorama, size);
+    }
+
+    // One hash covers the whole canvas; every slice is recorded under it
+    const hash = await computeJobHash({
+      inputFiles: [
+        ...panels.flatMap(panel => panel.sources.map(source => source.path)),
+        ...elements.filter(element => !element.image).map(element => element.path),
+        ...elements.filter(element => element.image).map(element => element.path),
+        backgroundImagePath(baseDir, design),
+        ...panels.flatMap(panel => nativeFontFiles(run, panel.design, panel.subtitle))
+      ].filter(Boolean),
+      title: panels.map(panel => panel.title),
+      subtitle: panels.map(panel => panel.subtitle),
+      design: { background: design, panels: panels.map(panel => panel.design), elements: panorama.elements ?? [] },
+      size,
+      rendererVersion: `native@${RENDERER_VERSION}`
+    });
+    const cachedEntries = run.force
+      ? []
+      : await Promise.all(panels.map(panel => findCachedOutput(run.manifest, panel.outputPath, hash)));
+    if (cachedEntries.length > 0 && cachedEntries.every(Boolean)) {
+      panels.forEach((panel, i) => recordTextFit(run, panel.screenshot, locale, size, cachedEntries[i].textFit));
+      return { status: 'cached', attempts: 0, error: null, textFits: cachedEntries.map(entry => entry.textFit) };
+    }
+
+    for (const panel of panels) {
+      run.events.onJobStart?.({ ...describeJob(panel.screenshot, locale, size), attempt: 1, maxAttempts: 1 });
+    }
+    const { textFits } = await renderPanorama({
+      panels, design, elements, size, backgroundImage: backgroundImagePath(baseDir, design),
+      fonts: config.fonts, baseDir
+    });
+    for (const panel of panels) {
+      await verifyOutput(panel.outputPath, size);
+    }
+    const reportedFits = panels.map((panel, i) => panel.design.text.autoFit ? textFits[i] : null);
+    for (const [i, panel] of panels.entries()) {
+      await recordOutput(run.manifest, panel.outputPath, hash, { textFit: reportedFits[i] });
+      recordTextFit(run, panel.screenshot, locale, size, reportedFits[i]);
+    }
+    return { status: 'generated', attempts: 1, error: null, textFits: reportedFits };
+  } catch (error) {
+    return { status: 'failed', attempts: 1, error: error.message };
+  }
+}
+
+/**
+ * Every job for this config: one per screenshot × locale × size, except that
+ * a panorama group is a single job covering all of its screenshots.
+ * Screenshots drawn by the native renderer (every job with the native
+ * renderer, composites and panoramas) are marked `native` and never need a
+ * browser. `filter` limits the jobs to some `screenshots` (ids; a panorama is
+ * rendered whole if any of its screenshots is listed), `locales` and `sizes`
+ * (device labels or profile names). Larger images are queued first so the
+ * slowest jobs don't end up last.
+ */
+export function buildJobs(config, { renderer = 'yuzu', filter = {} } = {}) {
+  const jobs = [];
+  for (const size of config.output.sizes) {
+    if (filter.sizes && !filter.sizes.includes(size.device) && !filter.sizes.includes(size.profile)) continue;
+    for (const unit of jobUnits(config, size)) {
+      const screenshots = unit.panorama ? unit.screenshots : [unit.screenshot];
+      if (filter.screenshots && !screenshots.some(screenshot => filter.screenshots.includes(screenshot.id))) continue;
+      for (const locale of unitLocales(unit)) {
+        if (filter.locales && !filter.locales.includes(locale)) continue;
+        jobs.push({
+          ...unit,
+          size,
+          locale,
+          count: screenshots.length,
+          native: renderer === 'native' || Boolean(unit.panorama) || isComposite(screenshots[0])
+        });
+      }
+    }
+  }
+  return jobs.sort((a, b) => jobWeight(b.size) - jobWeight(a.size));
+}
+
+/**
+ * Execute one job on a worker. Browser jobs use the worker's context from the
+ * pool; if that context or Chromium dies, the job is retried once on a fresh one.
+ * Returns { status, attempts, error, textFits, artifacts, flattened }.
+ */
+async function executeJob(run, job, workerId) {
+  const { size, locale } = job;
+
+  if (job.panorama) {
+    return processPanoramaNative(run, job.panorama, job.screenshots, locale, size);
+  }
+  const design = resolveDesign(run.config, job.screenshot, locale, size);
+  if (job.native) {
+    return processScreenshotNative(run, job.screenshot, locale, size, design);
+  }
+
+  const pool = await run.browserPool();
+  const getPage = () => pool.page(workerId);
+  let result;
+  try {
+    result = await processScreenshot(run, getPage, job.screenshot, locale, size, design);
+  } catch (fatalError) {
+    // Browser context or browser died — recreate and retry (the lost attempt counts)
+    run.events.onMessage?.({ level: 'warning', message: `${fatalError.message}, recovering...` });
+    await pool.discard(workerId);
+    try {
+      const retry = await processScreenshot(run, getPage, job.screenshot, locale, size, design);
+      result = { ...retry, attempts: retry.attempts + 1 };
+    } catch (retryError) {
+      result = { status: 'failed', attempts: 2, error: retryError.message };
+    }
+  }
+  if (result.status !== 'cached') {
+    await pool.release(workerId, jobWeight(size));
+  }
+  return result;
+}
+
+/**
+ * Copy a finished image into the folders of its locale's other ASC codes.
+ * Copies are refreshed when the image was regenerated or a copy is missing.
+ */
+async function writeLocaleCopies(outputPath, copies, regenerated) {
+  for (const copy of copies) {
+    if (!regenerated && existsSync(copy)) continue;
+    await mkdir(dirname(copy), { recursive: true });
+    await copyFile(outputPath, copy);
+  }
+}
+
+/**
+ * Run one job and describe its outcome: one report entry per screenshot
+ * (several for a panorama, which share the job's duration). Each entry is
+ * also passed to onJobComplete, followed by onProgress. In a YUZU run,
+ * composites and panoramas are drawn natively; each such job says so through
+ * onMessage and its entries record the renderer.
+ */
+async function runJob(run, job, workerId) {
+  const { baseDir } = run;
+  if (job.native && run.renderer === 'yuzu') {
+    const what = job.panorama ? `Panorama "${job.panorama.id}"` : `Composite screenshot "${job.screenshot.id}"`;
+    run.events.onMessage?.({
+      level: 'info',
+      message: `${what} is drawn by the native renderer (YUZU frames one screenshot per canvas)`,
+      ...describeJob(job.panorama ?? job.screenshot, job.locale, job.size)
+    });
+  }
+  const startTime = Date.now();
+  const { status, attempts, error, textFits = [], artifacts = [], flattened = false } = await executeJob(run, job, workerId);
+  const durationMs = Math.round((Date.now() - startTime) / job.count);
+
+  const screenshots = job.panorama ? job.screenshots : [job.screenshot];
+  const entries = await Promise.all(screenshots.map(async (screenshot, i) => {
+    const { outputPath, copies } = resolveJobPaths(run.config, baseDir, screenshot, job.locale, job.size);
+    if (status !== 'failed') {
+      await writeLocaleCopies(outputPath, copies, status === 'generated');
+    }
+    return {
+      id: screenshot.id,
+      locale: job.locale,
+      size: job.size.device,
+      status,
+      renderer: job.native ? 'native' : 'yuzu',
+      attempts,
+      durationMs,
+      outputPath: relative(baseDir, outputPath),
+      dimensions: status === 'failed' ? null : await readPngSize(outputPath),
+      ...(copies.length > 0 && { copies: copies.map(copy => relative(baseDir, copy)) }),
+      ...(job.panorama && { panorama: job.panorama.id }),
+      ...(textFits[i] && { textFit: textFits[i] }),
+      ...(flattened && { alphaFlattened: true }),
+      error,
+      artifacts: artifacts.map(({ attempt, ...files }) => ({
+        attempt,
+        ...Object.fromEntries(Object.entries(files).map(([kind, path]) => [kind, relative(baseDir, path)]))
+      }))
+    };
+  }));
+
+  for (const entry of entries) {
+    run.completed++;
+    run.events.onJobComplete?.(entry);
+    run.events.onProgress?.({ completed: run.completed, total: run.total });
+  }
+  return entries;
+}
+
+/**
+ * Create a generator that can run several times on one browser pool (the pool
+ * is opened on the first YUZU job and kept until close()). Options:
+ * - baseDir: where relative config paths (rawDir, output.path, images)
+ *   start (default: the working directory)
+ * - renderer: 'yuzu' (default) or 'native'
+ * - yuzuDir: a YUZU checkout or build to serve on a free localhost port
+ * - yuzuUrl: YUZU page to automate instead (default: a local instance on
+ *   port 8080)
+ * - allowRemote: allow a yuzuUrl on another machine, and the public demo
+ *   when no local YUZU answers; off by default, since the raw screenshots
+ *   would leave this machine
+ * - concurrency, contextJobs, contextMemoryMb: worker count and browser
+ *   context budgets (see lib/browser-pool.mjs)
+ * - force: ignore the cache; artifactsDir and trace: failure artifacts
+ * - filter: { screenshots, locales, sizes } (see buildJobs)
+ * - onJobStart({ id, locale, size, attempt, maxAttempts }): an image starts
+ *   rendering (cached images don't)
+ * - onRetry({ id, locale, size, attempt, error }): an attempt failed and
+ *   another follows
+ * - onJobComplete(entry): an image is done, as a run report entry
+ * - onProgress({ completed, total }): after each onJobComplete
+ * - onMessage({ level, message, id?, locale?, size? }): 'info' or 'warning'
+ *   notices, e.g. a font YUZU doesn't offer
+ * Throws for an unknown renderer. Before a run's first YUZU job the page is
+ * checked for the selectors that run relies on: the core controls and those
+ * its designs use (see yuzuSelectors in lib/yuzu.mjs); a refused remote URL
+ * or a missing selector rejects the run.
+ */
+export function createGenerator({
+  baseDir = process.cwd(),
+  renderer = 'yuzu',
+  yuzuDir = null,
+  yuzuUrl = null,
+  allowRemote = false,
+  concurrency = DEFAULT_CONCURRENCY,
+  contextJobs = DEFAULT_CONTEXT_JOBS,
+  contextMemoryMb = DEFAULT_CONTEXT_MEMORY_MB,
+  force = false,
+  artifactsDir = null,
+  trace = false,
+  filter = {},
+  onJobStart,
+  onRetry,
+  onJobComplete,
+  onProgress,
+  onMessage
+} = {}) {
+  if (!RENDERERS.includes(renderer)) {
+    throw new Error(`Unknown renderer "${renderer}" (expected "yuzu" or "native")`);
+  }
+  const events = { onJobStart, onRetry, onJobComplete, onProgress, onMessage };
+  const filtered = Object.values(filter).some(Boolean);
+  let server = null;
+  let pool = null;
+
+  /**
+   * URL of the YUZU to automate: yuzuDir served locally, yuzuUrl, or the
+   * instance on port 8080. Remote YUZU (including the public demo) only with
+   * allowRemote.
+   */
+  async function resolveYuzuUrl() {
+    if (yuzuDir) {
+      server = await startYuzuServer(yuzuDir);
+      onMessage?.({ level: 'info', message: `Serving YUZU from ${yuzuDir} at ${server.url}` });
+      return server.url;
+    }
+    if (yuzuUrl) {
+      if (!isLocalUrl(yuzuUrl) && !allowRemote) {
+        throw new Error(`Refusing to send screenshots to remote YUZU at ${yuzuUrl} (pass --allow-remote to allow it)`);
+      }
+      onMessage?.({ level: 'info', message: `Using YUZU at ${yuzuUrl}` });
+      return yuzuUrl;
+    }
+    const localUrl = await detectLocalYuzu();
+    if (localUrl) {
+      onMessage?.({ level: 'info', message: `Using local YUZU instance at ${localUrl}` });
+      return localUrl;
+    }
+    if (!allowRemote) {
+      throw new Error(`No YUZU running at ${LOCAL_YUZU_URL}. Start it with "docker compose up -d", ` +
+        `serve a checkout with --yuzu-dir <path>, or pass --allow-remote to use the public demo (${YUZU_DEMO_URL})`);
+    }
+    onMessage?.({ level: 'warning', message: `Local YUZU not available, using live demo: ${YUZU_DEMO_URL}` });
+    return YUZU_DEMO_URL;
+  }
+
+  /**
+   * The browser pool, opened on first use. A pool that failed to open isn't
+   * kept, so the next job or run (e.g. in --watch) tries again.
+   */
+  function browserPool() {
+    if (pool) return pool;
+    const opening = (async () => {
+      const url = await resolveYuzuUrl();
+      const opened = createBrowserPool({
+        url,
+        contextJobs,
+        contextMemoryMb,
+        trace,
+        onPage: artifactsDir ? trackPage : null,
+        onMessage
+      });
+      return { url, opened };
+    })();
+    opening.catch(() => {
+      if (pool === opening) pool = null;
+    });
+    pool = opening;
+    return pool;
+  }
+
+  /**
+   * The browser pool for one run, once its page has every selector the run's
+   * YUZU jobs rely on (see yuzuSelectors) and every 3D model their designs
+   * name. A YUZU whose UI changed, or a model it doesn't offer, would fail
+   * every job it touches after all retries, so either stops the run before
+   * the first job.
+   */
+  async function checkedBrowserPool(config, jobs) {
+    const { url, opened } = await browserPool();
+    const designs = jobs.map(({ screenshot, locale, size }) => {
+      const design = resolveDesign(config, screenshot, locale, size);
+      return { design, size, subtitle: resolveSubtitle(screenshot, locale, design) };
+    });
+    const page = await opened.page(0);
+    const missing = await checkYuzuSelectors(page, yuzuSelectors(designs));
+    if (missing.length > 0) {
+      const list = missing.map(({ selector, label }) => `${selector} (${label})`).join(', ');
+      throw new Error(`YUZU at ${url} is missing ${missing.length} selector(s) appshot relies on: ${list}. ` +
+        'Its UI has changed; update lib/yuzu.mjs or serve a known-good YUZU checkout with --yuzu-dir');
+    }
+    const models = [...new Set(designs
+      .filter(({ design }) => DEVICE_TYPES[design.device.type || '2D'] === '3d' && design.device.model)
+      .map(({ design }) => design.device.model))];
+    const { missing: missingModels, offered } = await checkYuzuModels(page, models);
+    if (missingModels.length > 0) {
+      throw new Error(`YUZU at ${url} has no 3D device model ${missingModels.map(model => `"${model}"`).join(', ')} ` +
+        `(#device-3d-model offers: ${offered.join(', ') || 'nothing'}); fix design.device.model`);
+    }
+    return opened;
+  }
+
+  /**
+   * Generate every image of a prepared config (see loadConfig). `force`
+   * overrides the generator's setting for this run. Returns { startedAt,
+   * durationMs, outputDir, summary, entries, textFits, textFitReportPath }:
+   * summary counts { total, generated, cached, failed }, entries are the run
+   * report entries and textFits the shrunk or overflowing headlines (also
+   * written to text-fit-report.json in the output directory, which is
+   * removed when there are none; filtered runs leave it untouched and
+   * return a null textFitReportPath).
+   */
+  async function run(config, { force: forceRun = force } = {}) {
+    const outputDir = join(baseDir, config.output.path);
+    const jobs = buildJobs(config, { renderer, filter });
+    let checkedPool = null;
+    const state = {
+      config,
+      baseDir,
+      renderer,
+      force: forceRun,
+      artifactsDir,
+      trace,
+      events,
+      browserPool: () => (checkedPool ??= checkedBrowserPool(config, jobs.filter(job => !job.native))),
+      manifest: await loadManifest(outputDir),
+      textFits: [],
+      total: jobs.reduce((sum, job) => sum + job.count, 0),
+      completed: 0,
+      alignNoticeShown: false,
+      flattenNoticeShown: false
+    };
+
+    const startedAt = new Date();
+    const results = await runQueue(jobs, {
+      concurrency,
+      runJob: (job, workerId) => runJob(state, job, workerId)
+    });
+    const entries = results.flat();
+    const durationMs = Date.now() - startedAt.getTime();
+
+    // Persist cache entries for everything generated this run (even if some failed)
+    await saveManifest(state.manifest);
+
+    // Text fit report (removed when nothing was shrunk, so it never goes stale).
+    // A filtered run only saw some images and leaves the report alone.
+    let textFitReportPath = join(outputDir, TEXT_FIT_REPORT_FILE);
+    if (filtered) {
+      textFitReportPath = null;
+    } else if (state.textFits.length > 0) {
+      await writeFile(textFitReportPath, JSON.stringify(state.textFits, null, 2) + '\n');
+    } else {
+      await rm(textFitReportPath, { force: true });
+      textFitReportPath = null;
+    }
+
+    const summary = { total: entries.length, generated: 0, cached: 0, failed: 0 };
+    for (const entry of entries) summary[entry.status]++;
+    return {
+      startedAt: startedAt.toISOString(),
+      durationMs,
+      outputDir,
+      summary,
+      entries,
+      textFits: state.textFits,
+      textFitReportPath
+    };
+  }
+
+  async function close() {
+    const closing = pool;
+    pool = null;
+    // A pool that failed to open has nothing left to close
+    await (await closing?.catch(() => null))?.opened.close();
+    await server?.close();
+    server = null;
+  }
+
+  return { run, close };
+}
+
+/**
+ * Validate `config` (as read from config.json, see loadConfig) and generate
+ * every image once with `options` (see createGenerator), closing the browser
+ * afterwards. Returns the run result; throws on an invalid config with the
+ * problems as `error.problems` ([{ path, message }]).
+ */
+export async function generate(config, options = {}) {
+  const { config: prepared, problems } = loadConfig(config, { baseDir: options.baseDir, renderer: options.renderer });
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration (${problems.length} problem(s)): ${problems.map(p => `${p.path || '(root)'}: ${p.message}`).join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  const generator = createGenerator(options);
+  try {
+    return await generator.run(prepared);
+  } finally {
+    await generator.close();
+  }
+}
+
+/**
+ * Every image a prepared config generates: [{ screenshot, locale, size,
+ * outputPath, copies }] with absolute paths, by size, then screenshot in
+ * config order (panoramas where their first screenshot would be), then locale
+ */
+export function outputImages(config, { baseDir = process.cwd() } = {}) {
+  const images = [];
+  for (const size of config.output.sizes) {
+    for (const unit of jobUnits(config, size)) {
+      for (const screenshot of unit.panorama ? unit.screenshots : [unit.screenshot]) {
+        for (const locale of unitLocales(unit)) {
+          const { outputPath, copies } = resolveJobPaths(config, baseDir, screenshot, locale, size);
+          images.push({ screenshot, locale, size, outputPath, copies });
+        }
+      }
+    }
+  }
+  return images;
+}
+
+/**
+ * Check every image a prepared config would generate, without generating
+ * anything. Returns { outputDir, checked, failures } with failures as
+ * [{ id, locale, size, path, problems }], path relative to outputDir.
+ */
+export async function verifyOutputs(config, { baseDir = process.cwd() } = {}) {
+  const outputDir = join(baseDir, config.output.path);
+  let checked = 0;
+  const failures = [];
+
+  for (const { screenshot, locale, size, outputPath, copies } of outputImages(config, { baseDir })) {
+    for (const path of [outputPath, ...copies]) {
+      const problems = await verifyImage(path, size);
+      checked++;
+      if (problems.length > 0) {
+        failures.push({ ...describeJob(screenshot, locale, size), path: relative(outputDir, path), problems });
+      }
+    }
+  }
+  return { outputDir, checked, failures };
+}
@@ -0,0 +1,66 @@
+/**
+ * Font Files
+ *
+ * The native renderer draws text with font files the config names; nothing is
+ * downloaded, so a render depends only on files on disk. `fonts` maps a family
+ * to one file for every weight (a variable font, or a family used at a single
+ * weight) or to one file per weight:
+ *
+ *   "fonts": {
+ *     "Open Sans": "fonts/OpenSans-Variable.ttf",
+ *     "Noto Sans JP": { "400": "fonts/NotoSansJP-Regular.ttf", "900": "fonts/NotoSansJP-Black.ttf" }
+ *   }
+ *
+ * Paths are relative to the appshot directory (baseDir), like rawDir. YUZU
+ * loads its fonts itself and ignores this table.
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+
+/** Headline font and weight when the design doesn't set them */
+export const DEFAULT_FONT = 'Open Sans';
+export const DEFAULT_HEADLINE_WEIGHT = '900';
+export const DEFAULT_SUBHEADLINE_WEIGHT = '400';
+
+/**
+ * Absolute path of the file configured for a family at a weight, or null
+ * when the config names none
+ */
+export function fontFile(fonts, family, weight, baseDir = process.cwd()) {
+  const entry = fonts?.[family];
+  const path = typeof entry === 'string' ? entry : entry?.[String(weight)];
+  return path ? resolve(baseDir, path) : null;
+}
+
+/**
+ * The { family, weight } pairs a resolved design draws: the headline, and the
+ * subheadline when there is a subtitle
+ */
+export function designFonts(design, { subtitle = false } = {}) {
+  const { text } = design;
+  const font = text.font || DEFAULT_FONT;
+  const used = [{ family: font, weight: String(text.headlineWeight || DEFAULT_HEADLINE_WEIGHT) }];
+  if (subtitle) {
+    used.push({
+      family: text.subheadlineFont || font,
+      weight: String(text.subheadlineWeight || DEFAULT_SUBHEADLINE_WEIGHT)
+    });
+  }
+  return used;
+}
+
+/**
+ * Why a family can't be drawn at a weight, or null when it can. The file is
+ * only checked for existence when baseDir is given.
+ */
+export function fontProblem(fonts, family, weight, baseDir) {
+  const path = fontFile(fonts, family, weight, baseDir);
+  if (!path) {
+    return `font "${family}" (${weight}) has no file; add it to "fonts" in the config`;
+  }
+  if (baseDir && !existsSync(path)) {
+    return `font file for "${family}" (${weight}) not found: ${path}`;
+  }
+  return null;
+}
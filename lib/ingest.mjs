@@ -0,0 +1,285 @@
+/**
+ * Raw Screenshot Ingestion
+ *
+ * Sorts screenshots exported by a UI test run into the raw folders appshot
+ * reads (<rawDir>/<locale>/<id>.png). The source is a directory tree, a ZIP
+ * archive or an exported xcresult attachments folder. Declarative filename
+ * patterns map each file to a locale and screenshot id, and its pixel
+ * dimensions pick the size — and so the rawDir — it belongs to.
+ */
+
+import { readdir, readFile, writeFile, mkdir, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { pngInfo } from './png.mjs';
+import { readZipEntries } from './zip.mjs';
+import { rawSources, jobUnits } from './jobs.mjs';
+import { ascCodes, resolveRawPath } from './locales.mjs';
+
+/** Tried in order when the config has no ingest.patterns */
+export const DEFAULT_INGEST_PATTERNS = ['{locale}/{id}', '{locale}-{id}', '{locale}-{index}'];
+
+const TOKEN_PATTERNS = {
+  locale: '[A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,4})*',
+  id: '[A-Za-z0-9._-]+',
+  index: '\\d+',
+  device: '.+?',
+  '*': '.*?'
+};
+
+/** Aspect ratios this close (relative) count as the same screen shape */
+const ASPECT_TOLERANCE = 0.01;
+/** Suffix xcresulttool adds to suggested attachment names: _<n>_<UUID> */
+const XCRESULT_SUFFIX = /_\d+_[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i;
+const DIMENSIONS = /^(\d+)x(\d+)$/;
+
+/**
+ * Compile a filename pattern like "{locale}/{device}-{id}" into a regex with
+ * named groups. Tokens: {locale}, {id}, {index}, {device} and {*} (anything).
+ * Throws for unknown or repeated tokens.
+ */
+export function compilePattern(pattern) {
+  const seen = new Set();
+  const source = pattern.split(/(\{[^}]*\})/).map(part => {
+    const token = part.match(/^\{(.*)\}$/)?.[1];
+    if (token === undefined) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (!(token in TOKEN_PATTERNS)) throw new Error(`unknown token {${token}}`);
+    if (token === '*') return `(?:${TOKEN_PATTERNS[token]})`;
+    if (seen.has(token)) throw new Error(`{${token}} appears more than once`);
+    seen.add(token);
+    return `(?<${token}>${TOKEN_PATTERNS[token]})`;
+  }).join('');
+  if (!seen.has('id') && !seen.has('index')) throw new Error('needs an {id} or {index} token');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Files of a source (directory, ZIP archive or exported xcresult
+ * attachments) as [{ path, name, read }], sorted by path: `path` relative to
+ * the source, `name` the path to match patterns against (no extension; the
+ * human-readable attachment name for xcresult exports). Hidden files are
+ * skipped.
+ */
+export async function listSource(source) {
+  const info = await stat(source);
+  let files;
+  if (info.isFile()) {
+    files = (await readZipEntries(source)).map(entry => ({ path: entry.name, read: async () => entry.read() }));
+  } else if (source.endsWith('.xcresult')) {
+    throw new Error(`${source} is an xcresult bundle; export its attachments first ` +
+      '(xcrun xcresulttool export attachments --path <bundle> --output-path <dir>, or extract-screenshots.sh)');
+  } else {
+    const entries = await readdir(source, { recursive: true, withFileTypes: true });
+    files = entries
+      .filter(entry => entry.isFile())
+      .map(entry => {
+        const path = join(entry.parentPath ?? entry.path, entry.name).slice(source.length).replace(/^[\\/]+/, '').replace(/\\/g, '/');
+        return { path, read: () => readFile(join(source, path)) };
+      });
+  }
+
+  // xcresulttool names attachments by UUID and lists the readable names in manifest.json
+  const manifest = files.find(file => file.path === 'manifest.json');
+  const readableNames = new Map();
+  if (manifest) {
+    for (const test of JSON.parse(String(await manifest.read()))) {
+      for (const attachment of test.attachments ?? []) {
+        const name = attachment.suggestedHumanReadableName.replace(/\.[^.]+$/, '').replace(XCRESULT_SUFFIX, '');
+        readableNames.set(attachment.exportedFileName, name);
+      }
+    }
+  }
+
+  return files
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .filter(file => file !== manifest && !basename(file.path).startsWith('.'))
+    .map(file => ({ ...file, name: readableNames.get(file.path) ?? file.path.slice(0, -extname(file.path).length || undefined) }));
+}
+
+/**
+ * Locales the config renders, and a resolver from a code found in a filename
+ * to one of them: ingest.locales, the code itself, an ASC code
+ * ("en-US" → en) or its language ("de_AT" → de)
+ */
+function localeResolver(config, aliases) {
+  const known = new Set([
+    ...config.screenshots.flatMap(screenshot => Object.keys(screenshot.titles)),
+    ...Object.keys(config.locales ?? {}).filter(locale => !locale.startsWith('_'))
+  ]);
+  return code => {
+    if (aliases[code]) return aliases[code];
+    const normalized = code.replace(/_/g, '-');
+    if (known.has(normalized)) return normalized;
+    const byAsc = [...known].find(locale => ascCodes(config, locale).includes(normalized));
+    if (byAsc) return byAsc;
+    const language = normalized.split('-')[0];
+    return known.has(language) ? language : null;
+  };
+}
+
+/**
+ * Names a raw image can have: screenshot ids plus the `raw` names of
+ * composite devices and panorama elements
+ */
+export function rawNames(config) {
+  return new Set([
+    ...(config.screenshots ?? []).flatMap(screenshot => [screenshot?.id, ...(screenshot?.devices ?? []).map(device => device?.raw)]),
+    ...(config.panoramas ?? []).flatMap(panorama => (panorama?.elements ?? []).map(element => element?.raw))
+  ].filter(name => typeof name === 'string'));
+}
+
+/**
+ * Raw name for a match: a known {id} or an ingest.ids entry for the {id} or
+ * {index}; without ingest.ids an {index} counts screenshots from 1
+ */
+function idResolver(config, ids) {
+  const known = rawNames(config);
+  const byNumber = new Map(Object.entries(ids).filter(([key]) => /^\d+$/.test(key)).map(([key, id]) => [Number(key), id]));
+  return ({ id, index }) => {
+    if (id !== undefined && known.has(id)) return id;
+    if (id !== undefined && ids[id]) return ids[id];
+    if (index === undefined) return null;
+    if (Object.keys(ids).length > 0) return ids[index] ?? byNumber.get(Number(index)) ?? null;
+    return config.screenshots[Number(index) - 1]?.id ?? null;
+  };
+}
+
+/**
+ * Raw folders by the screen dimensions that belong in them: every size's
+ * width × height plus ingest.rawDirs extras ("1080x2400")
+ */
+function rawDirDimensions(config, extra) {
+  const dirs = new Map();
+  const add = (rawDir, width, height) => {
+    if (!dirs.has(rawDir)) dirs.set(rawDir, []);
+    dirs.get(rawDir).push({ width, height });
+  };
+  for (const size of config.output.sizes) add(size.rawDir || 'raw', size.width, size.height);
+  for (const [rawDir, list] of Object.entries(extra)) {
+    for (const value of list) {
+      const [, width, height] = value.match(DIMENSIONS);
+      add(rawDir, Number(width), Number(height));
+    }
+  }
+  return dirs;
+}
+
+/**
+ * The rawDir for an image: the only one with its exact dimensions (either
+ * orientation), else the only one with its aspect ratio. Returns { rawDir }
+ * or { reason }.
+ */
+function pickRawDir(dirs, width, height) {
+  const matching = test => [...dirs].filter(([, list]) => list.some(test)).map(([rawDir]) => rawDir);
+  const exact = matching(d => (d.width === width && d.height === height) || (d.width === height && d.height === width));
+  const candidates = exact.length > 0 ? exact : matching(d => {
+    const ratio = Math.min(d.width, d.height) / Math.max(d.width, d.height);
+    const imageRatio = Math.min(width, height) / Math.max(width, height);
+    return Math.abs(ratio - imageRatio) / ratio <= ASPECT_TOLERANCE;
+  });
+  if (candidates.length === 1) return { rawDir: candidates[0] };
+  if (candidates.length > 1) return { reason: `${width}×${height} fits several raw folders (${candidates.join(', ')})` };
+  return { reason: `no size matches ${width}×${height}` };
+}
+
+/**
+ * Match one file's name against the patterns in order. Returns { id, locale }
+ * or { reason } from the first pattern that matched the name.
+ */
+function matchName(name, compiled, resolveId, resolveLocale, defaultLocale) {
+  let reason = null;
+  for (const { pattern, regex } of compiled) {
+    // Patterns with folders match the end of the path, others the file name
+    const depth = pattern.split('/').length;
+    const subject = name.split('/').slice(-depth).join('/');
+    const groups = subject.match(regex)?.groups;
+    if (!groups) continue;
+
+    const id = resolveId(groups);
+    const code = groups.locale ?? defaultLocale;
+    const locale = code ? resolveLocale(code) : null;
+    if (id && locale) return { id, locale };
+    reason ??= !id ? `"${pattern}" matched, but "${groups.id ?? groups.index}" is no screenshot id or raw name`
+      : code ? `"${pattern}" matched, but "${code}" is no configured locale`
+      : `"${pattern}" has no {locale}; pass --locale`;
+  }
+  return { reason: reason ?? 'matches no pattern' };
+}
+
+/**
+ * Raw images the config needs that aren't there (a fallback locale's image
+ * counts), as [{ path, id }] with paths relative to baseDir
+ */
+export function missingRaws(config, baseDir) {
+  const missing = new Map();
+  for (const size of config.output.sizes) {
+    const screenshots = jobUnits(config, size).flatMap(unit => unit.panorama ? unit.screenshots : [unit.screenshot]);
+    for (const screenshot of screenshots) {
+      for (const locale of Object.keys(screenshot.titles)) {
+        for (const source of rawSources(screenshot, size)) {
+          const relPath = join(source.rawDir, locale, `${source.name}.png`);
+          if (missing.has(relPath)) continue;
+          if (!existsSync(resolveRawPath(config, baseDir, source.rawDir, locale, source.name).path)) {
+            missing.set(relPath, { path: relPath, id: screenshot.id });
+          }
+        }
+      }
+    }
+  }
+  return [...missing.values()];
+}
+
+/**
+ * Copy every source image that matches a pattern into
+ * <baseDir>/<rawDir>/<locale>/<id>.png. `options` override config.ingest
+ * ({ patterns, ids, locales, rawDirs }); `locale` applies to names without
+ * one; `dryRun` only plans. Returns { matched, unmatched, missing }:
+ * matched [{ source, target, id, locale }], unmatched [{ source, reason }] and
+ * the raw images still missing afterwards (see missingRaws).
+ */
+export async function ingestScreenshots(config, { source, baseDir, locale = null, dryRun = false, ...options }) {
+  const overrides = Object.entries(options).filter(([, value]) => value !== undefined);
+  const settings = { ...config.ingest, ...Object.fromEntries(overrides) };
+  const compiled = (settings.patterns ?? DEFAULT_INGEST_PATTERNS)
+    .map(pattern => ({ pattern, regex: compilePattern(pattern) }));
+  const resolveId = idResolver(config, settings.ids ?? {});
+  const resolveLocale = localeResolver(config, settings.locales ?? {});
+  const dirs = rawDirDimensions(config, settings.rawDirs ?? {});
+
+  const matched = [];
+  const unmatched = [];
+  const targets = new Map();
+  for (const file of await listSource(source)) {
+    const fail = reason => unmatched.push({ source: file.path, reason });
+    const data = await file.read();
+    const info = pngInfo(data);
+    if (!info) {
+      fail('not a PNG');
+      continue;
+    }
+    const match = matchName(file.name, compiled, resolveId, resolveLocale, locale);
+    if (match.reason) {
+      fail(match.reason);
+      continue;
+    }
+    const dir = pickRawDir(dirs, info.width, info.height);
+    if (dir.reason) {
+      fail(dir.reason);
+      continue;
+    }
+    const target = join(dir.rawDir, match.locale, `${match.id}.png`);
+    if (targets.has(target)) {
+      fail(`same screenshot as ${targets.get(target)}`);
+      continue;
+    }
+    targets.set(target, file.path);
+    matched.push({ source: file.path, target, id: match.id, locale: match.locale });
+    if (!dryRun) {
+      await mkdir(join(baseDir, dir.rawDir, match.locale), { recursive: true });
+      await writeFile(join(baseDir, target), data);
+    }
+  }
+
+  const missing = missingRaws(config, baseDir).filter(raw => !dryRun || !targets.has(raw.path));
+  return { matched, unmatched, missing };
+}
@@ -0,0 +1,121 @@
+/**
+ * Job Inputs
+ *
+ * Where a screenshot's raw images come from. A plain screenshot entry uses one
+ * raw PNG named after its id; a composite entry lists several `devices`, each
+ * with its own raw image and placement on the canvas.
+ *
+ * Screenshots listed in a `panoramas` group are rendered together on one wide
+ * canvas and sliced apart, so jobs are grouped into units (see jobUnits).
+ */
+
+/** Placement defaults for composite devices (percent of canvas, degrees) */
+const DEVICE_DEFAULTS = { x: 50, y: 60, scale: 50, rotation: 0 };
+
+function placementOf(entry) {
+  return {
+    x: (entry.x ?? DEVICE_DEFAULTS.x) / 100,
+    y: (entry.y ?? DEVICE_DEFAULTS.y) / 100,
+    scale: (entry.scale ?? DEVICE_DEFAULTS.scale) / 100,
+    rotation: entry.rotation ?? DEVICE_DEFAULTS.rotation,
+    cornerRadius: entry.cornerRadius,
+    border: entry.border
+  };
+}
+
+/** Sort entries by `z`, falling back to list order */
+function byZ(entries) {
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => (a.entry.z ?? a.index) - (b.entry.z ?? b.index))
+    .map(({ entry }) => entry);
+}
+
+/**
+ * True if the screenshot is composed from several raw images
+ */
+export function isComposite(screenshot) {
+  return Array.isArray(screenshot.devices) && screenshot.devices.length > 0;
+}
+
+/**
+ * Raw sources for a screenshot at a given size, in drawing order (lowest z
+ * first). Each source is { rawDir, name, placement }; placement is null for a
+ * plain screenshot, which is positioned by the design's preset instead.
+ * Composite placements use the same geometry as position presets (fractions
+ * of the canvas, see lib/design.mjs), plus optional cornerRadius/border.
+ */
+export function rawSources(screenshot, size) {
+  const sizeRawDir = size.rawDir || 'raw';
+  if (!isComposite(screenshot)) {
+    return [{ rawDir: sizeRawDir, name: screenshot.id, placement: null }];
+  }
+
+  return byZ(screenshot.devices).map(device => ({
+    rawDir: device.rawDir || sizeRawDir,
+    name: device.raw,
+    placement: placementOf(device)
+  }));
+}
+
+/**
+ * Whether a size renders a screenshot (a size's `screenshots` list limits it
+ * to those ids)
+ */
+export function sizeIncludes(size, id) {
+  return !Array.isArray(size?.screenshots) || size.screenshots.includes(id);
+}
+
+/**
+ * Units of work in config order: { screenshot } for a standalone screenshot,
+ * or { panorama, screenshots } for a panorama group, placed where its first
+ * member appears in config.screenshots. With `size`, only the units that size
+ * renders (a panorama needs all of its members).
+ */
+export function jobUnits(config, size = null) {
+  const byId = new Map(config.screenshots.map(screenshot => [screenshot.id, screenshot]));
+  const panoramaOf = new Map();
+  for (const panorama of config.panoramas ?? []) {
+    for (const id of panorama.screenshots) panoramaOf.set(id, panorama);
+  }
+  const included = unit => (unit.panorama ? unit.panorama.screenshots : [unit.screenshot.id]).every(id => sizeIncludes(size, id));
+
+  const units = [];
+  const added = new Set();
+  for (const screenshot of config.screenshots) {
+    const panorama = panoramaOf.get(screenshot.id);
+    if (!panorama) {
+      units.push({ screenshot });
+    } else if (!added.has(panorama)) {
+      added.add(panorama);
+      units.push({ panorama, screenshots: panorama.screenshots.map(id => byId.get(id)) });
+    }
+  }
+  return units.filter(included);
+}
+
+/**
+ * Locales a unit is rendered in: those every one of its screenshots has a
+ * title in (a translation missing from a titlesSource skips the locale)
+ */
+export function unitLocales(unit) {
+  const screenshots = unit.panorama ? unit.screenshots : [unit.screenshot];
+  return Object.keys(screenshots[0].titles).filter(locale => screenshots.every(screenshot => locale in screenshot.titles));
+}
+
+/**
+ * A panorama's extra elements at a given size, in drawing order. Each is
+ * { rawDir, name } for a raw screenshot framed like a device, or { image } for
+ * a decoration drawn as-is, plus `placement` and `z`. x/y are relative to the
+ * whole panorama; scale is relative to one screenshot's width, so devices match
+ * their size in the individual screenshots.
+ */
+export function panoramaElements(panorama, size) {
+  return byZ(panorama.elements ?? []).map(element => ({
+    ...(element.raw
+      ? { rawDir: element.rawDir || size.rawDir || 'raw', name: element.raw }
+      : { image: element.image }),
+    placement: placementOf(element),
+    z: element.z ?? 0
+  }));
+}
@@ -0,0 +1,152 @@
+/**
+ * Locales
+ *
+ * The config's `locales` table: fallback chains — a locale without its own
+ * title or raw screenshot borrows them from the next locale in its chain
+ * (pt-PT → pt-BR → en) — and App Store Connect locale codes, which can name
+ * the output folders. One locale can be published under several ASC codes
+ * (en → en-US, en-GB, en-AU); it is rendered once and copied. Google Play
+ * codes (`play`) are used when publishing supply folders, and name the
+ * output folders of Play Store sizes when ASC codes name the App Store ones.
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+/** ASC codes for locales the table doesn't list */
+export const DEFAULT_ASC_CODES = {
+  en: 'en-US',
+  de: 'de-DE',
+  fr: 'fr-FR',
+  es: 'es-ES',
+  it: 'it',
+  ro: 'ro',
+  pt: 'pt-BR',
+  ja: 'ja',
+  ko: 'ko',
+  zh: 'zh-Hans',
+  nl: 'nl-NL',
+  ru: 'ru',
+  sv: 'sv',
+  da: 'da',
+  fi: 'fi',
+  no: 'no',
+  pl: 'pl',
+  tr: 'tr'
+};
+
+/** Google Play codes for locales the table doesn't list */
+export const DEFAULT_PLAY_CODES = {
+  en: 'en-US',
+  de: 'de-DE',
+  fr: 'fr-FR',
+  es: 'es-ES',
+  it: 'it-IT',
+  ro: 'ro',
+  pt: 'pt-BR',
+  ja: 'ja-JP',
+  ko: 'ko-KR',
+  zh: 'zh-CN',
+  nl: 'nl-NL',
+  ru: 'ru-RU',
+  sv: 'sv-SE',
+  da: 'da-DK',
+  fi: 'fi-FI',
+  no: 'no-NO',
+  pl: 'pl-PL',
+  tr: 'tr-TR'
+};
+
+/** Values of output.localeDirs: folders named by config locale or by store code */
+export const LOCALE_DIRS = ['locale', 'asc'];
+
+function tableEntry(config, locale) {
+  const entry = config?.locales?.[locale];
+  return entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : {};
+}
+
+/**
+ * A locale followed by its fallbacks, breadth first (a locale's own list
+ * before its fallbacks' fallbacks) and without repeats
+ */
+export function localeChain(config, locale) {
+  const chain = [locale];
+  for (let i = 0; i < chain.length; i++) {
+    for (const next of [].concat(tableEntry(config, chain[i]).fallback ?? [])) {
+      if (typeof next === 'string' && !chain.includes(next)) chain.push(next);
+    }
+  }
+  return chain;
+}
+
+/**
+ * Fill every title a locale lacks from the first locale in its fallback chain
+ * that has one. The subtitle comes from the same locale as the title, so a
+ * headline and its subheadline are never in different languages. Locales are
+ * those with any title plus those in the table. Returns a merged copy.
+ */
+export function applyLocaleFallbacks(config) {
+  if (!config?.locales || typeof config.locales !== 'object' || !Array.isArray(config.screenshots)) {
+    return config;
+  }
+  const withTitles = config.screenshots.filter(screenshot => screenshot?.titles && typeof screenshot.titles === 'object');
+  const locales = [...new Set([
+    ...withTitles.flatMap(screenshot => Object.keys(screenshot.titles)),
+    ...Object.keys(config.locales)
+  ])].filter(locale => !locale.startsWith('_'));
+
+  const screenshots = config.screenshots.map(screenshot => {
+    if (!withTitles.includes(screenshot)) return screenshot;
+    const titles = { ...screenshot.titles };
+    const subtitles = { ...screenshot.subtitles };
+    for (const locale of locales) {
+      if (locale in titles) continue;
+      const donor = localeChain(config, locale).find(code => code in screenshot.titles);
+      if (!donor) continue;
+      titles[locale] = screenshot.titles[donor];
+      if (screenshot.subtitles?.[donor] !== undefined) subtitles[locale] = screenshot.subtitles[donor];
+    }
+    return Object.keys(subtitles).length > 0 ? { ...screenshot, titles, subtitles } : { ...screenshot, titles };
+  });
+  return { ...config, screenshots };
+}
+
+/**
+ * App Store Connect codes a locale is published under
+ */
+export function ascCodes(config, locale) {
+  const configured = tableEntry(config, locale).asc;
+  if (configured !== undefined) return [].concat(configured);
+  return [DEFAULT_ASC_CODES[locale] ?? locale];
+}
+
+/**
+ * Google Play codes a locale is published under
+ */
+export function playCodes(config, locale) {
+  const configured = tableEntry(config, locale).play;
+  if (configured !== undefined) return [].concat(configured);
+  return [DEFAULT_PLAY_CODES[locale] ?? locale];
+}
+
+/**
+ * Output folder names of a locale for a size: the locale itself, or with
+ * output.localeDirs "asc" the codes of the size's store (ASC codes for App
+ * Store sizes, Google Play codes for Play Store sizes). The image is
+ * rendered into the first and copied to the rest.
+ */
+export function outputLocaleDirs(config, locale, size) {
+  if (config.output?.localeDirs !== 'asc') return [locale];
+  return size?.store === 'playStore' ? playCodes(config, locale) : ascCodes(config, locale);
+}
+
+/**
+ * Path of a raw screenshot for a locale: the first locale in its fallback
+ * chain that has the file, or the locale's own path when none does.
+ * `tried` lists the fallback locales that were checked.
+ */
+export function resolveRawPath(config, baseDir, rawDir, locale, name) {
+  const chain = localeChain(config, locale);
+  const paths = chain.map(code => join(baseDir, rawDir, code, `${name}.png`));
+  return { path: paths.find(path => existsSync(path)) ?? paths[0], tried: chain.slice(1) };
+}
@@ -0,0 +1,400 @@
+/**
+ * Native Renderer
+ *
+ * Composes framed screenshots locally with @napi-rs/canvas instead of driving
+ * YUZU AppScreen through Playwright. It reads the same design settings
+ * generate.mjs configures in YUZU (gradient, solid or image background, 2D
+ * device with any position preset, headline and subheadline) and writes the
+ * same output layout, but its geometry is an approximation of YUZU's: the
+ * images are similar, not pixel-identical.
+ * It also draws composite screenshots (several devices on one canvas) and
+ * panoramas (one wide canvas sliced into consecutive screenshots), which YUZU
+ * can't produce.
+ *
+ * Geometry constants below approximate YUZU's defaults for the settings we drive.
+ */
+
+import { createCanvas, loadImage, GlobalFonts } from '@napi-rs/canvas';
+import { writeFile, readFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import {
+  TEXT_REFERENCE_WIDTH, TEXT_LINE_HEIGHT, TEXT_MAX_WIDTH_RATIO, wrapText, fitHeadline
+} from './text-fit.mjs';
+import { resolveGradientStops, resolvePositionPreset } from './design.mjs';
+import { mirrorPlacement } from './scripts.mjs';
+import { encodeRgbPng } from './png.mjs';
+import { fontFile, fontProblem, DEFAULT_FONT, DEFAULT_HEADLINE_WEIGHT, DEFAULT_SUBHEADLINE_WEIGHT } from './fonts.mjs';
+
+/** Bumped whenever a change to this file alters rendered pixels */
+export const RENDERER_VERSION = '8';
+
+// Subheadline defaults, in design px (see lib/text-fit.mjs)
+const SUBHEADLINE_SIZE = 50;
+const SUBHEADLINE_SPACING = 20;
+
+const registeredFonts = new Set();
+
+/**
+ * Register the config's file for a family and weight with the canvas (see
+ * lib/fonts.mjs). Throws when the config names no file or it is missing, so
+ * text is never silently drawn in a fallback font.
+ */
+function loadFont(family, weight, { fonts, baseDir }) {
+  const problem = fontProblem(fonts, family, weight, baseDir);
+  if (problem) throw new Error(problem.charAt(0).toUpperCase() + problem.slice(1));
+  const path = fontFile(fonts, family, weight, baseDir);
+  if (registeredFonts.has(path)) return;
+  if (!GlobalFonts.registerFromPath(path, family)) {
+    throw new Error(`Could not load font file for "${family}" (${weight}): ${path}`);
+  }
+  registeredFonts.add(path);
+}
+
+/**
+ * Build a canvas gradient following CSS linear-gradient angle semantics
+ * (0° points up, 90° points right)
+ */
+function createAngleGradient(ctx, width, height, angle) {
+  const rad = (angle * Math.PI) / 180;
+  const dx = Math.sin(rad);
+  const dy = -Math.cos(rad);
+  const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+  const cx = width / 2;
+  const cy = height / 2;
+  return ctx.createLinearGradient(
+    cx - dx * halfLength, cy - dy * halfLength,
+    cx + dx * halfLength, cy + dy * halfLength
+  );
+}
+
+/**
+ * Draw an image background scaled per `fit` (cover, contain or stretch),
+ * optionally blurred, with an optional color overlay
+ */
+function drawImageBackground(ctx, image, background, width, height) {
+  const fit = background.fit || 'cover';
+  let drawWidth = width;
+  let drawHeight = height;
+  if (fit !== 'stretch') {
+    const pick = fit === 'contain' ? Math.min : Math.max;
+    const scale = pick(width / image.width, height / image.height);
+    drawWidth = image.width * scale;
+    drawHeight = image.height * scale;
+  }
+
+  // Letterbox area for "contain"
+  ctx.fillStyle = background.color || '#000000';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.save();
+  if (background.blur) {
+    // Overdraw by the blur radius so edges don't fade into transparency
+    ctx.filter = `blur(${background.blur}px)`;
+    const bleed = background.blur * 2;
+    drawWidth += bleed * 2;
+    drawHeight += bleed * 2;
+  }
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  ctx.restore();
+
+  if (background.overlay) {
+    ctx.save();
+    ctx.globalAlpha = (background.overlay.opacity ?? 50) / 100;
+    ctx.fillStyle = background.overlay.color;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+}
+
+async function drawBackground(ctx, background, backgroundImage, width, height) {
+  const type = background.type || 'gradient';
+
+  if (type === 'solid') {
+    ctx.fillStyle = background.color;
+    ctx.fillRect(0, 0, width, height);
+  } else if (type === 'image') {
+    const image = await loadImage(await readFile(backgroundImage));
+    drawImageBackground(ctx, image, background, width, height);
+  } else {
+    const gradient = createAngleGradient(ctx, width, height, background.angle ?? 135);
+    for (const stop of resolveGradientStops(background)) {
+      gradient.addColorStop(stop.position / 100, stop.color);
+    }
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+}
+
+function roundedRectPath(ctx, x, y, w, h, r) {
+  const radius = Math.max(0, Math.min(r, w / 2, h / 2));
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + w, y, x + w, y + h, radius);
+  ctx.arcTo(x + w, y + h, x, y + h, radius);
+  ctx.arcTo(x, y + h, x, y, radius);
+  ctx.arcTo(x, y, x + w, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * Draw a raw screenshot as a 2D device: scaled, positioned and tilted by
+ * `placement` (preset geometry, see lib/design.mjs), clipped to rounded
+ * corners, with an optional border
+ */
+function drawDevice(ctx, image, device, placement, width, height) {
+  if (device.type === '3D') {
+    throw new Error('3D devices are only supported by the yuzu renderer');
+  }
+  const deviceWidth = width * placement.scale;
+  const drawScale = deviceWidth / image.width;
+  const deviceHeight = image.height * drawScale;
+
+  // Work in a coordinate system centered on the device so placements can tilt it
+  ctx.save();
+  ctx.translate(width * placement.x, height * placement.y);
+  ctx.rotate((placement.rotation * Math.PI) / 180);
+  const x = -deviceWidth / 2;
+  const y = -deviceHeight / 2;
+
+  // Corner radius is expressed in raw screenshot pixels, like YUZU's slider
+  const cornerRadius = device.cornerRadius * drawScale;
+
+  ctx.save();
+  roundedRectPath(ctx, x, y, deviceWidth, deviceHeight, cornerRadius);
+  ctx.clip();
+  ctx.drawImage(image, x, y, deviceWidth, deviceHeight);
+  ctx.restore();
+
+  if (device.border) {
+    const borderWidth = device.border.width;
+    ctx.save();
+    ctx.globalAlpha = (device.border.opacity ?? 100) / 100;
+    ctx.strokeStyle = device.border.color;
+    ctx.lineWidth = borderWidth;
+    roundedRectPath(
+      ctx,
+      x - borderWidth / 2, y - borderWidth / 2,
+      deviceWidth + borderWidth, deviceHeight + borderWidth,
+      cornerRadius + borderWidth / 2
+    );
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Draw a decoration image (no frame), its width `placement.scale` of the canvas
+ */
+function drawDecoration(ctx, image, placement, width, height) {
+  const drawWidth = width * placement.scale;
+  const drawHeight = image.height * (drawWidth / image.width);
+  ctx.save();
+  ctx.translate(width * placement.x, height * placement.y);
+  ctx.rotate((placement.rotation * Math.PI) / 180);
+  ctx.drawImage(image, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+  ctx.restore();
+}
+
+/**
+ * Draw one wrapped block of text starting at `top`, aligned within the text
+ * column (TEXT_MAX_WIDTH_RATIO of the width, centered). `direction` is the
+ * base direction for bidi text. Returns the y coordinate just below the last
+ * line.
+ */
+function drawTextBlock(ctx, text, { font, weight, color, fontSize, top, width, align, direction, fontFiles }) {
+  loadFont(font, weight, fontFiles);
+  const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+  ctx.font = `${weight} ${fontSize}px "${font}"`;
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.direction = direction;
+  ctx.textBaseline = 'top';
+
+  const margin = (width * (1 - TEXT_MAX_WIDTH_RATIO)) / 2;
+  const x = align === 'left' ? margin : align === 'right' ? width - margin : width / 2;
+  const lines = wrapText(str => ctx.measureText(str).width, text, width * TEXT_MAX_WIDTH_RATIO);
+  lines.forEach((line, i) => {
+    ctx.fillText(line, x, top + i * lineHeight);
+  });
+  return top + lines.length * lineHeight;
+}
+
+/**
+ * Draw the headline (auto-fitted when text.autoFit is set) and, when there is
+ * a subtitle, the subheadline below it. `fontFiles` is { fonts, baseDir }.
+ * Returns the headline fit result.
+ */
+function drawText(ctx, title, subtitle, design, width, height, fontFiles) {
+  const { text } = design;
+  const scale = width / TEXT_REFERENCE_WIDTH;
+  const align = text.align ?? 'center';
+  const direction = design.direction ?? 'ltr';
+  const font = text.font || DEFAULT_FONT;
+  const weight = String(text.headlineWeight || DEFAULT_HEADLINE_WEIGHT);
+  const headlineColor = text.headlineColor || '#000000';
+
+  // Load before measuring
+  loadFont(font, weight, fontFiles);
+  const fit = fitHeadline({
+    measure: (str, fontSize) => {
+      ctx.font = `${weight} ${fontSize}px "${font}"`;
+      return ctx.measureText(str).width;
+    },
+    title,
+    text,
+    width,
+    height
+  });
+
+  const headlineBottom = drawTextBlock(ctx, title, {
+    font,
+    weight,
+    color: headlineColor,
+    fontSize: Math.round(fit.fontSize * scale),
+    top: height * ((text.verticalOffset ?? 12) / 100),
+    width,
+    align,
+    direction,
+    fontFiles
+  });
+
+  if (subtitle) {
+    drawTextBlock(ctx, subtitle, {
+      font: text.subheadlineFont || font,
+      weight: String(text.subheadlineWeight || DEFAULT_SUBHEADLINE_WEIGHT),
+      color: text.subheadlineColor || headlineColor,
+      fontSize: Math.round((text.subheadlineSize ?? SUBHEADLINE_SIZE) * scale),
+      top: headlineBottom + (text.subheadlineSpacing ?? SUBHEADLINE_SPACING) * scale,
+      width,
+      align,
+      direction,
+      fontFiles
+    });
+  }
+
+  return fit;
+}
+
+/**
+ * Draw each source in order. A source without a placement follows the design's
+ * position preset; composite sources carry their own placement and may
+ * override the corner radius and border. A mirrored design (see
+ * lib/scripts.mjs) flips those placements too.
+ */
+async function drawDevices(ctx, sources, { device, mirrored }, width, height) {
+  for (const source of sources) {
+    const image = await loadImage(await readFile(source.path));
+    if (!source.placement) {
+      drawDevice(ctx, image, device, resolvePositionPreset(device.preset), width, height);
+      continue;
+    }
+    const { cornerRadius, border, ...placement } = mirrored ? mirrorPlacement(source.placement) : source.placement;
+    const sourceDevice = {
+      ...device,
+      cornerRadius: cornerRadius ?? device.cornerRadius,
+      border: border === undefined ? device.border : border
+    };
+    drawDevice(ctx, image, sourceDevice, placement, width, height);
+  }
+}
+
+/**
+ * Render one framed screenshot and write it to outputPath as PNG.
+ * `sources` are the raw images to draw, bottom to top, as
+ * [{ path, placement }] (see lib/jobs.mjs). `design` is the resolved design
+ * (see lib/design.mjs); `backgroundImage` is the absolute path of an image
+ * background, if any. `fonts` is the config's font table, with paths relative
+ * to `baseDir` (see lib/fonts.mjs); a font it lacks is an error.
+ * Returns { textFit } describing the final headline size.
+ */
+export async function renderScreenshot({ sources, title, subtitle, design, size, outputPath, backgroundImage, fonts, baseDir }) {
+  const { width, height } = size;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  await drawBackground(ctx, design.background, backgroundImage, width, height);
+  await drawDevices(ctx, sources, design, width, height);
+
+  const textFit = drawText(ctx, title, subtitle, design, width, height, { fonts, baseDir });
+
+  await writePng(canvas, outputPath);
+  return { textFit };
+}
+
+/**
+ * Write the canvas as an opaque RGB PNG (App Store Connect rejects alpha)
+ */
+async function writePng(canvas, outputPath) {
+  const { width, height, data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  await mkdir(dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, encodeRgbPng(width, height, data));
+}
+
+/**
+ * Render a panorama: one canvas `panels.length` screenshots wide with a single
+ * background, sliced into one PNG per panel.
+ *
+ * `panels` are [{ sources, title, subtitle, design, outputPath }], laid out left
+ * to right, each drawn like renderScreenshot draws a single screenshot.
+ * `design` supplies the shared background (`backgroundImage` as above).
+ * `elements` span the whole canvas (see panoramaElements in lib/jobs.mjs, with
+ * `path` set for raw elements); those with z < 0 go behind the panels' devices,
+ * the rest above. Headlines are always on top. `fonts` and `baseDir` as for
+ * renderScreenshot.
+ * Returns { textFits } in panel order.
+ */
+export async function renderPanorama({ panels, design, elements = [], size, backgroundImage, fonts, baseDir }) {
+  const { width, height } = size;
+  const fullWidth = width * panels.length;
+  const canvas = createCanvas(fullWidth, height);
+  const ctx = canvas.getContext('2d');
+
+  await drawBackground(ctx, design.background, backgroundImage, fullWidth, height);
+
+  const drawElements = async list => {
+    for (const element of list) {
+      const image = await loadImage(await readFile(element.path));
+      // Element scale is per panel width; the canvas is panels.length wide
+      const placement = { ...element.placement, scale: element.placement.scale / panels.length };
+      if (element.image) {
+        drawDecoration(ctx, image, placement, fullWidth, height);
+      } else {
+        const { cornerRadius, border, ...geometry } = placement;
+        const device = {
+          ...design.device,
+          cornerRadius: cornerRadius ?? design.device.cornerRadius,
+          border: border === undefined ? design.device.border : border
+        };
+        drawDevice(ctx, image, device, geometry, fullWidth, height);
+      }
+    }
+  };
+
+  // Each panel draws in its own coordinates; devices may still cross the seams
+  const eachPanel = async draw => {
+    for (const [index, panel] of panels.entries()) {
+      ctx.save();
+      ctx.translate(index * width, 0);
+      await draw(panel);
+      ctx.restore();
+    }
+  };
+
+  await drawElements(elements.filter(element => element.z < 0));
+  await eachPanel(panel => drawDevices(ctx, panel.sources, panel.design, width, height));
+  await drawElements(elements.filter(element => element.z >= 0));
+
+  const textFits = [];
+  await eachPanel(async panel => {
+    textFits.push(drawText(ctx, panel.title, panel.subtitle, panel.design, width, height, { fonts, baseDir }));
+  });
+
+  for (const [index, panel] of panels.entries()) {
+    const slice = createCanvas(width, height);
+    slice.getContext('2d').drawImage(canvas, index * width, 0, width, height, 0, 0, width, height);
+    await writePng(slice, panel.outputPath);
+  }
+  return { textFits };
+}
@@ -0,0 +1,193 @@
+/**
+ * PNG Helpers
+ *
+ * Just enough of the PNG format for output checks: reading the header (size,
+ * color type, transparency, color profile) and writing opaque 8-bit RGB
+ * images, since App Store Connect rejects screenshots with an alpha channel.
+ * Pixel decoding is left to @napi-rs/canvas.
+ */
+
+import { open, readFile, writeFile } from 'fs/promises';
+import { deflateSync, inflateSync } from 'zlib';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** PNG color types that carry an alpha channel (grayscale + alpha, RGBA) */
+const ALPHA_COLOR_TYPES = new Set([4, 6]);
+const COLOR_TYPE_RGB = 2;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Width and height of a PNG from its IHDR header, or null if the file is
+ * missing or not a PNG
+ */
+export async function readPngSize(path) {
+  let file;
+  try {
+    file = await open(path, 'r');
+    const header = Buffer.alloc(24);
+    const { bytesRead } = await file.read(header, 0, 24, 0);
+    if (bytesRead < 24 || !header.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+  } catch {
+    return null;
+  } finally {
+    await file?.close();
+  }
+}
+
+/**
+ * Description of an ICC profile from its 'desc' tag (ICC v2 textDescription
+ * or v4 multiLocalizedUnicode, first record), or null
+ */
+function iccDescription(profile) {
+  try {
+    const tagCount = profile.readUInt32BE(128);
+    for (let i = 0; i < tagCount; i++) {
+      const entry = 132 + i * 12;
+      if (profile.toString('latin1', entry, entry + 4) !== 'desc') continue;
+      const offset = profile.readUInt32BE(entry + 4);
+      const type = profile.toString('latin1', offset, offset + 4);
+      if (type === 'desc') {
+        const length = profile.readUInt32BE(offset + 8);
+        return profile.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+      }
+      if (type === 'mluc') {
+        const length = profile.readUInt32BE(offset + 20);
+        const start = offset + profile.readUInt32BE(offset + 24);
+        return Buffer.from(profile.subarray(start, start + length)).swap16().toString('utf16le');
+      }
+      return null;
+    }
+  } catch {
+    // Truncated or malformed profile
+  }
+  return null;
+}
+
+/**
+ * An iCCP chunk's profile: { name, description }, description null when the
+ * profile can't be read
+ */
+function iccProfile(data) {
+  const nameEnd = data.indexOf(0);
+  const name = data.toString('latin1', 0, nameEnd);
+  let description = null;
+  try {
+    description = iccDescription(inflateSync(data.subarray(nameEnd + 2)));
+  } catch {
+    // Not zlib data
+  }
+  return { name, description };
+}
+
+/**
+ * Header information of a PNG buffer: { width, height, bitDepth, colorType,
+ * hasAlpha, srgb, iccProfile, gamma }, or null if it isn't a PNG. hasAlpha is
+ * also set by a tRNS (transparency) chunk on an otherwise opaque color type.
+ * The color chunks: srgb is true with an sRGB chunk, iccProfile is the
+ * embedded profile ({ name, description }) and gamma the gAMA value, or null.
+ */
+export function pngInfo(buffer) {
+  if (buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  const info = {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    bitDepth: buffer[24],
+    colorType: buffer[25],
+    hasAlpha: ALPHA_COLOR_TYPES.has(buffer[25]),
+    srgb: false,
+    iccProfile: null,
+    gamma: null
+  };
+
+  // Walk the chunks up to the image data looking for tRNS and color chunks
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'tRNS') info.hasAlpha = true;
+    if (type === 'sRGB') info.srgb = true;
+    if (type === 'iCCP') info.iccProfile = iccProfile(data);
+    if (type === 'gAMA' && data.length === 4) info.gamma = data.readUInt32BE(0) / 100000;
+    if (type === 'IDAT' || type === 'IEND') break;
+    offset += 12 + length;
+  }
+  return info;
+}
+
+/**
+ * Decode an image buffer to RGBA pixels: { width, height, data }
+ */
+export async function decodePng(buffer) {
+  const image = await loadImage(buffer);
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixel data (e.g. from getImageData) as an 8-bit RGB PNG.
+ * Alpha is dropped after compositing each pixel over `background` ([r, g, b]).
+ */
+export function encodeRgbPng(width, height, rgba, background = [0, 0, 0]) {
+  const rowLength = width * 3 + 1;
+  const raw = Buffer.alloc(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * rowLength; // first byte is the filter type (0: none)
+    for (let x = 0; x < width; x++) {
+      const src = (y * width + x) * 4;
+      const dst = rowStart + 1 + x * 3;
+      const alpha = rgba[src + 3] / 255;
+      for (let c = 0; c < 3; c++) {
+        raw[dst + c] = Math.round(rgba[src + c] * alpha + background[c] * (1 - alpha));
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = COLOR_TYPE_RGB;
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Rewrite a PNG with an alpha channel as opaque RGB (transparent pixels are
+ * composited over black). Returns true if the file was rewritten.
+ */
+export async function flattenAlpha(path) {
+  const buffer = await readFile(path);
+  if (!pngInfo(buffer)?.hasAlpha) return false;
+  const { width, height, data } = await decodePng(buffer);
+  await writeFile(path, encodeRgbPng(width, height, data));
+  return true;
+}
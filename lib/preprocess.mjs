@@ -0,0 +1,171 @@
+/**
+ * Raw Screenshot Preprocessing
+ *
+ * Optional cleanup of raw screenshots before they are framed: a clean status
+ * bar painted over the simulator's (9:41, full signal, full battery), an inset
+ * cropped off the edges and scaling to the size's input resolution. Set with
+ * `preprocess` on a size and/or a screenshot (the screenshot's settings are
+ * merged over the size's). Results go to .preprocess-cache/, keyed by the raw
+ * image's bytes and the settings, so the originals are never touched.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { deepMerge } from './design.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/** Bumped whenever a change to this file alters preprocessed pixels */
+export const PREPROCESS_VERSION = '1';
+
+const CACHE_DIR = join(__dirname, '..', '.preprocess-cache');
+
+/** Status bar height per pixel of image width (iPhone: 162 px at 1320) */
+const STATUS_BAR_HEIGHT_RATIO = 162 / 1320;
+const DEFAULT_STATUS_BAR_TIME = '9:41';
+
+/**
+ * Effective preprocessing for a screenshot at a size, with `statusBar` and
+ * `crop` filled in and `scale` resolved to { width, height } — or null when
+ * there is nothing to do
+ */
+export function resolvePreprocess(size, screenshot) {
+  const merged = deepMerge(size.preprocess ?? {}, screenshot.preprocess);
+  const statusBar = merged.statusBar === true ? {} : merged.statusBar || null;
+  const crop = typeof merged.crop === 'number'
+    ? { top: merged.crop, right: merged.crop, bottom: merged.crop, left: merged.crop }
+    : merged.crop ? { top: 0, right: 0, bottom: 0, left: 0, ...merged.crop } : null;
+  const scale = merged.scale === true
+    ? { width: size.width, height: size.height }
+    : merged.scale || null;
+  if (!statusBar && !crop && !scale) return null;
+  return { statusBar, crop, scale };
+}
+
+function parseColor(color) {
+  const hex = color.slice(1);
+  const full = hex.length === 3 ? [...hex].map(c => c + c).join('') : hex;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+/**
+ * Paint a status bar over the top `height` px: the time on the left, signal
+ * bars and a full battery on the right. "auto" colors take the background
+ * from the app content just below the bar and pick black or white text.
+ */
+function drawStatusBar(ctx, width, imageHeight, { height, time, background, color }) {
+  const h = height ?? Math.round(width * STATUS_BAR_HEIGHT_RATIO);
+  let fill = background ?? 'auto';
+  if (fill === 'auto') {
+    const [r, g, b] = ctx.getImageData(2, Math.min(h + 2, imageHeight - 1), 1, 1).data;
+    fill = `rgb(${r}, ${g}, ${b})`;
+  }
+  let ink = color ?? 'auto';
+  if (ink === 'auto') {
+    const [r, g, b] = fill.startsWith('#') ? parseColor(fill) : fill.match(/\d+/g).map(Number);
+    ink = (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.5 ? '#000000' : '#FFFFFF';
+  }
+
+  ctx.fillStyle = fill;
+  ctx.fillRect(0, 0, width, h);
+  ctx.fillStyle = ink;
+  ctx.strokeStyle = ink;
+  const centerY = h * 0.55;
+
+  ctx.font = `600 ${Math.round(h * 0.34)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(time ?? DEFAULT_STATUS_BAR_TIME, width * 0.17, centerY);
+
+  // Battery: outline, full charge and the terminal nub
+  const batteryWidth = h * 0.5;
+  const batteryHeight = h * 0.24;
+  const batteryX = width * 0.915 - batteryWidth;
+  const batteryY = centerY - batteryHeight / 2;
+  ctx.globalAlpha = 0.4;
+  ctx.lineWidth = h * 0.02;
+  ctx.beginPath();
+  ctx.roundRect(batteryX, batteryY, batteryWidth, batteryHeight, batteryHeight * 0.3);
+  ctx.stroke();
+  ctx.fillRect(batteryX + batteryWidth + h * 0.015, centerY - h * 0.05, h * 0.025, h * 0.1);
+  ctx.globalAlpha = 1;
+  const inset = h * 0.035;
+  ctx.beginPath();
+  ctx.roundRect(batteryX + inset, batteryY + inset, batteryWidth - 2 * inset, batteryHeight - 2 * inset, batteryHeight * 0.2);
+  ctx.fill();
+
+  // Four signal bars of rising height, bottoms aligned
+  const barWidth = h * 0.06;
+  const barGap = h * 0.025;
+  const barsRight = batteryX - h * 0.12;
+  const barsBottom = centerY + h * 0.1;
+  for (let i = 0; i < 4; i++) {
+    const barHeight = h * 0.2 * (0.4 + 0.2 * i);
+    const x = barsRight - (4 - i) * barWidth - (3 - i) * barGap;
+    ctx.beginPath();
+    ctx.roundRect(x, barsBottom - barHeight, barWidth, barHeight, barWidth * 0.3);
+    ctx.fill();
+  }
+}
+
+/**
+ * Apply `options` (see resolvePreprocess) to one image: status bar first (on
+ * the original pixels), then the crop, then scaling to cover the target
+ * dimensions, centered. Returns PNG bytes.
+ */
+async function preprocessImage(buffer, { statusBar, crop, scale }) {
+  const image = await loadImage(buffer);
+  let canvas = createCanvas(image.width, image.height);
+  let ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  if (statusBar) drawStatusBar(ctx, image.width, image.height, statusBar);
+
+  if (crop) {
+    const width = image.width - crop.left - crop.right;
+    const height = image.height - crop.top - crop.bottom;
+    if (width < 1 || height < 1) {
+      throw new Error(`crop leaves nothing of a ${image.width}×${image.height} image`);
+    }
+    const cropped = createCanvas(width, height);
+    cropped.getContext('2d').drawImage(canvas, crop.left, crop.top, width, height, 0, 0, width, height);
+    canvas = cropped;
+  }
+
+  if (scale && (canvas.width !== scale.width || canvas.height !== scale.height)) {
+    const factor = Math.max(scale.width / canvas.width, scale.height / canvas.height);
+    const scaled = createCanvas(scale.width, scale.height);
+    ctx = scaled.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    const drawWidth = canvas.width * factor;
+    const drawHeight = canvas.height * factor;
+    ctx.drawImage(canvas, (scale.width - drawWidth) / 2, (scale.height - drawHeight) / 2, drawWidth, drawHeight);
+    canvas = scaled;
+  }
+  return canvas.encode('png');
+}
+
+/**
+ * Path of the preprocessed version of a raw image, creating it in the cache
+ * unless an identical one is there already
+ */
+export async function preprocessRaw(path, options) {
+  const buffer = await readFile(path);
+  const key = createHash('sha256')
+    .update(buffer)
+    .update(JSON.stringify({ options, version: PREPROCESS_VERSION }))
+    .digest('hex');
+  const cachedPath = join(CACHE_DIR, `${key}.png`);
+  if (existsSync(cachedPath)) return cachedPath;
+
+  const output = await preprocessImage(buffer, options);
+  await mkdir(CACHE_DIR, { recursive: true });
+  // Parallel jobs may preprocess the same raw; the rename keeps each write whole
+  const tempPath = `${cachedPath}.${process.pid}-${Math.random().toString(36).slice(2)}.tmp`;
+  await writeFile(tempPath, output);
+  await rename(tempPath, cachedPath);
+  return cachedPath;
+}
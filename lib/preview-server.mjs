@@ -0,0 +1,161 @@
+/**
+ * Preview Server
+ *
+ * Local HTTP server for --watch: one page with every output image grouped by
+ * locale and size, the images themselves, and a server-sent event stream that
+ * tells open pages which images were rebuilt, so they reload just those.
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { resolve, sep } from 'path';
+
+export const DEFAULT_PREVIEW_PORT = 8787;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function imageUrl(relPath, version) {
+  return `/images/${relPath.split(sep).map(encodeURIComponent).join('/')}?v=${version}`;
+}
+
+/**
+ * Key that changes whenever the page has to be re-rendered rather than just
+ * have images swapped (images added or removed, failures changed)
+ */
+function layoutKey(images) {
+  return images.map(image => `${image.relPath}:${image.status === 'failed' ? image.error : ''}`).join('\n');
+}
+
+function renderPage(images, version) {
+  const groups = new Map();
+  for (const image of images) {
+    const key = `${image.locale} · ${image.size}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(image);
+  }
+
+  const sections = [...groups].map(([title, group]) => `<section>
+<h2>${escapeHtml(title)}</h2>
+<div class="grid">
+${group.map(image => `<figure class="${image.status}">
+  <img src="${escapeHtml(imageUrl(image.relPath, version))}" data-path="${escapeHtml(image.relPath)}" alt="">
+  <figcaption>${escapeHtml(image.id)}${image.status === 'failed' ? ` — ✗ ${escapeHtml(image.error ?? 'failed')}` : ''}</figcaption>
+</figure>`).join('\n')}
+</div>
+</section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>appshot preview</title>
+<style>
+  body { font: 14px -apple-system, system-ui, sans-serif; margin: 24px; color: #1c1c1e; background: #f2f2f7; }
+  .grid { display: flex; flex-wrap: wrap; gap: 16px; }
+  figure { margin: 0; width: 220px; }
+  img { width: 100%; display: block; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); }
+  figure.failed img { opacity: 0.3; }
+  figcaption { margin-top: 6px; }
+  figure.failed figcaption { color: #c0392b; }
+</style>
+</head>
+<body>
+<h1>appshot preview</h1>
+${sections || '<p>No images yet.</p>'}
+<script>
+  const events = new EventSource('/events');
+  events.addEventListener('update', event => {
+    const { changed, reload } = JSON.parse(event.data);
+    if (reload) return location.reload();
+    for (const img of document.querySelectorAll('img[data-path]')) {
+      if (changed.includes(img.dataset.path)) img.src = img.src.replace(/\\?v=.*$/, '?v=' + Date.now());
+    }
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Start the preview server on localhost. `images` are
+ * [{ relPath, locale, size, id, status, error }] with relPath relative to
+ * outputDir. Resolves to { url, update, close } once listening.
+ */
+export function startPreviewServer({ port = DEFAULT_PREVIEW_PORT, outputDir, images }) {
+  const state = { outputDir, images, version: Date.now() };
+  const clients = new Set();
+
+  const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname === '/') {
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      response.end(renderPage(state.images, state.version));
+      return;
+    }
+
+    if (pathname === '/events') {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      response.write(': connected\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+
+    if (pathname.startsWith('/images/')) {
+      // Only serve files inside the output directory
+      const path = resolve(state.outputDir, decodeURIComponent(pathname.slice('/images/'.length)));
+      if (path.startsWith(state.outputDir + sep)) {
+        try {
+          const data = await readFile(path);
+          response.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+          response.end(data);
+          return;
+        } catch {}
+      }
+    }
+
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found\n');
+  });
+
+  return new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      server.off('error', reject);
+      resolvePromise({
+        url: `http://localhost:${server.address().port}/`,
+
+        /**
+         * Replace the image list after a rebuild and tell open pages to reload
+         * the `changed` images (or the whole page if the list itself changed)
+         */
+        update({ outputDir: nextOutputDir, images: nextImages, changed }) {
+          const reload = nextOutputDir !== state.outputDir || layoutKey(nextImages) !== layoutKey(state.images);
+          Object.assign(state, { outputDir: nextOutputDir, images: nextImages, version: Date.now() });
+          const message = `event: update\ndata: ${JSON.stringify({ changed, reload })}\n\n`;
+          for (const client of clients) client.write(message);
+        },
+
+        /**
+         * Disconnect open pages and stop listening
+         */
+        close() {
+          for (const client of clients) client.end();
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
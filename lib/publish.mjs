@@ -0,0 +1,328 @@
+/**
+ * Publishing
+ *
+ * Stages the generated images and store listing texts into the folders
+ * fastlane reads — deliver for the App Store (screenshots/<asc>/ and
+ * metadata/<asc>/), supply for Google Play (<play>/images/… and
+ * <play>/title.txt, …) — and hands each store's folder to an uploader
+ * (fastlane by default). Locales map to store codes through the config's
+ * locales table (`asc`, `play`). What was last uploaded is recorded in the
+ * staging folder, so a dry run can list every file that would be added,
+ * replaced, left unchanged or removed.
+ */
+
+import { createHash } from 'crypto';
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { readFile, writeFile, rm, mkdir, copyFile, mkdtemp } from 'fs/promises';
+import { join, dirname, resolve } from 'path';
+import { homedir, tmpdir } from 'os';
+import { outputImages, sanitizeSize } from './engine.mjs';
+import { ascCodes, playCodes, localeChain } from './locales.mjs';
+import { STORES, STORE_METADATA, SINGLE_IMAGE_FOLDERS } from './sizes.mjs';
+
+export const DEFAULT_STAGING_DIR = '.publish-staging';
+
+/** Staging subfolder per store, named after the fastlane tool that reads it */
+export const STORE_FOLDERS = { appStore: 'deliver', playStore: 'supply' };
+
+const STATE_FILE = '.published.json';
+const STATE_VERSION = 1;
+
+const STORE_NAMES = { appStore: 'App Store', playStore: 'Google Play' };
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function expandHome(path) {
+  return path.startsWith('~/') ? join(homedir(), path.slice(2)) : path;
+}
+
+/**
+ * Listing texts of a locale for a store, each field taken from the first
+ * locale in the fallback chain that sets it
+ */
+function listingFields(config, locale, store) {
+  const metadata = config.publish?.metadata ?? {};
+  const fields = {};
+  for (const field of Object.keys(STORE_METADATA[store])) {
+    const donor = localeChain(config, locale).find(code => metadata[code]?.[store]?.[field] !== undefined);
+    if (donor) fields[field] = metadata[donor][store][field];
+  }
+  return fields;
+}
+
+/**
+ * Every file to stage for `stores` (default: every store a size targets).
+ * Returns { stores, files, missing }: files are
+ * { store, locale, slot, target, source | content } with `locale` the store's
+ * code, `slot` the device (a size's label, or its supply folder) or
+ * "metadata", and `target` relative to the staging folder; `missing` lists
+ * generated images that don't exist. Screenshots are numbered in config
+ * order, which is the order the stores show them in. Throws when two locales
+ * publish to the same store code or a Play Store size has no supplyFolder.
+ */
+export function planPublish(config, { baseDir = process.cwd(), stores = STORES } = {}) {
+  const images = outputImages(config, { baseDir })
+    .filter(image => stores.includes(image.size.store ?? 'appStore'));
+  const files = [];
+  const owners = new Map(); // "<store>:<code>" → config locale publishing it
+  const counters = new Map(); // "<store>:<code>:<slot>" → screenshots so far
+
+  const codesOf = (store, locale) => {
+    const codes = store === 'appStore' ? ascCodes(config, locale) : playCodes(config, locale);
+    for (const code of codes) {
+      const owner = owners.get(`${store}:${code}`);
+      if (owner && owner !== locale) {
+        throw new Error(`Locales "${owner}" and "${locale}" both publish to ${STORE_NAMES[store]} locale "${code}"; ` +
+          `give one of them its own "${store === 'appStore' ? 'asc' : 'play'}" codes in the locales table`);
+      }
+      owners.set(`${store}:${code}`, locale);
+    }
+    return codes;
+  };
+
+  for (const { screenshot, locale, size, outputPath } of images) {
+    const store = size.store ?? 'appStore';
+    if (store === 'playStore' && !size.supplyFolder) {
+      throw new Error(`Size "${size.device}" has no supplyFolder, so it can't be published to Google Play`);
+    }
+    for (const code of codesOf(store, locale)) {
+      const slot = store === 'appStore' ? size.device : size.supplyFolder;
+      const key = `${store}:${code}:${slot}`;
+      const number = String((counters.get(key) ?? 0) + 1).padStart(2, '0');
+      counters.set(key, Number(number));
+      let target;
+      if (store === 'appStore') {
+        target = join('deliver', 'screenshots', code, `${sanitizeSize(size.device)}-${number}-${screenshot.id}.png`);
+      } else if (SINGLE_IMAGE_FOLDERS.includes(size.supplyFolder)) {
+        target = join('supply', code, 'images', `${size.supplyFolder}.png`);
+      } else {
+        target = join('supply', code, 'images', size.supplyFolder, `${number}_${screenshot.id}.png`);
+      }
+      files.push({ store, locale: code, slot, target, source: outputPath });
+    }
+  }
+
+  // Listing texts for every locale that has images in the store
+  const published = new Set(images.map(image => `${image.size.store ?? 'appStore'}:${image.locale}`));
+  for (const key of published) {
+    const [store, locale] = key.split(':');
+    const fields = Object.entries(listingFields(config, locale, store));
+    for (const code of codesOf(store, locale)) {
+      for (const [field, text] of fields) {
+        const { file } = STORE_METADATA[store][field];
+        const target = store === 'appStore'
+          ? join('deliver', 'metadata', code, file)
+          : join('supply', code, file);
+        files.push({ store, locale: code, slot: 'metadata', target, content: text });
+      }
+    }
+  }
+
+  return {
+    stores: stores.filter(store => files.some(file => file.store === store)),
+    files,
+    missing: [...new Set(files.filter(file => file.source && !existsSync(file.source)).map(file => file.source))]
+  };
+}
+
+async function loadState(stagingDir) {
+  try {
+    const state = JSON.parse(await readFile(join(stagingDir, STATE_FILE), 'utf-8'));
+    if (state.version === STATE_VERSION) return state;
+  } catch {
+    // Nothing uploaded yet
+  }
+  return { version: STATE_VERSION, files: {} };
+}
+
+/**
+ * Compare a plan with what was last uploaded from `stagingDir`. Every planned
+ * file is 'added', 'replaced' or 'unchanged' (with its `hash`); files of the
+ * plan's stores that were uploaded before but aren't planned any more are
+ * 'removed' (deliver and supply replace a slot's screenshots as a whole).
+ * Returns the changes as plan entries plus `change`, sorted by target.
+ */
+export async function diffPublish(plan, stagingDir) {
+  const { files: published } = await loadState(stagingDir);
+  const changes = [];
+  for (const file of plan.files) {
+    const hash = sha256(file.source ? await readFile(file.source) : file.content);
+    const previous = published[file.target];
+    const change = !previous ? 'added' : previous.hash === hash ? 'unchanged' : 'replaced';
+    changes.push({ ...file, hash, change });
+  }
+  const planned = new Set(plan.files.map(file => file.target));
+  for (const [target, { store, locale, slot }] of Object.entries(published)) {
+    if (plan.stores.includes(store) && !planned.has(target)) {
+      changes.push({ store, locale, slot, target, change: 'removed' });
+    }
+  }
+  return changes.sort((a, b) => a.target.localeCompare(b.target));
+}
+
+/**
+ * Write a plan's files into `stagingDir`, replacing each planned store's
+ * folder entirely so nothing stale is uploaded
+ */
+export async function stagePublish(plan, stagingDir) {
+  for (const store of plan.stores) {
+    await rm(join(stagingDir, STORE_FOLDERS[store]), { recursive: true, force: true });
+  }
+  for (const file of plan.files) {
+    const path = join(stagingDir, file.target);
+    await mkdir(dirname(path), { recursive: true });
+    if (file.source) {
+      await copyFile(file.source, path);
+    } else {
+      await writeFile(path, file.content);
+    }
+  }
+}
+
+/**
+ * Record a store's files as uploaded, so the next diff compares against them
+ */
+async function recordPublished(stagingDir, store, changes) {
+  const state = await loadState(stagingDir);
+  for (const [target, entry] of Object.entries(state.files)) {
+    if (entry.store === store) delete state.files[target];
+  }
+  for (const { target, hash, locale, slot } of changes) {
+    if (hash) state.files[target] = { store, locale, slot, hash };
+  }
+  await writeFile(join(stagingDir, STATE_FILE), JSON.stringify(state, null, 2) + '\n');
+}
+
+function runFastlane(args) {
+  return new Promise((resolvePromise, reject) => {
+    const child = spawn('fastlane', args, { stdio: 'inherit' });
+    child.once('error', error => reject(error.code === 'ENOENT'
+      ? new Error('fastlane not found. Install with: gem install fastlane')
+      : error));
+    child.once('exit', code => code === 0
+      ? resolvePromise()
+      : reject(new Error(`fastlane ${args[0]} exited with code ${code}`)));
+  });
+}
+
+/**
+ * Default uploader: `fastlane deliver` for the App Store (API key auth) and
+ * `fastlane supply` for Google Play (service account JSON key). Existing
+ * screenshots are replaced; no binary is uploaded and nothing is submitted
+ * for review. Throws for missing credentials or a failed upload.
+ */
+export async function fastlaneUpload({ store, dir, files, credentials = {} }) {
+  const hasMetadata = files.some(file => file.slot === 'metadata');
+
+  if (store === 'playStore') {
+    const { packageName, jsonKeyPath } = credentials;
+    if (!packageName) throw new Error('Missing Google Play package name (--package-name, PLAY_PACKAGE_NAME or upload.packageName)');
+    if (!jsonKeyPath) throw new Error('Missing Google Play JSON key (--json-key, PLAY_JSON_KEY_PATH or upload.jsonKeyPath)');
+    await runFastlane([
+      'supply',
+      '--package_name', packageName,
+      '--json_key', expandHome(jsonKeyPath),
+      '--metadata_path', dir,
+      '--skip_upload_apk', 'true',
+      '--skip_upload_aab', 'true',
+      '--skip_upload_changelogs', 'true',
+      '--skip_upload_metadata', String(!hasMetadata)
+    ]);
+    return;
+  }
+
+  const { appId, keyId, issuerId } = credentials;
+  if (!appId) throw new Error('Missing App Bundle ID (--app-id, ASC_APP_ID or upload.appId)');
+  if (!keyId) throw new Error('Missing API Key ID (--key-id, ASC_KEY_ID or upload.keyId)');
+  if (!issuerId) throw new Error('Missing Issuer ID (--issuer-id, ASC_ISSUER_ID or upload.issuerId)');
+  const keyPath = expandHome(credentials.keyPath || `~/.appstoreconnect/private_keys/AuthKey_${keyId}.p8`);
+  let key;
+  try {
+    key = await readFile(keyPath, 'utf-8');
+  } catch {
+    throw new Error(`API key file not found: ${keyPath} (download it from App Store Connect → Users and Access → Integrations)`);
+  }
+
+  // deliver reads the key from a JSON file; keep it private and short-lived
+  const tempDir = await mkdtemp(join(tmpdir(), 'appshot-'));
+  const apiKeyPath = join(tempDir, 'api_key.json');
+  await writeFile(apiKeyPath, JSON.stringify({ key_id: keyId, issuer_id: issuerId, key }), { mode: 0o600 });
+  try {
+    await runFastlane([
+      'deliver',
+      '--app_identifier', appId,
+      '--api_key_path', apiKeyPath,
+      '--screenshots_path', join(dir, 'screenshots'),
+      '--metadata_path', join(dir, 'metadata'),
+      '--skip_metadata', String(!hasMetadata),
+      '--skip_binary_upload', 'true',
+      '--overwrite_screenshots', 'true',
+      '--submit_for_review', 'false',
+      '--force', 'true',
+      '--precheck_include_in_app_purchases', 'false'
+    ]);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Stage and upload a prepared config's images and listing texts. Options:
+ * - baseDir: where output.path and publish.stagingDir start
+ * - stores: limit to some of 'appStore' and 'playStore'
+ * - dryRun: only compute the changes; nothing is staged or uploaded
+ * - stageOnly: stage, but don't upload
+ * - upload({ store, dir, files, changes, credentials }): uploads one store's
+ *   staging folder `dir` (default: fastlaneUpload); `files` are the plan
+ *   entries for the store with `target` relative to `dir`
+ * - credentials: { appStore: { appId, keyId, issuerId, keyPath },
+ *   playStore: { packageName, jsonKeyPath } }, passed to the uploader
+ * - onUpload(store): called before each store's upload
+ * Returns { stagingDir, stores, changes, uploaded }. Throws when generated
+ * images are missing (listed as `error.missing`).
+ */
+export async function publish(config, {
+  baseDir = process.cwd(),
+  stores = STORES,
+  dryRun = false,
+  stageOnly = false,
+  upload = fastlaneUpload,
+  credentials = {},
+  onUpload
+} = {}) {
+  const stagingDir = resolve(baseDir, config.publish?.stagingDir ?? DEFAULT_STAGING_DIR);
+  const plan = planPublish(config, { baseDir, stores });
+  if (plan.missing.length > 0) {
+    const error = new Error(`${plan.missing.length} generated image(s) missing (run node generate.mjs first)`);
+    error.missing = plan.missing;
+    throw error;
+  }
+
+  const changes = await diffPublish(plan, stagingDir);
+  const uploaded = [];
+  if (dryRun) return { stagingDir, stores: plan.stores, changes, uploaded };
+
+  await stagePublish(plan, stagingDir);
+  if (stageOnly) return { stagingDir, stores: plan.stores, changes, uploaded };
+
+  for (const store of plan.stores) {
+    const folder = STORE_FOLDERS[store];
+    const storeChanges = changes.filter(change => change.store === store);
+    onUpload?.(store);
+    await upload({
+      store,
+      dir: join(stagingDir, folder),
+      files: plan.files
+        .filter(file => file.store === store)
+        .map(file => ({ ...file, target: file.target.slice(folder.length + 1) })),
+      changes: storeChanges,
+      credentials: credentials[store] ?? {}
+    });
+    await recordPublished(stagingDir, store, storeChanges);
+    uploaded.push(store);
+  }
+  return { stagingDir, stores: plan.stores, changes, uploaded };
+}
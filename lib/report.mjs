@@ -0,0 +1,83 @@
+/**
+ * Run Reports
+ *
+ * Machine-readable results of a generation run: a JSON file listing every
+ * screenshot job, and optionally JUnit XML so CI systems show failed images as
+ * failed tests (one test suite per output size, one test case per image).
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+async function writeReportFile(path, content) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, content);
+}
+
+/**
+ * Write the JSON report. `entries` are per-image results:
+ * { id, locale, size, status, renderer, attempts, durationMs, outputPath, dimensions, error, artifacts }
+ * where `artifacts` lists the files saved per failed attempt (--artifacts-dir),
+ * plus `copies`, `panorama`, the headline's `textFit` and `alphaFlattened`
+ * where they apply.
+ */
+export async function writeJsonReport(path, { startedAt, durationMs, entries }) {
+  const summary = { total: entries.length, generated: 0, cached: 0, failed: 0 };
+  for (const entry of entries) summary[entry.status]++;
+  const report = { startedAt, durationMs, summary, jobs: entries };
+  await writeReportFile(path, JSON.stringify(report, null, 2) + '\n');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Write a JUnit XML report: one <testsuite> per size, one <testcase> per
+ * image named "{locale}/{id}". Failed images carry a <failure> with the last
+ * error; cached images pass. Failure artifacts are listed as
+ * [[ATTACHMENT|path]] lines in <system-out>, which Jenkins and GitLab pick up.
+ */
+export async function writeJUnitReport(path, { durationMs, entries }) {
+  const suites = new Map();
+  for (const entry of entries) {
+    if (!suites.has(entry.size)) suites.set(entry.size, []);
+    suites.get(entry.size).push(entry);
+  }
+
+  const seconds = ms => (ms / 1000).toFixed(3);
+  const failures = entries.filter(entry => entry.status === 'failed').length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="appshot" tests="${entries.length}" failures="${failures}" time="${seconds(durationMs)}">`
+  ];
+  for (const [size, cases] of suites) {
+    const suiteFailures = cases.filter(entry => entry.status === 'failed').length;
+    const suiteTime = cases.reduce((sum, entry) => sum + entry.durationMs, 0);
+    lines.push(`  <testsuite name="${escapeXml(size)}" tests="${cases.length}" failures="${suiteFailures}" time="${seconds(suiteTime)}">`);
+    for (const entry of cases) {
+      const attributes = `name="${escapeXml(`${entry.locale}/${entry.id}`)}" classname="${escapeXml(size)}" time="${seconds(entry.durationMs)}"`;
+      if (entry.status === 'failed') {
+        const message = entry.error || 'Failed';
+        const summary = message.split('\n')[0];
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(`      <failure message="${escapeXml(summary)}">${escapeXml(`${message}\n(after ${entry.attempts} attempt(s))`)}</failure>`);
+        const attachments = (entry.artifacts ?? []).flatMap(({ attempt, ...files }) => Object.values(files));
+        if (attachments.length > 0) {
+          const text = attachments.map(path => `[[ATTACHMENT|${path}]]`).join('\n');
+          lines.push(`      <system-out>${escapeXml(text)}</system-out>`);
+        }
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`    <testcase ${attributes}/>`);
+      }
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  await writeReportFile(path, lines.join('\n') + '\n');
+}
@@ -0,0 +1,28 @@
+/**
+ * Job Queue
+ *
+ * Runs a list of jobs on a fixed number of async workers. Each worker pulls
+ * the next job as soon as it's free, so slow jobs (large tablet or desktop
+ * exports) don't hold up the rest.
+ */
+
+/**
+ * Run `runJob(job, workerId)` for every job with at most `concurrency` running
+ * at once. Results are returned in job order. runJob is expected to handle its
+ * own errors; a rejection stops the queue.
+ */
+export async function runQueue(jobs, { concurrency, runJob }) {
+  const results = new Array(jobs.length);
+  let next = 0;
+
+  async function worker(workerId) {
+    while (next < jobs.length) {
+      const index = next++;
+      results[index] = await runJob(jobs[index], workerId);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, jobs.length));
+  await Promise.all(Array.from({ length: workerCount }, (_, workerId) => worker(workerId)));
+  return results;
+}
@@ -0,0 +1,103 @@
+/**
+ * Writing Systems
+ *
+ * What a locale's script means for the design: a font that has its glyphs
+ * (Latin headline fonts rarely cover Japanese or Arabic), and for
+ * right-to-left scripts the text direction, alignment and an optionally
+ * mirrored layout. Scripts are ISO 15924 codes derived from the locale
+ * ("ja" → Jpan, "zh-TW" → Hant, "ar" → Arab).
+ */
+
+/** Fonts used for a script unless design.text.scriptFonts says otherwise */
+export const DEFAULT_SCRIPT_FONTS = {
+  Arab: 'Noto Sans Arabic',
+  Hebr: 'Noto Sans Hebrew',
+  Jpan: 'Noto Sans JP',
+  Kore: 'Noto Sans KR',
+  Hans: 'Noto Sans SC',
+  Hant: 'Noto Sans TC',
+  Thai: 'Noto Sans Thai',
+  Deva: 'Noto Sans Devanagari'
+};
+
+const RTL_SCRIPTS = new Set(['Arab', 'Hebr', 'Thaa', 'Syrc', 'Nkoo', 'Adlm']);
+
+/** Values of text.align and rtl.textAlign */
+export const TEXT_ALIGNS = ['center', 'left', 'right'];
+
+/**
+ * ISO 15924 script of a locale ("Latn" when the locale can't be parsed)
+ */
+export function localeScript(locale) {
+  try {
+    return new Intl.Locale(locale.replace(/_/g, '-')).maximize().script ?? 'Latn';
+  } catch {
+    return 'Latn';
+  }
+}
+
+export function isRtlLocale(locale) {
+  return RTL_SCRIPTS.has(localeScript(locale));
+}
+
+/**
+ * Font for a locale's script: design.text.scriptFonts, then the defaults.
+ * null when the design font should be kept (Latin-like scripts, or a
+ * scriptFonts entry set to null).
+ */
+export function scriptFont(text, locale) {
+  const script = localeScript(locale);
+  const configured = text?.scriptFonts?.[script];
+  if (configured !== undefined) return configured;
+  return DEFAULT_SCRIPT_FONTS[script] ?? null;
+}
+
+/**
+ * Design layer for a locale's script, merged before the locale's own
+ * overrides so localeDesign can still pick a different font or alignment
+ */
+export function scriptLayer(design, locale) {
+  const font = scriptFont(design.text, locale);
+  const text = font ? { font, subheadlineFont: font } : {};
+  if (!isRtlLocale(locale)) return { text };
+  return {
+    direction: 'rtl',
+    text: { ...text, align: design.rtl?.textAlign ?? 'right' }
+  };
+}
+
+function mirrorPreset(preset) {
+  if (!preset) return preset;
+  const slug = preset.trim().toLowerCase().replace(/\s+/g, '-');
+  if (slug === 'tilt-left') return 'tilt-right';
+  if (slug === 'tilt-right') return 'tilt-left';
+  return preset;
+}
+
+/**
+ * Mirror a resolved design left to right: the gradient angle, tilt presets
+ * and 3D rotation. Sets `mirrored` so renderers also flip composite device
+ * placements (see mirrorPlacement).
+ */
+export function mirrorDesign(design) {
+  const { background, device } = design;
+  const mirrored = { ...design, mirrored: true, device: { ...device, preset: mirrorPreset(device?.preset) } };
+  if ((background?.type ?? 'gradient') === 'gradient') {
+    mirrored.background = { ...background, angle: (360 - (background.angle ?? 135)) % 360 };
+  }
+  if (device?.rotation) {
+    mirrored.device.rotation = {
+      ...device.rotation,
+      ...(device.rotation.y !== undefined && { y: -device.rotation.y }),
+      ...(device.rotation.z !== undefined && { z: -device.rotation.z })
+    };
+  }
+  return mirrored;
+}
+
+/**
+ * Mirror a device placement (x and rotation) for a mirrored design
+ */
+export function mirrorPlacement(placement) {
+  return { ...placement, x: 1 - placement.x, rotation: -placement.rotation };
+}
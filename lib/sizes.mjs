@@ -0,0 +1,161 @@
+/**
+ * Size Profiles
+ *
+ * Built-in output sizes for every store target — App Store iPhone and iPad,
+ * Mac App Store, Apple Watch and Apple TV, and Google Play phone, tablets,
+ * TV and feature graphic — each with frame defaults that suit its shape. A
+ * size entry names one with `profile` and may override any field.
+ *
+ * Also where each size's images go: fastlane `deliver` folders
+ * (<locale>/<size>/<id>.png) or `supply` folders
+ * (<locale>/images/phoneScreenshots/<id>.png), chosen per store, and the
+ * metadata text files each store's fastlane tool reads.
+ */
+
+import { join } from 'path';
+import { deepMerge } from './design.mjs';
+
+/** Stores a size can target */
+export const STORES = ['appStore', 'playStore'];
+
+/** Output folder layouts (fastlane deliver / supply) and each store's default */
+export const OUTPUT_LAYOUTS = ['deliver', 'supply'];
+const DEFAULT_LAYOUTS = { appStore: 'deliver', playStore: 'supply' };
+
+/** supply image folders; featureGraphic is a single image per locale */
+export const SUPPLY_FOLDERS = [
+  'phoneScreenshots', 'sevenInchScreenshots', 'tenInchScreenshots',
+  'tvScreenshots', 'wearScreenshots', 'featureGraphic'
+];
+export const SINGLE_IMAGE_FOLDERS = ['featureGraphic'];
+
+/**
+ * Store listing fields per store (publish.metadata.<locale>.<store>): the
+ * deliver or supply file each is written to and the store's length limit
+ */
+export const STORE_METADATA = {
+  appStore: {
+    name: { file: 'name.txt', maxLength: 30 },
+    subtitle: { file: 'subtitle.txt', maxLength: 30 },
+    promotionalText: { file: 'promotional_text.txt', maxLength: 170 },
+    description: { file: 'description.txt', maxLength: 4000 },
+    keywords: { file: 'keywords.txt', maxLength: 100 },
+    releaseNotes: { file: 'release_notes.txt', maxLength: 4000 },
+    supportUrl: { file: 'support_url.txt' },
+    marketingUrl: { file: 'marketing_url.txt' },
+    privacyUrl: { file: 'privacy_url.txt' }
+  },
+  playStore: {
+    title: { file: 'title.txt', maxLength: 30 },
+    shortDescription: { file: 'short_description.txt', maxLength: 80 },
+    fullDescription: { file: 'full_description.txt', maxLength: 4000 },
+    video: { file: 'video.txt' }
+  }
+};
+
+/** Pixel area that counts as one job against --context-jobs (iPhone 6.9") */
+const REFERENCE_PIXEL_AREA = 1320 * 2868;
+
+const MAC_DESIGN = { device: { preset: 'Centered', cornerRadius: 10 }, text: { headlineSize: 70, verticalOffset: 5 } };
+const WATCH_DESIGN = { device: { preset: 'Float Center', cornerRadius: 40 }, text: { headlineSize: 160, verticalOffset: 4 } };
+const TV_DESIGN = { device: { preset: 'Centered', cornerRadius: 0 }, text: { headlineSize: 70, verticalOffset: 5 } };
+
+export const SIZE_PROFILES = {
+  // App Store — iPhone and iPad (YUZU has presets for most)
+  'iphone-6.9': { device: 'iPhone 6.9"', width: 1320, height: 2868, store: 'appStore', yuzuDevice: 'iphone-6.9' },
+  'iphone-6.7': { device: 'iPhone 6.7"', width: 1290, height: 2796, store: 'appStore', yuzuDevice: 'iphone-6.7' },
+  'iphone-6.5': { device: 'iPhone 6.5"', width: 1284, height: 2778, store: 'appStore', yuzuDevice: 'iphone-6.5' },
+  'iphone-5.5': { device: 'iPhone 5.5"', width: 1242, height: 2208, store: 'appStore', yuzuDevice: 'iphone-5.5' },
+  'ipad-13': { device: 'iPad 13"', width: 2064, height: 2752, store: 'appStore', yuzuDevice: 'custom' },
+  'ipad-12.9': { device: 'iPad 12.9"', width: 2048, height: 2732, store: 'appStore', yuzuDevice: 'ipad-12.9' },
+  'ipad-11': { device: 'iPad 11"', width: 1668, height: 2388, store: 'appStore', yuzuDevice: 'ipad-11' },
+
+  // Mac App Store (16:10)
+  'mac-1280': { device: 'Mac 1280x800', width: 1280, height: 800, store: 'appStore', design: MAC_DESIGN },
+  'mac-1440': { device: 'Mac 1440x900', width: 1440, height: 900, store: 'appStore', design: MAC_DESIGN },
+  'mac-2560': { device: 'Mac 2560x1600', width: 2560, height: 1600, store: 'appStore', design: MAC_DESIGN },
+  'mac-2880': { device: 'Mac 2880x1800', width: 2880, height: 1800, store: 'appStore', design: MAC_DESIGN },
+
+  // Apple Watch
+  'watch-ultra-3': { device: 'Apple Watch Ultra 3', width: 422, height: 514, store: 'appStore', design: WATCH_DESIGN },
+  'watch-ultra': { device: 'Apple Watch Ultra', width: 410, height: 502, store: 'appStore', design: WATCH_DESIGN },
+  'watch-46mm': { device: 'Apple Watch 46mm', width: 416, height: 496, store: 'appStore', design: WATCH_DESIGN },
+  'watch-45mm': { device: 'Apple Watch 45mm', width: 396, height: 484, store: 'appStore', design: WATCH_DESIGN },
+  'watch-41mm': { device: 'Apple Watch 41mm', width: 352, height: 430, store: 'appStore', design: WATCH_DESIGN },
+
+  // Apple TV
+  'tv-hd': { device: 'Apple TV', width: 1920, height: 1080, store: 'appStore', design: TV_DESIGN },
+  'tv-4k': { device: 'Apple TV 4K', width: 3840, height: 2160, store: 'appStore', design: TV_DESIGN },
+
+  // Google Play
+  'play-phone': {
+    device: 'Android Phone', width: 1080, height: 1920, store: 'playStore', supplyFolder: 'phoneScreenshots',
+    design: { device: { cornerRadius: 36 } }
+  },
+  'play-tablet-7': {
+    device: 'Android Tablet 7"', width: 1200, height: 1920, store: 'playStore', supplyFolder: 'sevenInchScreenshots',
+    design: { device: { cornerRadius: 20 } }
+  },
+  'play-tablet-10': {
+    device: 'Android Tablet 10"', width: 1600, height: 2560, store: 'playStore', supplyFolder: 'tenInchScreenshots',
+    design: { device: { cornerRadius: 20 } }
+  },
+  'play-tv': {
+    device: 'Android TV', width: 1920, height: 1080, store: 'playStore', supplyFolder: 'tvScreenshots',
+    design: TV_DESIGN
+  },
+  'play-feature-graphic': {
+    device: 'Play Feature Graphic', width: 1024, height: 500, store: 'playStore', supplyFolder: 'featureGraphic',
+    design: { device: { preset: 'Bleed Bottom' }, text: { headlineSize: 70, verticalOffset: 8 } }
+  }
+};
+
+/**
+ * Fill every size entry that names a `profile` from it: the entry's own
+ * fields win and its `design` is merged over the profile's frame defaults.
+ * Unknown profiles are left for validation. Returns a copy.
+ */
+export function applySizeProfiles(config) {
+  if (!Array.isArray(config?.output?.sizes)) return config;
+  const sizes = config.output.sizes.map(size => {
+    const profile = SIZE_PROFILES[size?.profile];
+    if (!profile) return size;
+    const { design, ...fields } = profile;
+    const merged = { yuzuDevice: 'custom', ...fields, ...size };
+    return design ? { ...merged, design: deepMerge(design, size.design) } : merged;
+  });
+  return { ...config, output: { ...config.output, sizes } };
+}
+
+/**
+ * Output layout of a size: output.layout[store], or the store's default
+ */
+export function sizeLayout(config, size) {
+  const store = size.store ?? 'appStore';
+  return config.output?.layout?.[store] ?? DEFAULT_LAYOUTS[store];
+}
+
+/**
+ * Whether a size's supply folder holds a single image per locale
+ */
+export function isSingleImageSize(config, size) {
+  return sizeLayout(config, size) === 'supply' && SINGLE_IMAGE_FOLDERS.includes(size.supplyFolder);
+}
+
+/**
+ * Path of one image below a locale folder for a size. `sizeFolder` is the
+ * deliver folder name for the size.
+ */
+export function sizeImagePath(config, size, sizeFolder, id) {
+  if (sizeLayout(config, size) !== 'supply') return join(sizeFolder, `${id}.png`);
+  if (SINGLE_IMAGE_FOLDERS.includes(size.supplyFolder)) return join('images', `${size.supplyFolder}.png`);
+  return join('images', size.supplyFolder, `${id}.png`);
+}
+
+/**
+ * How much a job at this size counts against a browser context's job budget:
+ * its pixel area relative to an iPhone 6.9" image
+ */
+export function jobWeight(size) {
+  return (size.width * size.height) / REFERENCE_PIXEL_AREA;
+}
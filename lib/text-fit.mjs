@@ -0,0 +1,156 @@
+/**
+ * Headline Layout & Auto-Fit
+ *
+ * Shared text layout rules for both renderers. Font sizes are in "design px"
+ * (px on a 1320px wide canvas, like YUZU's sliders) and scale with the canvas
+ * width. Layout math works through a `measure(text, fontSize)` callback so the
+ * same code runs against the native canvas or widths measured inside YUZU.
+ */
+
+/** Canvas width that design px are expressed against */
+export const TEXT_REFERENCE_WIDTH = 1320;
+export const HEADLINE_SIZE = 100;
+export const TEXT_LINE_HEIGHT = 1.1;
+/** Text wraps at this fraction of the canvas width */
+export const TEXT_MAX_WIDTH_RATIO = 0.9;
+
+const AUTO_FIT_DEFAULTS = {
+  maxLines: 3,
+  minSize: 60,
+  step: 5,
+  margin: 5,      // % of canvas width kept clear on each side
+  maxBottom: 35   // % of canvas height the headline must end above
+};
+
+// Chinese and Japanese break between any two characters, not just at spaces
+const CJK_CLASS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u3000-\\u303f\\uff00-\\uffef';
+const CJK_CHAR = new RegExp(`[${CJK_CLASS}]`, 'u');
+const CJK_SEGMENT = new RegExp(`[^${CJK_CLASS}]+|.`, 'gu');
+// Kinsoku shori: characters that may not start a line (closing punctuation,
+// small kana, prolonged sound mark) and ones that may not end it (opening brackets)
+const NO_LINE_START = /^[、。，．・：；？！ー〜～」』）］｝〕〉》】〙〗〟’”ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ々〻゠‐–!?,.:;)\]}]/u;
+const NO_LINE_END = /[「『（［｛〔〈《【〘〖〝‘“(\[{]$/u;
+
+/**
+ * Split a line of text into the units it may wrap between, as
+ * [{ text, space }] where `space` marks a unit preceded by a space. Words
+ * are units; in CJK text each character is, except that kinsoku rules keep
+ * punctuation on the right side of a break.
+ */
+export function breakUnits(text) {
+  const units = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const segments = CJK_CHAR.test(word) ? word.match(CJK_SEGMENT) : [word];
+    segments.forEach((segment, i) => {
+      const previous = units[units.length - 1];
+      if (i > 0 && (NO_LINE_START.test(segment) || NO_LINE_END.test(previous.text))) {
+        previous.text += segment;
+      } else {
+        units.push({ text: segment, space: i === 0 && units.length > 0 });
+      }
+    });
+  }
+  return units;
+}
+
+/**
+ * Break text into lines that fit maxWidth, honoring explicit newlines.
+ * `measure(text)` returns the rendered width of a string.
+ */
+export function wrapText(measure, text, maxWidth) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const unit of breakUnits(paragraph)) {
+      const candidate = line ? `${line}${unit.space ? ' ' : ''}${unit.text}` : unit.text;
+      if (line && measure(candidate) > maxWidth) {
+        lines.push(line);
+        line = unit.text;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Whether text has CJK characters, which wrap between characters
+ */
+export function hasCjk(text) {
+  return CJK_CHAR.test(text);
+}
+
+/**
+ * Lines of a headline at a given design size on a canvas `width` px wide
+ */
+export function headlineLines(measure, text, fontSize, width) {
+  const canvasSize = fontSize * (width / TEXT_REFERENCE_WIDTH);
+  return wrapText(str => measure(str, canvasSize), text, width * TEXT_MAX_WIDTH_RATIO);
+}
+
+/**
+ * Lay out the headline at a given design size
+ */
+function layoutHeadline(measure, text, fontSize, width, height, verticalOffset) {
+  const canvasSize = fontSize * (width / TEXT_REFERENCE_WIDTH);
+  const measureAtSize = str => measure(str, canvasSize);
+  const lines = headlineLines(measure, text, fontSize, width);
+  return {
+    fontSize,
+    lines,
+    widest: Math.max(...lines.map(measureAtSize)),
+    bottom: height * (verticalOffset / 100) + lines.length * canvasSize * TEXT_LINE_HEIGHT
+  };
+}
+
+/**
+ * Find the largest headline size (stepping down from design.text.headlineSize
+ * to autoFit.minSize) whose layout stays within maxLines and the safe area.
+ *
+ * Returns { fontSize, lines, fits, shrunk }. Without `text.autoFit` the
+ * configured size is returned as-is.
+ */
+export function fitHeadline({ measure, title, text, width, height }) {
+  const startSize = text.headlineSize ?? HEADLINE_SIZE;
+  const verticalOffset = text.verticalOffset ?? 12;
+
+  if (!text.autoFit) {
+    const layout = layoutHeadline(measure, title, startSize, width, height, verticalOffset);
+    return { fontSize: startSize, lines: layout.lines.length, fits: true, shrunk: false };
+  }
+
+  const options = { ...AUTO_FIT_DEFAULTS, ...text.autoFit };
+  const safeWidth = width * (1 - (2 * options.margin) / 100);
+  const safeBottom = height * (options.maxBottom / 100);
+  const minSize = Math.min(options.minSize, startSize);
+
+  let layout;
+  for (let size = startSize; ; size = Math.max(minSize, size - options.step)) {
+    layout = layoutHeadline(measure, title, size, width, height, verticalOffset);
+    const fits = layout.lines.length <= options.maxLines &&
+      layout.widest <= safeWidth &&
+      layout.bottom <= safeBottom;
+    if (fits) {
+      return { fontSize: size, lines: layout.lines.length, fits: true, shrunk: size !== startSize };
+    }
+    if (size === minSize) break;
+  }
+
+  // Nothing fit: report the smallest size tried
+  return { fontSize: layout.fontSize, lines: layout.lines.length, fits: false, shrunk: layout.fontSize !== startSize };
+}
+
+/**
+ * Build a measure(text, fontSize) function from the widths of the text's
+ * break units (see breakUnits) and of ' ', measured once at 100px. Good
+ * enough for fitting text whose layout happens elsewhere (YUZU).
+ */
+export function measureFromWordWidths(wordWidths) {
+  return (text, fontSize) => {
+    const units = breakUnits(text);
+    const width = units.reduce((sum, unit) => sum + (wordWidths[unit.text] ?? 0) + (unit.space ? wordWidths[' '] : 0), 0);
+    return width * (fontSize / 100);
+  };
+}
@@ -0,0 +1,447 @@
+/**
+ * Translations
+ *
+ * Imports screenshot titles from the app's own localization files — Apple
+ * .strings, String Catalogs (.xcstrings), XLIFF 1.2/2.0, CSV or per-locale
+ * JSON — as configured by `titlesSource`, and exports the inline titles as
+ * XLIFF or CSV for translators. Strings are looked up by key templates built
+ * from the screenshot id ("{id}" for the headline, "{id}.subtitle" for the
+ * subtitle by default). Reading is synchronous, like the rest of config
+ * loading.
+ */
+
+import { readFileSync, readdirSync, existsSync, writeFileSync } from 'fs';
+import { resolve, join, sep, extname } from 'path';
+
+export const TITLE_FORMATS = ['strings', 'xcstrings', 'xliff', 'csv', 'json'];
+
+const FORMAT_BY_EXTENSION = {
+  '.strings': 'strings',
+  '.xcstrings': 'xcstrings',
+  '.xlf': 'xliff',
+  '.xliff': 'xliff',
+  '.csv': 'csv',
+  '.json': 'json'
+};
+
+/** Formats holding one locale per file (the path needs a {locale} placeholder) */
+const PER_LOCALE_FORMATS = new Set(['strings', 'json']);
+
+/** What a titlesSource path of each format should point at, for error messages */
+const FORMAT_DESCRIPTIONS = {
+  strings: 'one Apple .strings file per locale',
+  xcstrings: 'a String Catalog (.xcstrings)',
+  xliff: 'an XLIFF file (.xlf or .xliff), or one per locale',
+  csv: 'a CSV file with a key,<locale>,… header row',
+  json: 'one JSON file per locale'
+};
+
+const DEFAULT_TITLE_KEY = '{id}';
+const DEFAULT_SUBTITLE_KEY = '{id}.subtitle';
+
+/** Xcode's base localization isn't a real locale */
+const IGNORED_LOCALES = new Set(['Base']);
+
+function addString(translations, locale, key, value) {
+  if (!locale || typeof value !== 'string' || value === '') return;
+  if (!translations.has(locale)) translations.set(locale, new Map());
+  translations.get(locale).set(key, value);
+}
+
+/**
+ * Text of a file, honouring the UTF-16 byte order marks older .strings files use
+ */
+function readText(path) {
+  const buffer = readFileSync(path);
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.subarray(2).toString('utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Apple .strings: "key" = "value"; with C-style comments and backslash escapes
+ */
+function parseStrings(text, locale) {
+  const translations = new Map();
+  const quoted = '"((?:[^"\\\\]|\\\\.)*)"';
+  const entry = new RegExp(`${quoted}\\s*=\\s*${quoted}\\s*;`, 'g');
+  const unescape = value => value.replace(/\\(U[0-9A-Fa-f]{4}|u[0-9A-Fa-f]{4}|.)/g, (_, escape) => {
+    if (/^[Uu]/.test(escape)) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return { n: '\n', t: '\t', r: '\r' }[escape] ?? escape;
+  });
+  const withoutComments = text.replace(/\/\*[\s\S]*?\*\/|^\s*\/\/.*$/gm, '');
+  for (const [, key, value] of withoutComments.matchAll(entry)) {
+    addString(translations, locale, unescape(key), unescape(value));
+  }
+  return translations;
+}
+
+/**
+ * String Catalog: strings[key].localizations[locale].stringUnit.value
+ * (plural and device variations aren't used for screenshots)
+ */
+function parseXcstrings(text) {
+  const translations = new Map();
+  const catalog = JSON.parse(text);
+  for (const [key, entry] of Object.entries(catalog.strings ?? {})) {
+    for (const [locale, localization] of Object.entries(entry?.localizations ?? {})) {
+      addString(translations, locale, key, localization?.stringUnit?.value);
+    }
+  }
+  return translations;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) => data.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+    .replace(/<[^>]+>/g, '') // inline markup (<g>, <x/>, <ph>...)
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[2] ?? match[3]) : null;
+}
+
+function elementText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * XLIFF 1.2 (<file source-language target-language><trans-unit>) and 2.0
+ * (<xliff srcLang trgLang><unit><segment>). Sources count as translations
+ * into the source language.
+ */
+function parseXliff(text, locale) {
+  const translations = new Map();
+  const rootTag = text.match(/<xliff\b[^>]*>/)?.[0] ?? '';
+  const rootSource = attribute(rootTag, 'srcLang');
+  const rootTarget = attribute(rootTag, 'trgLang');
+
+  for (const [, fileTag, body] of text.matchAll(/(<file\b[^>]*>)([\s\S]*?)<\/file>/g)) {
+    const sourceLocale = attribute(fileTag, 'source-language') ?? rootSource;
+    const targetLocale = attribute(fileTag, 'target-language') ?? rootTarget ?? locale;
+    for (const [, unitTag, unit] of body.matchAll(/(<(?:trans-unit|unit)\b[^>]*>)([\s\S]*?)<\/(?:trans-unit|unit)>/g)) {
+      const key = attribute(unitTag, 'id');
+      if (!key) continue;
+      addString(translations, sourceLocale, key, elementText(unit, 'source')?.trim());
+      addString(translations, targetLocale, key, elementText(unit, 'target')?.trim());
+    }
+  }
+  return translations;
+}
+
+/**
+ * CSV rows (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+/**
+ * CSV with a header row: key column first, then one column per locale
+ */
+function parseCsv(text) {
+  const translations = new Map();
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const locales = header.slice(1).map(locale => locale.trim());
+  for (const [key, ...values] of rows) {
+    locales.forEach((locale, i) => addString(translations, locale, key.trim(), values[i]));
+  }
+  return translations;
+}
+
+/**
+ * One JSON object per locale; nested objects are flattened with "."
+ */
+function parseJson(text, locale) {
+  const translations = new Map();
+  const visit = (object, prefix) => {
+    for (const [key, value] of Object.entries(object ?? {})) {
+      if (value && typeof value === 'object') visit(value, `${prefix}${key}.`);
+      else addString(translations, locale, `${prefix}${key}`, value);
+    }
+  };
+  visit(JSON.parse(text), '');
+  return translations;
+}
+
+const PARSERS = {
+  strings: parseStrings,
+  xcstrings: parseXcstrings,
+  xliff: parseXliff,
+  csv: parseCsv,
+  json: parseJson
+};
+
+/**
+ * The titlesSource setting as a list of { path, format, locales, titleKey,
+ * subtitleKey } entries
+ */
+function sourceEntries(titlesSource) {
+  return [].concat(titlesSource ?? [])
+    .map(entry => (typeof entry === 'string' ? { path: entry } : entry))
+    // An empty path is left to the schema check
+    .filter(entry => typeof entry?.path === 'string' && entry.path !== '');
+}
+
+/**
+ * Files for a path that may contain a {locale} placeholder in one path
+ * segment (e.g. "ios/{locale}.lproj/Screenshots.strings"): [{ path, locale }]
+ */
+function expandLocalePath(pattern, baseDir) {
+  const fullPath = resolve(baseDir, pattern);
+  if (!fullPath.includes('{locale}')) {
+    return existsSync(fullPath) ? [{ path: fullPath, locale: null }] : [];
+  }
+  const segments = fullPath.split(sep);
+  const index = segments.findIndex(segment => segment.includes('{locale}'));
+  const dir = segments.slice(0, index).join(sep) || sep;
+  const [before, after] = segments[index].split('{locale}');
+  const rest = segments.slice(index + 1);
+  let names;
+  try {
+    names = readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return names
+    .filter(name => name.length > before.length + after.length && name.startsWith(before) && name.endsWith(after))
+    .map(name => ({ path: join(dir, name, ...rest), locale: name.slice(before.length, name.length - after.length) }))
+    .filter(({ path, locale }) => !IGNORED_LOCALES.has(locale) && existsSync(path));
+}
+
+/**
+ * Read one titlesSource entry. Returns { translations, files, problems }.
+ */
+function loadSource(entry, path, baseDir) {
+  const format = entry.format ?? FORMAT_BY_EXTENSION[extname(entry.path.replace('{locale}', 'locale')).toLowerCase()];
+  if (!PARSERS[format]) {
+    // An invalid explicit format is already a schema problem
+    if (entry.format) return { translations: new Map(), files: [], problems: [] };
+    return { translations: new Map(), files: [], problems: [{ path, message: `unknown format of "${entry.path}" (set "format" to one of ${TITLE_FORMATS.join(', ')})` }] };
+  }
+  if (PER_LOCALE_FORMATS.has(format) && !entry.path.includes('{locale}')) {
+    return { translations: new Map(), files: [], problems: [{ path: `${path}.path`, message: `${format} files hold one locale each; use a {locale} placeholder (e.g. "${format === 'json' ? 'titles/{locale}.json' : '{locale}.lproj/Screenshots.strings'}")` }] };
+  }
+
+  const files = expandLocalePath(entry.path, baseDir);
+  if (files.length === 0) {
+    const where = entry.path.includes('{locale}') ? 'matches' : 'found at';
+    const expected = `${FORMAT_DESCRIPTIONS[format]}${entry.path.includes('{locale}') ? ', with {locale} standing for the locale code' : ''}`;
+    return { translations: new Map(), files: [], problems: [{ path: `${path}.path`, message: `no file ${where} "${resolve(baseDir, entry.path)}" (expected ${expected})` }] };
+  }
+
+  const translations = new Map();
+  const problems = [];
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = PARSERS[format](readText(file.path), file.locale);
+    } catch (error) {
+      problems.push({ path: `${path}.path`, message: `could not read ${file.path}: ${error.message}` });
+      continue;
+    }
+    for (const [locale, strings] of parsed) {
+      if (entry.locales && !entry.locales.includes(locale)) continue;
+      if (!translations.has(locale)) translations.set(locale, new Map());
+      for (const [key, value] of strings) translations.get(locale).set(key, value);
+    }
+  }
+  return { translations, files: files.map(file => file.path), problems };
+}
+
+function keyFor(template, id) {
+  return template.replaceAll('{id}', id);
+}
+
+/**
+ * Merge the titles of every titlesSource entry into the config's inline
+ * titles and subtitles. Later sources override earlier ones; inline titles
+ * override all of them. Returns { config, problems, files, imported, locales }
+ * where config is a merged copy, problems use validateConfig's { path,
+ * message } shape, files are the files read, imported counts the strings used
+ * and locales lists the locales any title was imported in.
+ */
+export function applyTitlesSource(config, { baseDir }) {
+  const entries = sourceEntries(config?.titlesSource);
+  if (entries.length === 0 || !Array.isArray(config.screenshots)) {
+    return { config, problems: [], files: [], imported: 0, locales: [] };
+  }
+
+  const multiple = Array.isArray(config.titlesSource);
+  const problems = [];
+  const files = [];
+  const sources = entries.map((entry, index) => {
+    const loaded = loadSource(entry, multiple ? `titlesSource[${index}]` : 'titlesSource', baseDir);
+    problems.push(...loaded.problems);
+    files.push(...loaded.files);
+    return { entry, translations: loaded.translations };
+  });
+
+  let imported = 0;
+  const locales = new Set();
+  const screenshots = config.screenshots.map(screenshot => {
+    if (typeof screenshot?.id !== 'string') return screenshot;
+    const titles = {};
+    const subtitles = {};
+    for (const { entry, translations } of sources) {
+      const titleKey = keyFor(entry.titleKey ?? DEFAULT_TITLE_KEY, screenshot.id);
+      const subtitleKey = keyFor(entry.subtitleKey ?? DEFAULT_SUBTITLE_KEY, screenshot.id);
+      for (const [locale, strings] of translations) {
+        if (strings.has(titleKey)) titles[locale] = strings.get(titleKey);
+        if (strings.has(subtitleKey)) subtitles[locale] = strings.get(subtitleKey);
+      }
+    }
+    const merged = { ...screenshot, titles: { ...titles, ...screenshot.titles } };
+    const importedLocales = Object.keys(titles).filter(locale => !(locale in (screenshot.titles ?? {})));
+    imported += importedLocales.length;
+    importedLocales.forEach(locale => locales.add(locale));
+    // A subtitle needs a title in the same locale
+    const usable = Object.entries(subtitles).filter(([locale]) => locale in merged.titles);
+    if (usable.length > 0) {
+      merged.subtitles = { ...Object.fromEntries(usable), ...screenshot.subtitles };
+    }
+    return merged;
+  });
+
+  return { config: { ...config, screenshots }, problems, files, imported, locales: [...locales].sort() };
+}
+
+/**
+ * Screenshot ids without a title, per locale: [{ locale, ids }] for every
+ * locale any screenshot has a title in
+ */
+export function missingTranslations(config) {
+  const screenshots = (config.screenshots ?? []).filter(screenshot => screenshot?.titles);
+  const locales = [...new Set(screenshots.flatMap(screenshot => Object.keys(screenshot.titles)))].sort();
+  return locales
+    .map(locale => ({ locale, ids: screenshots.filter(screenshot => !(locale in screenshot.titles)).map(screenshot => screenshot.id) }))
+    .filter(({ ids }) => ids.length > 0);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Inline strings as rows { key, note, values: { locale: text } }
+ */
+function exportRows(config) {
+  const rows = [];
+  for (const screenshot of config.screenshots ?? []) {
+    rows.push({
+      key: keyFor(DEFAULT_TITLE_KEY, screenshot.id),
+      note: `Headline of screenshot "${screenshot.id}"`,
+      values: screenshot.titles ?? {}
+    });
+    if (screenshot.subtitles && Object.keys(screenshot.subtitles).some(locale => !locale.startsWith('_'))) {
+      rows.push({
+        key: keyFor(DEFAULT_SUBTITLE_KEY, screenshot.id),
+        note: `Subtitle of screenshot "${screenshot.id}"`,
+        values: screenshot.subtitles
+      });
+    }
+  }
+  return rows;
+}
+
+function toXliff(rows, sourceLocale, targetLocales) {
+  const files = targetLocales.map(locale => {
+    const units = rows
+      .filter(row => row.values[sourceLocale])
+      .map(row => {
+        const target = row.values[locale]
+          ? `\n        <target state="translated">${escapeXml(row.values[locale])}</target>`
+          : '';
+        return `      <trans-unit id="${escapeXml(row.key)}">
+        <source>${escapeXml(row.values[sourceLocale])}</source>${target}
+        <note>${escapeXml(row.note)}</note>
+      </trans-unit>`;
+      });
+    return `  <file original="appshot" datatype="plaintext" source-language="${escapeXml(sourceLocale)}" target-language="${escapeXml(locale)}">
+    <body>
+${units.join('\n')}
+    </body>
+  </file>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+${files.join('\n')}
+</xliff>
+`;
+}
+
+function toCsv(rows, locales) {
+  const lines = [['key', ...locales], ...rows.map(row => [row.key, ...locales.map(locale => row.values[locale] ?? '')])];
+  return lines.map(cells => cells.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Write the config's inline titles and subtitles to `path` as XLIFF 1.2 (one
+ * <file> per target locale, untranslated units without <target>) or CSV,
+ * chosen by extension. Keys use the default templates, so the file can be
+ * read back with titlesSource. Returns { format, strings, locales }.
+ */
+export function exportTitles(config, path, { sourceLocale }) {
+  const format = FORMAT_BY_EXTENSION[extname(path).toLowerCase()];
+  if (format !== 'xliff' && format !== 'csv') {
+    throw new Error(`Can't export titles as "${extname(path) || path}" (use .xlf, .xliff or .csv)`);
+  }
+  const rows = exportRows(config);
+  const locales = [...new Set(rows.flatMap(row => Object.keys(row.values)))]
+    .filter(locale => !locale.startsWith('_'))
+    .sort((a, b) => (a === sourceLocale ? -1 : b === sourceLocale ? 1 : a.localeCompare(b)));
+  if (!locales.includes(sourceLocale)) {
+    throw new Error(`No inline titles in source locale "${sourceLocale}" (locales: ${locales.join(', ') || 'none'})`);
+  }
+
+  const targetLocales = locales.filter(locale => locale !== sourceLocale);
+  writeFileSync(path, format === 'xliff' ? toXliff(rows, sourceLocale, targetLocales) : toCsv(rows, locales));
+  return { format, strings: rows.length, locales };
+}
@@ -0,0 +1,93 @@
+/**
+ * Output Verification
+ *
+ * Checks a generated screenshot before it counts as done: exact dimensions
+ * for its size entry, no alpha channel (App Store Connect rejects those), an
+ * sRGB color profile or none (the stores show untagged images as sRGB, so
+ * Display P3 or an odd gamma would shift the colors) and real content rather
+ * than a blank or near-uniform canvas.
+ */
+
+import { readFile } from 'fs/promises';
+import { pngInfo, decodePng } from './png.mjs';
+
+/** Luminance standard deviation (0–255) below which an image counts as blank */
+const UNIFORM_STDDEV_THRESHOLD = 2;
+/** Pixels sampled for the blank check */
+const UNIFORM_SAMPLE_COUNT = 250000;
+/** The gAMA value sRGB-compatible encoders write (1/2.2), and the slack allowed */
+const SRGB_GAMMA = 0.45455;
+const GAMMA_TOLERANCE = 0.005;
+
+/** verifyImage's message for an alpha channel, which YUZU exports can be flattened of */
+export const ALPHA_PROBLEM = 'has an alpha channel';
+
+/**
+ * Standard deviation of the luminance over an even sample of pixels
+ */
+function luminanceStdDev({ data, width, height }) {
+  const pixelCount = width * height;
+  const step = Math.max(1, Math.floor(pixelCount / UNIFORM_SAMPLE_COUNT));
+  let count = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let pixel = 0; pixel < pixelCount; pixel += step) {
+    const i = pixel * 4;
+    const luminance = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    sum += luminance;
+    sumSquares += luminance * luminance;
+    count++;
+  }
+  const mean = sum / count;
+  return Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+}
+
+/**
+ * Why the PNG's color chunks (see pngInfo) aren't sRGB, or null. An sRGB
+ * chunk settles it; otherwise an embedded profile must describe itself as
+ * sRGB, and a lone gAMA must be sRGB's.
+ */
+function colorProfileProblem({ srgb, iccProfile, gamma }) {
+  if (srgb) return null;
+  if (iccProfile) {
+    const { name, description } = iccProfile;
+    if (/srgb/i.test(description ?? name)) return null;
+    return `has a non-sRGB color profile ("${description ?? name}")`;
+  }
+  if (gamma !== null && Math.abs(gamma - SRGB_GAMMA) > GAMMA_TOLERANCE) {
+    return `has gamma ${gamma} without an sRGB profile`;
+  }
+  return null;
+}
+
+/**
+ * Problems with the image at `path` for an output size entry, as messages
+ * (empty when it passes)
+ */
+export async function verifyImage(path, size) {
+  let buffer;
+  try {
+    buffer = await readFile(path);
+  } catch {
+    return ['file not found'];
+  }
+
+  const info = pngInfo(buffer);
+  if (!info) return ['not a PNG file'];
+
+  const problems = [];
+  if (info.width !== size.width || info.height !== size.height) {
+    problems.push(`is ${info.width}×${info.height}, expected ${size.width}×${size.height}`);
+  }
+  if (info.hasAlpha) {
+    problems.push(ALPHA_PROBLEM);
+  }
+  const colorProblem = colorProfileProblem(info);
+  if (colorProblem) {
+    problems.push(colorProblem);
+  }
+  if (luminanceStdDev(await decodePng(buffer)) < UNIFORM_STDDEV_THRESHOLD) {
+    problems.push('looks blank (near-uniform color)');
+  }
+  return problems;
+}
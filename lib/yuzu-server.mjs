@@ -0,0 +1,82 @@
+/**
+ * Local YUZU Server
+ *
+ * Serves a checkout or build of YUZU AppScreen from a directory (--yuzu-dir)
+ * on a free localhost port, so YUZU runs without Docker and at exactly the
+ * version on disk. YUZU is a static site: every file is served as is, and a
+ * directory serves its index.html.
+ */
+
+import { createServer } from 'http';
+import { readFile, stat } from 'fs/promises';
+import { resolve, join, extname, sep } from 'path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.glb': 'model/gltf-binary',
+  '.gltf': 'model/gltf+json',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * Serve `dir` on 127.0.0.1 at a port the OS picks. Fails when the directory
+ * has no index.html. Resolves to { url, close } once listening.
+ */
+export async function startYuzuServer(dir) {
+  const root = resolve(dir);
+  try {
+    await stat(join(root, 'index.html'));
+  } catch {
+    throw new Error(`${root} has no index.html (expected a YUZU AppScreen checkout or build)`);
+  }
+
+  const server = createServer(async (request, response) => {
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      let path = resolve(root, `.${decodeURIComponent(pathname)}`);
+      // Only serve files inside the directory
+      if (path === root || path.startsWith(root + sep)) {
+        if ((await stat(path)).isDirectory()) path = join(path, 'index.html');
+        const data = await readFile(path);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path).toLowerCase()] ?? 'application/octet-stream' });
+        response.end(request.method === 'HEAD' ? undefined : data);
+        return;
+      }
+    } catch {}
+
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found\n');
+  });
+
+  return new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.off('error', reject);
+      resolvePromise({
+        url: `http://localhost:${server.address().port}/`,
+
+        /**
+         * Stop listening; open keep-alive connections are dropped
+         */
+        close() {
+          server.closeAllConnections();
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
@@ -0,0 +1,680 @@
+/**
+ * YUZU AppScreen Automation
+ *
+ * Drives a YUZU AppScreen page through Playwright: picks the output size,
+ * uploads a raw screenshot, applies a resolved design on the Background,
+ * Screenshot and Text tabs and exports the framed image.
+ *
+ * Selectors this module relies on, taken from YUZU AppScreen's markup
+ * (https://github.com/YUZU-Hub/appscreen). They aren't pinned to a YUZU
+ * release; checkYuzuSelectors() is what confirms them against the YUZU a run
+ * actually uses.
+ *
+ * - File upload: #file-input (hidden file input)
+ * - Screenshot list: .screenshot-item (.upload-item is the upload tile), .screenshot-menu-btn,
+ *   .screenshot-menu-item.screenshot-delete
+ * - Preview: #preview-canvas
+ * - Output size dropdown: #output-size-trigger, .device-option[data-device="iphone-6.9|iphone-6.7|custom"]
+ * - Custom size: #custom-size-inputs (gets .visible), #custom-width, #custom-height
+ * - Tab navigation: button.tab[data-tab="background|screenshot|text"]
+ * - Background type: #bg-type-selector button[data-type="gradient|solid|image"]
+ * - Gradient angle: #gradient-angle (range input)
+ * - Gradient stops: #gradient-stops .gradient-stop input[type="color"], input[type="range"] (position)
+ * - Add/remove gradient stop: #add-gradient-stop, .gradient-stop .gradient-stop-remove
+ * - Solid color: #bg-solid-color (input color)
+ * - Background image: #bg-image-input (hidden file input), #bg-image-fit (select), #bg-image-blur (range)
+ * - Background overlay: #bg-overlay-color (input color), #bg-overlay-opacity (range)
+ * - Device type: #device-type-selector button[data-type="2d|3d"]
+ * - 3D device model: #device-3d-model (select)
+ * - 3D rotation: #rotation-3d-x, #rotation-3d-y, #rotation-3d-z (range inputs)
+ * - Position presets: #position-preset-trigger, #position-preset-content (the dropdown),
+ *   button.position-preset[data-preset="<slug>"] (one per POSITION_PRESETS entry in design.mjs)
+ * - Corner radius: #corner-radius (range input)
+ * - Device border: #frame-toggle (div.toggle), #frame-width, #frame-color, #frame-opacity
+ * - Headline toggle: #headline-toggle (div.toggle)
+ * - Headline text: #headline-text (textarea!)
+ * - Headline font picker: #font-picker-trigger
+ * - Font search: #font-search, .font-option (results)
+ * - Headline weight: #headline-weight (select)
+ * - Headline color: #headline-color (input color)
+ * - Headline size: #headline-size (range input)
+ * - Text position: #text-offset-y (range input)
+ * - Subheadline toggle: #subheadline-toggle
+ * - Subheadline text: #subheadline-text (textarea)
+ * - Subheadline font picker: #subheadline-font-picker-trigger (shares #font-search)
+ * - Subheadline weight/color/size: #subheadline-weight, #subheadline-color, #subheadline-size
+ * - Headline/subheadline spacing: #text-spacing (range input)
+ * - Export button: #export-current
+ *
+ * checkYuzuSelectors() checks the core controls and those the run's designs
+ * use (yuzuSelectors()) on a freshly loaded page, so a YUZU whose UI changed
+ * stops the run before the first job instead of failing every job, while a
+ * control no design uses can't block a run.
+ */
+
+import { access, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { resolveGradientStops, resolvePositionPreset, DEVICE_TYPES } from './design.mjs';
+import { fitHeadline, measureFromWordWidths, breakUnits, headlineLines, hasCjk } from './text-fit.mjs';
+
+/** Bump when YUZU automation changes rendered output */
+export const YUZU_RENDERER_VERSION = 'yuzu@5';
+
+/** Where `docker compose up` serves YUZU */
+export const LOCAL_YUZU_URL = 'http://localhost:8080';
+/** Public demo, used only when remote YUZU is allowed */
+export const YUZU_DEMO_URL = 'https://yuzu-hub.github.io/appscreen/';
+
+/**
+ * Selectors from the list above that every job uses, with what they are for.
+ * Elements YUZU renders on demand (screenshot list items and their menu,
+ * gradient stops, font search results) can't be checked up front.
+ */
+const CORE_SELECTORS = [
+  ['#file-input', 'file upload'],
+  ['#preview-canvas', 'preview canvas'],
+  ['#output-size-trigger', 'output size dropdown'],
+  ['button.tab[data-tab="background"]', 'Background tab'],
+  ['button.tab[data-tab="screenshot"]', 'Screenshot tab'],
+  ['button.tab[data-tab="text"]', 'Text tab'],
+  ['#bg-type-selector', 'background type'],
+  ['#device-type-selector', 'device type'],
+  ['#position-preset-trigger', 'position presets'],
+  ['#position-preset-content', 'position preset dropdown'],
+  ['#corner-radius', 'corner radius'],
+  ['#headline-toggle', 'headline toggle'],
+  ['#headline-text', 'headline text'],
+  ['#font-picker-trigger', 'headline font picker'],
+  ['#font-search', 'font search'],
+  ['#headline-weight', 'headline weight'],
+  ['#headline-color', 'headline color'],
+  ['#headline-size', 'headline size'],
+  ['#text-offset-y', 'text position'],
+  ['#subheadline-toggle', 'subheadline toggle'],
+  ['#export-current', 'export button']
+];
+
+/**
+ * Selectors for the optional controls one resolved design needs: its output
+ * size option, background type, device type, 3D model and rotation, position
+ * preset, border and subheadline
+ */
+function designSelectors(design, size, subtitle) {
+  const selectors = [];
+  const deviceAttr = size.yuzuDevice || getDeviceSelectorAttr(size.device);
+  if (deviceAttr === 'custom') {
+    selectors.push(
+      ['.device-option[data-device="custom"]', 'custom output size'],
+      ['#custom-size-inputs', 'custom size inputs'],
+      ['#custom-width', 'custom width'],
+      ['#custom-height', 'custom height']
+    );
+  } else {
+    selectors.push([`.device-option[data-device="${deviceAttr}"]`, `${size.device} output size`]);
+  }
+
+  const background = design.background;
+  const type = background.type || 'gradient';
+  selectors.push([`#bg-type-selector button[data-type="${type}"]`, `${type} background`]);
+  if (type === 'solid') {
+    selectors.push(['#bg-solid-color', 'solid color']);
+  } else if (type === 'image') {
+    selectors.push(
+      ['#bg-image-input', 'background image upload'],
+      ['#bg-image-fit', 'background image fit'],
+      ['#bg-image-blur', 'background image blur'],
+      ['#bg-overlay-opacity', 'overlay opacity']
+    );
+    if (background.overlay) selectors.push(['#bg-overlay-color', 'overlay color']);
+  } else {
+    selectors.push(['#gradient-angle', 'gradient angle'], ['#gradient-stops', 'gradient stops']);
+    // YUZU starts with two stops; more have to be added
+    if (resolveGradientStops(background).length > 2) selectors.push(['#add-gradient-stop', 'add gradient stop']);
+  }
+
+  const deviceType = DEVICE_TYPES[design.device.type || '2D'];
+  selectors.push([`#device-type-selector button[data-type="${deviceType}"]`, `${deviceType.toUpperCase()} device`]);
+  if (deviceType === '3d') {
+    if (design.device.model) selectors.push(['#device-3d-model', '3D device model']);
+    for (const axis of ['x', 'y', 'z']) {
+      if (design.device.rotation?.[axis] !== undefined) {
+        selectors.push([`#rotation-3d-${axis}`, `3D rotation ${axis.toUpperCase()}`]);
+      }
+    }
+  }
+  const preset = resolvePositionPreset(design.device.preset);
+  selectors.push([`button.position-preset[data-preset="${preset.slug}"]`, `"${preset.name}" position preset`]);
+  if (design.device.border) {
+    selectors.push(
+      ['#frame-toggle', 'device border toggle'],
+      ['#frame-width', 'device border width'],
+      ['#frame-color', 'device border color'],
+      ['#frame-opacity', 'device border opacity']
+    );
+  }
+
+  if (subtitle) {
+    selectors.push(
+      ['#subheadline-text', 'subheadline text'],
+      ['#subheadline-font-picker-trigger', 'subheadline font picker'],
+      ['#subheadline-weight', 'subheadline weight'],
+      ['#subheadline-color', 'subheadline color'],
+      ['#subheadline-size', 'subheadline size'],
+      ['#text-spacing', 'headline/subheadline spacing']
+    );
+  }
+  return selectors;
+}
+
+/**
+ * The selectors a set of YUZU jobs relies on, as [selector, label] pairs:
+ * the core controls every job uses plus the optional ones their designs need.
+ * `jobs` are [{ design, size, subtitle }] with resolved designs.
+ */
+export function yuzuSelectors(jobs) {
+  const selectors = new Map(CORE_SELECTORS);
+  for (const { design, size, subtitle } of jobs) {
+    for (const [selector, label] of designSelectors(design, size, subtitle)) {
+      if (!selectors.has(selector)) selectors.set(selector, label);
+    }
+  }
+  return [...selectors];
+}
+
+const CANVAS_WAIT_MS = 2000; // Wait for canvas to render
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+/**
+ * URL of a YUZU instance running locally, or null when none answers
+ */
+export async function detectLocalYuzu() {
+  try {
+    const response = await fetch(LOCAL_YUZU_URL, {
+      method: 'HEAD',
+      signal: AbortSignal.timeout(3000)
+    });
+    if (response.ok) return LOCAL_YUZU_URL;
+  } catch {
+    // Localhost not available
+  }
+  return null;
+}
+
+/**
+ * Whether a URL points at this machine (localhost or a loopback address).
+ * Anything else would send the raw screenshots to a third-party server.
+ */
+export function isLocalUrl(url) {
+  const { hostname } = new URL(url);
+  return hostname === 'localhost' || hostname.endsWith('.localhost') ||
+    /^127(\.\d+){3}$/.test(hostname) || hostname === '[::1]';
+}
+
+/**
+ * Selectors (see yuzuSelectors; the core controls by default) missing on a
+ * loaded YUZU page, as [{ selector, label }]; empty when the page has them all
+ */
+export async function checkYuzuSelectors(page, selectors = CORE_SELECTORS) {
+  const missing = [];
+  for (const [selector, label] of selectors) {
+    if (await page.locator(selector).count() === 0) missing.push({ selector, label });
+  }
+  return missing;
+}
+
+/**
+ * 3D device models (values or labels of #device-3d-model's options) a loaded
+ * YUZU page doesn't offer: { missing, offered }
+ */
+export async function checkYuzuModels(page, models) {
+  if (models.length === 0) return { missing: [], offered: [] };
+  const offered = await page.locator('#device-3d-model option').evaluateAll(options =>
+    options.flatMap(option => [option.value, option.label]));
+  return {
+    missing: models.filter(model => !offered.includes(model)),
+    offered: [...new Set(offered)]
+  };
+}
+
+/**
+ * Create output directory if it doesn't exist
+ */
+async function ensureDir(path) {
+  try {
+    await access(path);
+  } catch {
+    await mkdir(path, { recursive: true });
+  }
+}
+
+/**
+ * Get device selector attribute for YUZU size picker
+ */
+function getDeviceSelectorAttr(sizeName) {
+  // Map "iPhone 6.9"" to "iphone-6.9"
+  return sizeName.toLowerCase().replace(/\s+/g, '-').replace(/"/g, '');
+}
+
+/**
+ * Wait for canvas to finish rendering
+ * YUZU uses HTML Canvas which requires time to paint after settings change
+ */
+async function waitForCanvasRender(page, warn) {
+  // Strategy: Fixed delay + check if canvas has content
+  await page.waitForTimeout(CANVAS_WAIT_MS);
+  
+  // Optional: Verify canvas has non-blank content
+  const hasContent = await page.evaluate(() => {
+    const canvas = document.getElementById('preview-canvas');
+    if (!canvas) return false;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    // Check if at least some pixels are non-transparent
+    for (let i = 3; i < imageData.data.length; i += 4) {
+      if (imageData.data[i] > 0) return true;
+    }
+    return false;
+  });
+  
+  if (!hasContent) {
+    warn('Canvas appears blank, waiting additional time...');
+    await page.waitForTimeout(1000);
+  }
+}
+
+/**
+ * Remove all existing screenshots from YUZU's sidebar list.
+ * YUZU persists its project state in IndexedDB across reloads, so old screenshots
+ * accumulate and the wrong one can end up selected when we export.
+ * Clearing the list ensures only our freshly-uploaded image is present.
+ */
+async function clearYuzuScreenshots(page) {
+  let attempts = 0;
+  while (attempts < 40) {
+    const items = await page.locator('.screenshot-item:not(.upload-item)').all();
+    if (items.length === 0) break;
+    try {
+      // Open the context menu for the first item
+      const menuBtn = items[0].locator('.screenshot-menu-btn');
+      await menuBtn.click({ timeout: 2000 });
+      await page.waitForTimeout(150);
+      // Click "Remove"
+      await page.click('.screenshot-menu-item.screenshot-delete', { timeout: 2000 });
+      await page.waitForTimeout(150);
+    } catch {
+      break; // No more items or menu not found
+    }
+    attempts++;
+  }
+}
+
+export async function uploadScreenshot(page, screenshotPath) {
+  // Clear any previously loaded screenshots so only ours is in the list.
+  // This prevents YUZU from exporting the wrong (previously selected) screenshot.
+  await clearYuzuScreenshots(page);
+  
+  const fileInput = page.locator('#file-input');
+  await fileInput.setInputFiles(screenshotPath);
+  await page.waitForTimeout(500);
+  
+  // After upload, ensure the newly added item is selected.
+  // (With a clean list there's only one item, but click anyway to be safe.)
+  try {
+    const item = page.locator('.screenshot-item:not(.upload-item)').first();
+    await item.click({ timeout: 2000 });
+    await page.waitForTimeout(200);
+  } catch {}
+}
+
+/**
+ * Select output size in YUZU
+ */
+export async function selectOutputSize(page, size) {
+  const deviceAttr = size.yuzuDevice || getDeviceSelectorAttr(size.device);
+  
+  // Open size dropdown
+  await page.click('#output-size-trigger');
+  await page.waitForTimeout(300);
+  
+  if (deviceAttr === 'custom') {
+    // Select custom size option
+    await page.click('.device-option[data-device="custom"]');
+    await page.waitForTimeout(500);
+    
+    // Wait for custom size inputs to appear (#custom-size-inputs container)
+    await page.waitForSelector('#custom-size-inputs.visible', { state: 'visible', timeout: 5000 });
+    
+    // Fill custom width and height using the discovered YUZU selectors
+    await page.fill('#custom-width', size.width.toString());
+    await page.waitForTimeout(200);
+    await page.fill('#custom-height', size.height.toString());
+    await page.waitForTimeout(500);
+    
+    // Trigger change events to ensure YUZU picks up the values
+    await page.evaluate(() => {
+      const w = document.getElementById('custom-width');
+      const h = document.getElementById('custom-height');
+      w.dispatchEvent(new Event('input', { bubbles: true }));
+      w.dispatchEvent(new Event('change', { bubbles: true }));
+      h.dispatchEvent(new Event('input', { bubbles: true }));
+      h.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    await page.waitForTimeout(500);
+  } else {
+    // Click the device option
+    await page.click(`.device-option[data-device="${deviceAttr}"]`);
+    await page.waitForTimeout(500);
+  }
+}
+
+/**
+ * Make YUZU's gradient stop list match the wanted number of stops
+ */
+async function setGradientStopCount(page, count) {
+  const stopsLocator = page.locator('#gradient-stops .gradient-stop');
+  let current = await stopsLocator.count();
+  while (current < count) {
+    await page.click('#add-gradient-stop');
+    await page.waitForTimeout(200);
+    current = await stopsLocator.count();
+  }
+  while (current > count) {
+    await stopsLocator.last().locator('.gradient-stop-remove').click();
+    await page.waitForTimeout(200);
+    current = await stopsLocator.count();
+  }
+}
+
+/**
+ * Configure Background tab settings (gradient, solid color or image).
+ * `backgroundImage` is the absolute path of an image background.
+ */
+export async function configureBackground(page, design, backgroundImage) {
+  const background = design.background;
+  const type = background.type || 'gradient';
+  
+  // Switch to Background tab
+  await page.click('button.tab[data-tab="background"]');
+  await page.waitForTimeout(300);
+  
+  // Select background type
+  await page.click(`#bg-type-selector button[data-type="${type}"]`);
+  await page.waitForTimeout(300);
+  
+  if (type === 'solid') {
+    await page.fill('#bg-solid-color', background.color);
+    await page.waitForTimeout(200);
+    return;
+  }
+  
+  if (type === 'image') {
+    await page.locator('#bg-image-input').setInputFiles(backgroundImage);
+    await page.waitForTimeout(500);
+    await page.selectOption('#bg-image-fit', background.fit || 'cover');
+    await page.waitForTimeout(200);
+    await setInputValue(page, 'bg-image-blur', background.blur ?? 0);
+    
+    const overlay = background.overlay;
+    if (overlay) {
+      await page.fill('#bg-overlay-color', overlay.color);
+      await page.waitForTimeout(200);
+    }
+    await setInputValue(page, 'bg-overlay-opacity', overlay ? (overlay.opacity ?? 50) : 0);
+    return;
+  }
+  
+  // Set gradient angle
+  await page.fill('#gradient-angle', String(background.angle ?? 135));
+  await page.waitForTimeout(200);
+  
+  // Set gradient stops (adding or removing stops in YUZU as needed)
+  const wantedStops = resolveGradientStops(background);
+  await setGradientStopCount(page, wantedStops.length);
+  const stops = await page.locator('#gradient-stops .gradient-stop').all();
+  for (const [i, stop] of wantedStops.entries()) {
+    await stops[i].locator('input[type="color"]').fill(stop.color);
+    await stops[i].locator('input[type="range"]').evaluate((el, value) => {
+      el.value = value; el.dispatchEvent(new Event('input', { bubbles: true }));
+    }, stop.position);
+  }
+  await page.waitForTimeout(200);
+}
+
+/**
+ * Configure Device tab settings
+ */
+export async function configureDevice(page, design) {
+  // Switch to Device tab (labeled "Screenshot" in YUZU)
+  await page.click('button.tab[data-tab="screenshot"]');
+  await page.waitForTimeout(500);
+  
+  // Wait for tab content to be visible
+  await page.waitForSelector('#device-type-selector', { state: 'visible', timeout: 5000 });
+  
+  // Select device type (2D or 3D)
+  const deviceType = DEVICE_TYPES[design.device.type || '2D'];
+  await page.click(`#device-type-selector button[data-type="${deviceType}"]`);
+  await page.waitForTimeout(500);
+  
+  if (deviceType === '3d') {
+    // The run checked up front that YUZU offers the model (checkYuzuModels)
+    const { model } = design.device;
+    if (model) {
+      await page.selectOption('#device-3d-model', model); // Matches the value or the label
+      await page.waitForTimeout(500);
+    }
+    const rotation = design.device.rotation || {};
+    for (const axis of ['x', 'y', 'z']) {
+      if (rotation[axis] !== undefined) {
+        await setInputValue(page, `rotation-3d-${axis}`, rotation[axis]);
+      }
+    }
+  }
+  
+  // Click the position preset (expand dropdown first). A preset YUZU doesn't
+  // offer is an error, not a silent fallback to its default.
+  const preset = resolvePositionPreset(design.device.preset);
+  await page.click('#position-preset-trigger');
+  await page.waitForSelector('#position-preset-content', { state: 'visible', timeout: 3000 });
+  const presetButton = page.locator(`button.position-preset[data-preset="${preset.slug}"]`);
+  if (await presetButton.count() === 0) {
+    throw new Error(`Position preset "${preset.name}" (data-preset="${preset.slug}") not found in YUZU`);
+  }
+  await presetButton.click();
+  await page.waitForTimeout(300);
+  
+  // Set corner radius (already resolved from per-size/screenshot/locale overrides)
+  await page.evaluate((val) => {
+    const el = document.getElementById('corner-radius');
+    el.value = val; el.dispatchEvent(new Event('input', { bubbles: true }));
+  }, design.device.cornerRadius);
+  await page.waitForTimeout(200);
+  
+  // Configure border if the resolved design has one
+  const border = design.device.border;
+  if (border) {
+    // Always enable border toggle (it resets to disabled after page reload)
+    const frameToggle = page.locator('#frame-toggle');
+    await frameToggle.click();
+    await page.waitForTimeout(500);
+    // Verify it's now active; if it was already active, clicking toggled it off — click again
+    const borderActive = await frameToggle.evaluate(el => el.classList.contains('active'));
+    if (!borderActive) {
+      await frameToggle.click();
+      await page.waitForTimeout(500);
+    }
+    // Set border properties via JavaScript to avoid visibility issues with collapsed sections
+    await setInputValue(page, 'frame-width', border.width);
+    await setInputValue(page, 'frame-color', border.color);
+    await setInputValue(page, 'frame-opacity', border.opacity ?? 100);
+  }
+}
+
+/**
+ * Open a font picker and choose a font by name (YUZU shares one search popup
+ * between the headline and subheadline pickers)
+ */
+async function pickFont(page, triggerSelector, font, warn) {
+  await page.click(triggerSelector);
+  await page.waitForTimeout(200);
+  
+  await page.fill('#font-search', font);
+  await page.waitForTimeout(300);
+  
+  try {
+    await page.click(`.font-option:has-text("${font}")`, { timeout: 3000 });
+    await page.waitForTimeout(200);
+  } catch (error) {
+    warn(`Could not find font "${font}", using default`);
+  }
+}
+
+/**
+ * Set an input (range, number or color) by id and notify YUZU
+ */
+async function setInputValue(page, id, value) {
+  await page.evaluate(({ id, value }) => {
+    const el = document.getElementById(id);
+    el.value = value; el.dispatchEvent(new Event('input', { bubbles: true }));
+  }, { id, value });
+  await page.waitForTimeout(200);
+}
+
+/**
+ * Configure Text tab settings.
+ * subtitleText enables the subheadline; null/undefined turns it off.
+ * `warn` receives notices such as a font YUZU doesn't offer.
+ */
+export async function configureText(page, design, titleText, subtitleText, warn) {
+  // Switch to Text tab
+  await page.click('button.tab[data-tab="text"]');
+  await page.waitForTimeout(300);
+  
+  // Enable headline if not already enabled
+  const headlineToggle = page.locator('#headline-toggle');
+  const isEnabled = await headlineToggle.evaluate(el => el.classList.contains('active'));
+  if (!isEnabled) {
+    await headlineToggle.click();
+    await page.waitForTimeout(500);
+  }
+  
+  // Set headline text (using textarea, not input!)
+  await page.fill('#headline-text', titleText);
+  await page.waitForTimeout(300);
+  
+  if (design.text.headlineSize !== undefined) {
+    await setInputValue(page, 'headline-size', design.text.headlineSize);
+  }
+  
+  // Set font using the font picker
+  const font = design.text.font || 'Open Sans';
+  await pickFont(page, '#font-picker-trigger', font, warn);
+  
+  // Set font weight
+  const weight = design.text.headlineWeight || '900';
+  await page.selectOption('#headline-weight', weight);
+  await page.waitForTimeout(200);
+  
+  // Set text color
+  await page.fill('#headline-color', design.text.headlineColor);
+  await page.waitForTimeout(200);
+  
+  // Set text vertical offset
+  const textOffsetY = design.text.verticalOffset ?? 12;
+  await page.evaluate((val) => {
+    const el = document.getElementById('text-offset-y');
+    el.value = val; el.dispatchEvent(new Event('input', { bubbles: true }));
+  }, textOffsetY);
+  await page.waitForTimeout(200);
+  
+  // Enable the subheadline only when there's a subtitle for this locale
+  const subheadlineToggle = page.locator('#subheadline-toggle');
+  const subEnabled = await subheadlineToggle.evaluate(el => el.classList.contains('active'));
+  if (subEnabled !== Boolean(subtitleText)) {
+    await subheadlineToggle.click();
+    await page.waitForTimeout(300);
+  }
+  
+  if (subtitleText) {
+    await page.fill('#subheadline-text', subtitleText);
+    await page.waitForTimeout(300);
+    
+    await pickFont(page, '#subheadline-font-picker-trigger', design.text.subheadlineFont || font, warn);
+    
+    await page.selectOption('#subheadline-weight', String(design.text.subheadlineWeight || '400'));
+    await page.waitForTimeout(200);
+    
+    await page.fill('#subheadline-color', design.text.subheadlineColor || design.text.headlineColor);
+    await page.waitForTimeout(200);
+    
+    await setInputValue(page, 'subheadline-size', design.text.subheadlineSize ?? 50);
+    await setInputValue(page, 'text-spacing', design.text.subheadlineSpacing ?? 20);
+  }
+  
+  await waitForCanvasRender(page, warn);
+}
+
+/**
+ * Lay out the headline set by configureText: fit it into design.text.autoFit's
+ * limits and break CJK headlines into lines by the shared kinsoku rules, since
+ * YUZU's own wrapping doesn't follow them. Word widths are measured inside
+ * YUZU with its loaded font; the layout math is shared with the native
+ * renderer. Returns the fit result when autoFit is set.
+ */
+export async function layoutHeadline(page, design, titleText, size, warn) {
+  const font = design.text.font || 'Open Sans';
+  const weight = String(design.text.headlineWeight || '900');
+  const units = titleText.split('\n').flatMap(line => breakUnits(line).map(unit => unit.text));
+  
+  const wordWidths = await page.evaluate(async ({ units, font, weight }) => {
+    await document.fonts.ready;
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.font = `${weight} 100px "${font}"`;
+    const widths = { ' ': ctx.measureText(' ').width };
+    for (const unit of units) {
+      widths[unit] = ctx.measureText(unit).width;
+    }
+    return widths;
+  }, { units, font, weight });
+  
+  const measure = measureFromWordWidths(wordWidths);
+  const fit = fitHeadline({
+    measure,
+    title: titleText,
+    text: design.text,
+    width: size.width,
+    height: size.height
+  });
+  
+  if (fit.shrunk) {
+    await setInputValue(page, 'headline-size', fit.fontSize);
+  }
+  if (hasCjk(titleText)) {
+    await page.fill('#headline-text', headlineLines(measure, titleText, fit.fontSize, size.width).join('\n'));
+  }
+  if (fit.shrunk || hasCjk(titleText)) {
+    await waitForCanvasRender(page, warn);
+  }
+  return design.text.autoFit ? fit : null;
+}
+
+/**
+ * Export/download the framed screenshot to `outputPath` as YUZU wrote it.
+ * Its canvas exports are usually RGBA PNGs, which App Store Connect rejects;
+ * the engine verifies the download and only then flattens it.
+ */
+export async function exportScreenshot(page, outputPath) {
+  await ensureDir(dirname(outputPath));
+  
+  // Set up download listener
+  const downloadPromise = page.waitForEvent('download', { timeout: DOWNLOAD_TIMEOUT_MS });
+  
+  // Click export button
+  await page.click('#export-current');
+  
+  // Wait for download
+  const download = await downloadPromise;
+  
+  // Save to output path
+  await download.saveAs(outputPath);
+}
@@ -0,0 +1,70 @@
+/**
+ * ZIP Reader
+ *
+ * Just enough of the ZIP format to read screenshot archives: the central
+ * directory and stored or deflated entries. No ZIP64, encryption or
+ * multi-disk archives — those are reported rather than misread.
+ */
+
+import { readFile } from 'fs/promises';
+import { inflateRawSync } from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+// The end record is 22 bytes plus a comment of up to 65535
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+function findEndRecord(buffer) {
+  const stop = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+}
+
+/**
+ * File entries of the ZIP at `path` as [{ name, read }], `read()` returning
+ * the entry's contents. Directories are skipped. Throws for files that aren't
+ * ZIP archives or use unsupported features.
+ */
+export async function readZipEntries(path) {
+  const buffer = await readFile(path);
+  const end = buffer.length >= 22 ? findEndRecord(buffer) : -1;
+  if (end < 0) throw new Error(`${path} is not a ZIP archive`);
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error(`${path} is a ZIP64 archive, which isn't supported`);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) throw new Error(`${path} has a corrupt central directory`);
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    entries.push({
+      name,
+      read() {
+        if (flags & 0x1) throw new Error(`${name} is encrypted`);
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw new Error(`${name} has a corrupt header`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === METHOD_STORED) return data;
+        if (method === METHOD_DEFLATE) return inflateRawSync(data);
+        throw new Error(`${name} uses unsupported compression method ${method}`);
+      }
+    });
+  }
+  return entries;
+}
@@ -9,6 +9,8 @@
 # Options:
 #   --skip-extract              Skip raw screenshot extraction (use existing raw/ files)
 #   --skip-cleanup              Leave YUZU Docker container running after completion
+#   --yuzu-dir <path>           Serve a YUZU checkout or build from Node instead of Docker
+#   --allow-remote              Without Docker, use the live YUZU demo (uploads your screenshots)
 #   --xcresult-path <path>      Path to .xcresult bundle (required unless --skip-extract)
 #   --help                      Show this help message
 #
@@ -17,9 +19,9 @@
 #   2. Start YUZU Docker container
 #   3. Extract raw screenshots from .xcresult
 #   4. Generate framed screenshots with YUZU
-#   5. Organize output to fastlane/screenshots/
+#   5. Stage output for fastlane (deliver/supply layout)
 #   6. (reserved)
-#   7. Upload to App Store Connect (if --upload)
+#   7. Upload to App Store Connect and Google Play (if --upload)
 #   8. Stop YUZU Docker container
 #   9. Print summary report
 
@@ -42,6 +44,9 @@ SKIP_EXTRACT=false
 SKIP_CLEANUP=false
 UPLOAD=false
 XCRESULT_PATH=""
+YUZU_DIR=""
+ALLOW_REMOTE=false
+GENERATE_ARGS=()
 
 # ============================================================================
 # Helper Functions
@@ -92,7 +97,9 @@ Usage: $(basename "$0") [OPTIONS]
 Options:
   --skip-extract              Skip raw screenshot extraction (use existing raw/ files)
   --skip-cleanup              Leave YUZU Docker container running after completion
-  --upload                    Upload screenshots to App Store Connect after generation
+  --upload                    Upload screenshots to the stores after generation (publish.mjs)
+  --yuzu-dir <path>           Serve a YUZU checkout or build from Node instead of Docker
+  --allow-remote              Without Docker, use the live YUZU demo (uploads your screenshots)
   --xcresult-path <path>      Path to .xcresult bundle (required unless --skip-extract)
   --help                      Show this help message
 
@@ -102,9 +109,9 @@ Description:
   2. Start YUZU Docker container
   3. Extract raw screenshots from .xcresult (unless --skip-extract)
   4. Generate framed screenshots with YUZU
-  5. Organize output to fastlane/screenshots/
+  5. Stage output for fastlane (deliver/supply layout)
   6. Stop YUZU Docker container (unless --skip-cleanup)
-  7. Upload to App Store Connect (if --upload)
+  7. Upload to App Store Connect and Google Play (if --upload)
   8. Print summary report
 
 Examples:
@@ -114,12 +121,15 @@ Examples:
   # Skip extraction (use existing raw/ screenshots)
   $(basename "$0") --skip-extract
 
-  # Generate and upload to App Store Connect
+  # Generate and upload to the stores
   $(basename "$0") --skip-extract --upload
 
   # Skip cleanup (leave YUZU running for debugging)
   $(basename "$0") --skip-extract --skip-cleanup
 
+  # No Docker: serve a local YUZU checkout
+  $(basename "$0") --skip-extract --yuzu-dir ~/src/appscreen
+
 EOF
 }
 
@@ -133,10 +143,10 @@ check_prereqs() {
     local missing_tools=()
     
     if ! command -v docker &> /dev/null; then
-        print_info "Docker not found - will use live YUZU demo"
+        print_info "Docker not found"
         DOCKER_AVAILABLE=false
     elif ! docker compose version &> /dev/null; then
-        print_info "Docker Compose not found - will use live YUZU demo"
+        print_info "Docker Compose not found"
         DOCKER_AVAILABLE=false
     else
         print_success "Docker found: $(docker --version | head -n1)"
@@ -181,7 +191,19 @@ check_prereqs() {
 }
 
 start_yuzu() {
+    if [[ -n "$YUZU_DIR" ]]; then
+        print_step "Step 2: Start YUZU [SKIPPED - Served by appshot]"
+        print_info "appshot will serve YUZU from $YUZU_DIR"
+        GENERATE_ARGS+=(--yuzu-dir "$YUZU_DIR")
+        return
+    fi
+    
     if [[ "$DOCKER_AVAILABLE" == false ]]; then
+        if [[ "$ALLOW_REMOTE" == false ]]; then
+            print_error "Docker is needed to run YUZU locally"
+            print_info "Pass --yuzu-dir <path> to serve a YUZU checkout, or --allow-remote to use the live demo"
+            exit 1
+        fi
         print_step "Step 2: Start YUZU [SKIPPED - Using Live Demo]"
         print_info "Will use live YUZU demo at https://yuzu-hub.github.io/appscreen/"
         return
@@ -263,7 +285,7 @@ generate_screenshots() {
     cd "$SCRIPT_DIR"
     
     print_info "Running YUZU automation engine..."
-    if node generate.mjs; then
+    if node generate.mjs ${GENERATE_ARGS[@]+"${GENERATE_ARGS[@]}"}; then
         print_success "Framed screenshots generated successfully"
     else
         print_error "Screenshot generation failed"
@@ -271,88 +293,29 @@ generate_screenshots() {
     fi
 }
 
-organize_output() {
-    print_step "Step 5: Organize Output"
-    
-    local output_path=$(node -p "require('$CONFIG_FILE').output.path")
-    local source_dir="$SCRIPT_DIR/$output_path"
-    local dest_dir="$SCRIPT_DIR/fastlane/screenshots"
-    
-    print_info "Source: $source_dir"
-    print_info "Destination: $dest_dir"
-    
-    if [[ ! -d "$source_dir" ]]; then
-        print_error "Source directory not found: $source_dir"
-        exit 1
-    fi
-    
-    mkdir -p "$dest_dir"
+stage_output() {
+    print_step "Step 5: Stage for fastlane"
     
-    local locales=($(ls -1 "$source_dir" 2>/dev/null || true))
-    
-    if [[ ${#locales[@]} -eq 0 ]]; then
-        print_error "No locale directories found in $source_dir"
+    # Same layout deliver and supply upload from; see publish.mjs
+    if node "$SCRIPT_DIR/publish.mjs" --config "$CONFIG_FILE" --stage-only; then
+        print_success "Screenshots staged"
+    else
+        print_error "Staging failed"
         exit 1
     fi
-    
-    local total_files=0
-    
-    for locale in "${locales[@]}"; do
-        local locale_source="$source_dir/$locale"
-        local locale_dest="$dest_dir/$locale"
-        
-        if [[ ! -d "$locale_source" ]]; then
-            continue
-        fi
-        
-        mkdir -p "$locale_dest"
-        
-        local size_folders=($(ls -1 "$locale_source" 2>/dev/null || true))
-        
-        for size_folder in "${size_folders[@]}"; do
-            local size_source="$locale_source/$size_folder"
-            
-            if [[ ! -d "$size_source" ]]; then
-                continue
-            fi
-            
-            for screenshot in "$size_source"/*.png; do
-                if [[ ! -f "$screenshot" ]]; then
-                    continue
-                fi
-                
-                local screenshot_id=$(basename "$screenshot" .png)
-                local new_name="${screenshot_id}_${size_folder}.png"
-                local dest_file="$locale_dest/$new_name"
-                
-                cp "$screenshot" "$dest_file"
-                ((total_files++))
-            done
-        done
-        
-        local locale_count=$(find "$locale_dest" -name "*.png" 2>/dev/null | wc -l | tr -d ' ')
-        print_success "$locale: $locale_count files"
-    done
-    
-    print_success "Organized $total_files screenshots to $dest_dir"
 }
 
-upload_to_asc() {
+upload_to_stores() {
     if [[ "$UPLOAD" == false ]]; then
-        print_step "Step 7: Upload to App Store Connect [SKIPPED]"
+        print_step "Step 7: Upload to App Store Connect and Google Play [SKIPPED]"
         print_info "Use --upload flag to enable uploading"
         return
     fi
     
-    print_step "Step 7: Upload to App Store Connect"
-    
-    if [[ ! -x "$SCRIPT_DIR/upload.sh" ]]; then
-        print_error "upload.sh not found or not executable"
-        exit 1
-    fi
+    print_step "Step 7: Upload to App Store Connect and Google Play"
     
-    if "$SCRIPT_DIR/upload.sh" --config "$CONFIG_FILE"; then
-        print_success "Screenshots uploaded to App Store Connect"
+    if node "$SCRIPT_DIR/publish.mjs" --config "$CONFIG_FILE"; then
+        print_success "Screenshots uploaded"
     else
         print_error "Upload failed"
         exit 1
@@ -360,6 +323,11 @@ upload_to_asc() {
 }
 
 stop_yuzu() {
+    if [[ "$DOCKER_RUNNING" == false ]]; then
+        print_step "Step 8: Stop YUZU Docker Container [SKIPPED - Not started]"
+        return
+    fi
+    
     if [[ "$SKIP_CLEANUP" == true ]]; then
         print_step "Step 8: Stop YUZU Docker Container [SKIPPED]"
         print_info "YUZU container left running (use 'docker compose down' to stop manually)"
@@ -383,29 +351,32 @@ stop_yuzu() {
 print_summary() {
     print_step "Step 9: Summary Report"
     
-    local dest_dir="$SCRIPT_DIR/fastlane/screenshots"
+    local staging_dir
+    staging_dir=$(node -e "const c = JSON.parse(require('fs').readFileSync(process.argv[1], 'utf-8')); console.log(c.publish?.stagingDir ?? '.publish-staging')" "$CONFIG_FILE")
+    [[ "$staging_dir" != /* ]] && staging_dir="$SCRIPT_DIR/$staging_dir"
     
-    if [[ ! -d "$dest_dir" ]]; then
-        print_error "Output directory not found: $dest_dir"
+    if [[ ! -d "$staging_dir" ]]; then
+        print_error "Staging directory not found: $staging_dir"
         return
     fi
     
-    local locales=($(ls -1 "$dest_dir" 2>/dev/null || true))
     local total_files=0
     
     echo ""
-    for locale in "${locales[@]}"; do
-        if [[ ! -d "$dest_dir/$locale" ]]; then
+    for locale_dir in "$staging_dir"/deliver/screenshots/*/ "$staging_dir"/supply/*/; do
+        if [[ ! -d "$locale_dir" ]]; then
             continue
         fi
         
-        local count=$(find "$dest_dir/$locale" -name "*.png" 2>/dev/null | wc -l | tr -d ' ')
+        local count=$(find "$locale_dir" -name "*.png" 2>/dev/null | wc -l | tr -d ' ')
         total_files=$((total_files + count))
-        print_success "$locale: $count files"
+        local store="App Store"
+        [[ "$locale_dir" == "$staging_dir/supply/"* ]] && store="Google Play"
+        print_success "$store $(basename "$locale_dir"): $count files"
     done
     
     echo ""
-    print_success "Total: $total_files files generated"
+    print_success "Total: $total_files files staged in $staging_dir"
     
     local end_time=$(date +%s)
     local elapsed=$((end_time - START_TIME))
@@ -439,6 +410,15 @@ main() {
                 XCRESULT_PATH="$2"
                 shift 2
                 ;;
+            --yuzu-dir)
+                YUZU_DIR="$2"
+                shift 2
+                ;;
+            --allow-remote)
+                ALLOW_REMOTE=true
+                GENERATE_ARGS+=(--allow-remote)
+                shift
+                ;;
             --help)
                 print_usage
                 exit 0
@@ -461,8 +441,8 @@ main() {
     start_yuzu
     extract_screenshots
     generate_screenshots
-    organize_output
-    upload_to_asc
+    stage_output
+    upload_to_stores
     stop_yuzu
     print_summary
     
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * appshot publish
+ *
+ * Stages the generated screenshots and store listing texts in the layout
+ * fastlane deliver (App Store) and supply (Google Play) expect, then uploads
+ * them. Store locale codes come from the config's locales table (`asc`,
+ * `play`); listing texts from publish.metadata. See lib/publish.mjs.
+ *
+ * Usage:
+ *   node publish.mjs [--config path/to/config.json] [--store appStore|playStore]
+ *                    [--dry-run | --stage-only] [--uploader path/to/uploader.mjs]
+ *                    [--app-id id] [--key-id id] [--issuer-id id] [--key-path AuthKey.p8]
+ *                    [--package-name name] [--json-key key.json]
+ *
+ * Credentials can also come from the environment (ASC_APP_ID, ASC_KEY_ID,
+ * ASC_ISSUER_ID, ASC_KEY_PATH, PLAY_PACKAGE_NAME, PLAY_JSON_KEY_PATH) or the
+ * config's `upload` block; flags win over the environment, which wins over
+ * the config.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname, resolve, relative, basename } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { loadConfig } from './lib/engine.mjs';
+import { publish, fastlaneUpload, STORE_FOLDERS } from './lib/publish.mjs';
+import { STORES } from './lib/sizes.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const flag = name => args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+const configPath = flag('--config') ?? join(__dirname, 'config.json');
+const store = flag('--store') ?? null; // Default: every store a size targets
+const dryRun = args.includes('--dry-run'); // Print the changes, stage and upload nothing
+const stageOnly = args.includes('--stage-only'); // Stage, but don't upload
+const uploaderPath = flag('--uploader') ?? null; // Module whose default export replaces fastlane
+
+if (store && !STORES.includes(store)) {
+  console.error(`✗ Unknown store "${store}" (expected ${STORES.map(name => `"${name}"`).join(' or ')})`);
+  process.exit(1);
+}
+if (dryRun && stageOnly) {
+  console.error('✗ --dry-run and --stage-only can\'t be combined');
+  process.exit(1);
+}
+
+const CHANGE_ICONS = { added: '+', replaced: '↻', removed: '−' };
+const STORE_NAMES = { appStore: 'App Store', playStore: 'Google Play' };
+
+/**
+ * Uploader credentials from flags, then environment, then config.upload
+ */
+function resolveCredentials(upload = {}) {
+  const pick = (name, envName, key) => flag(name) ?? (process.env[envName] || undefined) ?? upload[key];
+  return {
+    appStore: {
+      appId: pick('--app-id', 'ASC_APP_ID', 'appId'),
+      keyId: pick('--key-id', 'ASC_KEY_ID', 'keyId'),
+      issuerId: pick('--issuer-id', 'ASC_ISSUER_ID', 'issuerId'),
+      keyPath: pick('--key-path', 'ASC_KEY_PATH', 'keyPath')
+    },
+    playStore: {
+      packageName: pick('--package-name', 'PLAY_PACKAGE_NAME', 'packageName'),
+      jsonKeyPath: pick('--json-key', 'PLAY_JSON_KEY_PATH', 'jsonKeyPath')
+    }
+  };
+}
+
+/**
+ * The default export of --uploader, or fastlane
+ */
+async function loadUploader() {
+  if (!uploaderPath) return fastlaneUpload;
+  const module = await import(pathToFileURL(resolve(uploaderPath)).href);
+  if (typeof module.default !== 'function') {
+    console.error(`✗ ${uploaderPath} has no default export function to upload with`);
+    process.exit(1);
+  }
+  return module.default;
+}
+
+/**
+ * Print the changes per store, locale and device slot: every added, replaced
+ * or removed file, and how many stay unchanged
+ */
+function printChanges(stores, changes, stagingDir) {
+  for (const name of stores) {
+    console.log(`\n${STORE_NAMES[name]} (${STORE_FOLDERS[name]}) → ${relative(process.cwd(), join(stagingDir, STORE_FOLDERS[name]))}`);
+    const groups = new Map();
+    for (const change of changes.filter(change => change.store === name)) {
+      const key = `${change.locale} · ${change.slot}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(change);
+    }
+    for (const [title, group] of [...groups].sort(([a], [b]) => a.localeCompare(b))) {
+      console.log(`  ${title}`);
+      for (const change of group.filter(change => change.change !== 'unchanged')) {
+        console.log(`    ${CHANGE_ICONS[change.change]} ${basename(change.target)} (${change.change})`);
+      }
+      const unchanged = group.filter(change => change.change === 'unchanged').length;
+      if (unchanged > 0) console.log(`    ↷ ${unchanged} unchanged`);
+    }
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('═══════════════════════════════════════════════════');
+  console.log('  appshot');
+  console.log('  Publish to App Store Connect and Google Play');
+  console.log('═══════════════════════════════════════════════════\n');
+
+  console.log(`Loading configuration from: ${configPath}`);
+  let rawConfig;
+  try {
+    rawConfig = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    console.error(`✗ Could not read configuration: ${error.message}`);
+    process.exit(1);
+  }
+  const { config, problems } = loadConfig(rawConfig, { baseDir: __dirname });
+  if (problems.length > 0) {
+    console.error(`✗ Invalid configuration (${problems.length} problem(s)):`);
+    for (const { path, message } of problems) {
+      console.error(`  ✗ ${path || '(root)'}: ${message}`);
+    }
+    console.error('\nRun node generate.mjs --validate for a full preflight check.');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = await publish(config, {
+      baseDir: __dirname,
+      stores: store ? [store] : STORES,
+      dryRun,
+      stageOnly,
+      upload: await loadUploader(),
+      credentials: resolveCredentials(config.upload),
+      onUpload: name => console.log(`\nℹ Uploading to ${STORE_NAMES[name]}...`)
+    });
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    for (const path of error.missing ?? []) {
+      console.error(`  ✗ ${relative(__dirname, path)}`);
+    }
+    process.exit(1);
+  }
+  const { stagingDir, stores, changes, uploaded } = result;
+  if (stores.length === 0) {
+    console.log('⚠ Nothing to publish: no output size targets the selected store');
+    return;
+  }
+  printChanges(stores, changes, stagingDir);
+
+  const count = change => changes.filter(entry => entry.change === change).length;
+  console.log('\n' + '═'.repeat(50));
+  console.log(dryRun ? '  PUBLISH DRY RUN' : '  PUBLISH COMPLETE');
+  console.log('═'.repeat(50));
+  console.log(`  + Added: ${count('added')}`);
+  console.log(`  ↻ Replaced: ${count('replaced')}`);
+  console.log(`  ↷ Unchanged: ${count('unchanged')}`);
+  console.log(`  − Removed: ${count('removed')}`);
+  if (dryRun) {
+    console.log('\nℹ --dry-run: nothing staged or uploaded');
+  } else if (stageOnly) {
+    console.log(`\n✓ Staged to ${stagingDir} (--stage-only: nothing uploaded)`);
+  } else {
+    console.log(`\n🎉 Uploaded to ${uploaded.map(name => STORE_NAMES[name]).join(' and ')}`);
+  }
+}
+
+// Execute
+main().catch(error => {
+  console.error('\n✗ Fatal error:', error);
+  process.exit(1);
+});
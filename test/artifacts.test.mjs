@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { saveFailureArtifacts, trackPage, beginAttempt } from '../lib/artifacts.mjs';
+
+const DATA_URL = `data:image/png;base64,${'A'.repeat(400)}`;
+
+/**
+ * Stand-in for a Playwright page: `controls` is what the controls lookup in
+ * the page returns, the full page is `page` as HTML
+ */
+function fakePage({ controls, page }) {
+  const listeners = {};
+  return {
+    on: (event, listener) => { listeners[event] = listener; },
+    emit: (event, value) => listeners[event](value),
+    screenshot: ({ path }) => writeFile(path, 'png'),
+    evaluate: async () => controls,
+    content: async () => page
+  };
+}
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), 'appshot-artifacts-')); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('a failed attempt saves the controls container rather than the whole page', async () => {
+  const page = fakePage({
+    controls: `<div id="controls"><textarea id="headline-text">Track every habit</textarea><img src="${DATA_URL}"></div>`,
+    page: '<html><body>whole page</body></html>'
+  });
+  trackPage(page);
+  await beginAttempt(page, { trace: false });
+  page.emit('console', { type: () => 'error', text: () => 'Font failed to load' });
+
+  const basePath = join(dir, 'de', 'home', 'attempt-1');
+  const saved = await saveFailureArtifacts(page, { basePath, trace: false });
+  assert.deepEqual(saved, { screenshot: `${basePath}.png`, html: `${basePath}.html`, console: `${basePath}.console.log` });
+  assert.equal(await readFile(saved.html, 'utf-8'),
+    '<div id="controls"><textarea id="headline-text">Track every habit</textarea><img src="data:…"></div>');
+  assert.match(await readFile(saved.console, 'utf-8'), /\[error\] Font failed to load\n$/);
+});
+
+test('without YUZU controls on the page the whole page is saved', async () => {
+  const page = fakePage({ controls: null, page: `<html><body><img src="${DATA_URL}">Not YUZU</body></html>` });
+  const basePath = join(dir, 'de', 'home', 'attempt-2');
+  const saved = await saveFailureArtifacts(page, { basePath, trace: false });
+  assert.deepEqual(saved, { screenshot: `${basePath}.png`, page: `${basePath}.page.html` });
+  assert.equal(await readFile(saved.page, 'utf-8'), '<html><body><img src="data:…">Not YUZU</body></html>');
+});
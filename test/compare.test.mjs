@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { compareWithBaseline, updateBaseline, DEFAULT_DIFF_THRESHOLD } from '../lib/compare.mjs';
+import { encodeRgbPng, readPngSize } from '../lib/png.mjs';
+
+const WIDTH = 20;
+const HEIGHT = 20;
+
+/**
+ * A WIDTH × HEIGHT gray PNG with the pixels in `marks` ([x, y]) painted red
+ */
+function image(marks = [], { width = WIDTH, height = HEIGHT } = {}) {
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < rgba.length; i += 4) rgba.set([128, 128, 128, 255], i);
+  for (const [x, y] of marks) rgba.set([255, 0, 0, 255], (y * width + x) * 4);
+  return encodeRgbPng(width, height, rgba);
+}
+
+let root;
+let outputDir;
+let baselineDir;
+let reportDir;
+
+async function write(dir, relPath, data) {
+  await mkdir(dirname(join(dir, relPath)), { recursive: true });
+  await writeFile(join(dir, relPath), data);
+}
+
+const images = ['same', 'one-pixel', 'resized', 'new', 'missing'].map(name => ({ relPath: `en/${name}.png`, label: `en/${name}` }));
+const compare = maxDiffPercent => compareWithBaseline(images, {
+  outputDir, baselineDir, reportDir, threshold: DEFAULT_DIFF_THRESHOLD, maxDiffPercent
+});
+const statuses = results => Object.fromEntries(results.map(result => [result.label, result.status]));
+
+before(async () => {
+  root = await mkdtemp(join(tmpdir(), 'appshot-compare-'));
+  outputDir = join(root, 'output');
+  baselineDir = join(root, 'baseline');
+  reportDir = join(root, 'report');
+  await write(baselineDir, 'en/same.png', image([[3, 3]]));
+  await write(outputDir, 'en/same.png', image([[3, 3]]));
+  await write(baselineDir, 'en/one-pixel.png', image());
+  await write(outputDir, 'en/one-pixel.png', image([[10, 10]]));
+  await write(baselineDir, 'en/resized.png', image());
+  await write(outputDir, 'en/resized.png', image([], { height: HEIGHT + 1 }));
+  await write(outputDir, 'en/new.png', image());
+  await write(baselineDir, 'en/missing.png', image());
+});
+after(() => rm(root, { recursive: true, force: true }));
+
+test('every status, with a single changed pixel failing the default 0% threshold', async () => {
+  const { results, reportPath } = await compare(0);
+  assert.deepEqual(statuses(results), {
+    'en/same': 'unchanged',
+    'en/one-pixel': 'changed',
+    'en/resized': 'resized',
+    'en/new': 'new',
+    'en/missing': 'missing'
+  });
+
+  const onePixel = results.find(result => result.label === 'en/one-pixel');
+  assert.equal(onePixel.diffPixels, 1);
+  assert.equal(onePixel.diffPercent, 100 / (WIDTH * HEIGHT));
+  assert.equal(results.find(result => result.label === 'en/same').diffPixels, 0);
+
+  // Both sides and the diff are copied for changed images, whichever exist for the rest
+  const files = label => {
+    const result = results.find(entry => entry.label === label);
+    return ['baselineImage', 'currentImage', 'diffImage'].filter(kind => result[kind] && existsSync(join(reportDir, result[kind])));
+  };
+  assert.deepEqual(files('en/same'), []);
+  assert.deepEqual(files('en/one-pixel'), ['baselineImage', 'currentImage', 'diffImage']);
+  assert.deepEqual(files('en/resized'), ['baselineImage', 'currentImage']);
+  assert.deepEqual(files('en/new'), ['currentImage']);
+  assert.deepEqual(files('en/missing'), ['baselineImage']);
+  assert.deepEqual(await readPngSize(join(reportDir, onePixel.diffImage)), { width: WIDTH, height: HEIGHT });
+
+  const html = String(await readFile(reportPath));
+  assert.match(html, /Changed: 1 · Different size: 1 · No baseline: 1 · Not generated: 1 · Unchanged: 1/);
+  assert.match(html, /1 px \(0\.250%\)/);
+  assert.doesNotMatch(html, /en\/same/);
+});
+
+test('maxDiffPercent lets small differences pass but still reports them', async () => {
+  const { results, reportPath } = await compare(0.5);
+  const onePixel = results.find(result => result.label === 'en/one-pixel');
+  assert.equal(onePixel.status, 'unchanged');
+  assert.ok(existsSync(join(reportDir, onePixel.diffImage)));
+  assert.match(String(await readFile(reportPath)), /en\/one-pixel/);
+
+  // Right at the threshold still passes; just below it fails
+  assert.equal(statuses((await compare(0.25)).results)['en/one-pixel'], 'unchanged');
+  assert.equal(statuses((await compare(0.249)).results)['en/one-pixel'], 'changed');
+});
+
+test('a new report replaces the images of the previous one', async () => {
+  await compare(0);
+  await write(outputDir, 'en/one-pixel.png', image());
+  const { results } = await compare(0);
+  assert.equal(statuses(results)['en/one-pixel'], 'unchanged');
+  assert.equal(existsSync(join(reportDir, 'images', 'en', 'one-pixel')), false);
+});
+
+test('updateBaseline copies the generated images over the baseline', async () => {
+  const copied = await updateBaseline(images, { outputDir, baselineDir });
+  assert.equal(copied, 4);
+  assert.deepEqual(statuses((await compare(0)).results), {
+    'en/same': 'unchanged',
+    'en/one-pixel': 'unchanged',
+    'en/resized': 'unchanged',
+    'en/new': 'unchanged',
+    'en/missing': 'missing'
+  });
+});
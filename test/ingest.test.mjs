@@ -0,0 +1,272 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { crc32, deflateRawSync } from 'zlib';
+import { loadConfig } from '../lib/engine.mjs';
+import { compilePattern, ingestScreenshots, listSource } from '../lib/ingest.mjs';
+import { readZipEntries } from '../lib/zip.mjs';
+import { encodeRgbPng, readPngSize } from '../lib/png.mjs';
+
+const { config } = loadConfig({
+  screenshots: [
+    { id: 'home', titles: { en: 'Track every habit', de: 'Alle Gewohnheiten' } },
+    { id: 'detail', titles: { en: 'Beautiful charts', de: 'Schöne Diagramme' } }
+  ],
+  locales: { en: { asc: ['en-US', 'en-GB'] } },
+  design: { background: { type: 'solid', color: '#FFFFFF' }, device: {}, text: { headlineColor: '#000000' } },
+  output: {
+    path: 'output',
+    sizes: [
+      { device: 'Phone', width: 33, height: 72 },
+      { device: 'Tablet', width: 60, height: 80, rawDir: 'raw-tablet' }
+    ]
+  }
+});
+
+const png = (width, height) => encodeRgbPng(width, height, Buffer.alloc(width * height * 4));
+
+let tmp;
+before(async () => { tmp = await mkdtemp(join(tmpdir(), 'appshot-ingest-')); });
+after(() => rm(tmp, { recursive: true, force: true }));
+
+/**
+ * A fresh directory under the test's temporary directory holding `files`
+ * ({ relative path: contents })
+ */
+let dirCount = 0;
+async function writeTree(files) {
+  const dir = join(tmp, `tree-${++dirCount}`);
+  for (const [path, data] of Object.entries(files)) {
+    await mkdir(dirname(join(dir, path)), { recursive: true });
+    await writeFile(join(dir, path), data);
+  }
+  return dir;
+}
+
+/**
+ * A ZIP archive of `entries` ([{ name, data, deflate }]; a name ending in "/"
+ * is a directory), with local headers and a central directory
+ */
+function zipArchive(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data = Buffer.alloc(0), deflate = false } of entries) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const stored = deflate ? deflateRawSync(data) : data;
+    // Local headers and central directory entries share these fields, the
+    // latter 2 bytes further in (after "version made by")
+    const fields = (header, start) => {
+      header.writeUInt16LE(20, start); // version needed
+      header.writeUInt16LE(0x800, start + 2); // UTF-8 names
+      header.writeUInt16LE(deflate ? 8 : 0, start + 4);
+      header.writeUInt32LE(crc32(data), start + 10);
+      header.writeUInt32LE(stored.length, start + 14);
+      header.writeUInt32LE(data.length, start + 18);
+      header.writeUInt16LE(nameBytes.length, start + 22);
+    };
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    fields(local, 4);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    fields(entry, 6);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, stored);
+    central.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+test('compilePattern turns tokens into named groups', () => {
+  const regex = compilePattern('{locale}/{device}-{id}');
+  assert.deepEqual({ ...'en-US/iPhone 16 Pro-home'.match(regex).groups }, { locale: 'en-US', device: 'iPhone 16 Pro', id: 'home' });
+  assert.deepEqual({ ...'de_AT-03'.match(compilePattern('{locale}-{index}')).groups }, { locale: 'de_AT', index: '03' });
+  assert.equal(compilePattern('{*}_{id}').exec('Screenshot 1_home.v2')?.groups.id, 'home.v2');
+  // Literal characters are escaped
+  assert.equal(compilePattern('{id}.shot').test('homeXshot'), false);
+
+  assert.throws(() => compilePattern('{lang}-{id}'), /unknown token \{lang\}/);
+  assert.throws(() => compilePattern('{id}-{id}'), /\{id\} appears more than once/);
+  assert.throws(() => compilePattern('{locale}-{device}'), /needs an \{id\} or \{index\} token/);
+});
+
+test('readZipEntries reads stored and deflated entries and skips directories', async () => {
+  const text = Buffer.from('home '.repeat(200));
+  const path = join(tmp, 'entries.zip');
+  await writeFile(path, zipArchive([
+    { name: 'en/' },
+    { name: 'en/home.png', data: png(33, 72) },
+    { name: 'en/notes.txt', data: text, deflate: true },
+    { name: 'de/Übersicht.png', data: png(60, 80), deflate: true }
+  ]));
+
+  const entries = await readZipEntries(path);
+  assert.deepEqual(entries.map(entry => entry.name), ['en/home.png', 'en/notes.txt', 'de/Übersicht.png']);
+  assert.deepEqual(entries[0].read(), png(33, 72));
+  assert.deepEqual(entries[1].read(), text);
+  assert.deepEqual(entries[2].read(), png(60, 80));
+
+  const notZip = join(tmp, 'not.zip');
+  await writeFile(notZip, 'just text, no archive');
+  await assert.rejects(readZipEntries(notZip), /is not a ZIP archive/);
+});
+
+test('listSource lists a directory tree by relative path, without hidden files', async () => {
+  const dir = await writeTree({
+    'en/home.png': png(33, 72),
+    'en/.DS_Store': 'x',
+    'de/phone/detail.png': png(33, 72),
+    'README': 'x'
+  });
+  const files = await listSource(dir);
+  assert.deepEqual(files.map(({ path, name }) => [path, name]), [
+    ['de/phone/detail.png', 'de/phone/detail'],
+    ['en/home.png', 'en/home'],
+    ['README', 'README']
+  ]);
+  assert.deepEqual(await files[1].read(), png(33, 72));
+});
+
+test('listSource names exported xcresult attachments by their readable names', async () => {
+  const dir = await writeTree({
+    'manifest.json': JSON.stringify([{
+      testIdentifier: 'ScreenshotTests/testScreens()',
+      attachments: [
+        { exportedFileName: '0A1B.png', suggestedHumanReadableName: 'de-home_0_3C1F5C7A-1D2B-4E6F-8A9B-0C1D2E3F4A5B.png' },
+        { exportedFileName: '2C3D.png', suggestedHumanReadableName: 'en-detail.png' }
+      ]
+    }]),
+    '0A1B.png': png(33, 72),
+    '2C3D.png': png(33, 72),
+    '4E5F.png': png(33, 72)
+  });
+  const files = await listSource(dir);
+  assert.deepEqual(files.map(({ path, name }) => [path, name]), [
+    ['0A1B.png', 'de-home'],
+    ['2C3D.png', 'en-detail'],
+    ['4E5F.png', '4E5F']
+  ]);
+
+  await assert.rejects(listSource(await writeTree({ 'Run.xcresult/Info.plist': 'x' }).then(root => join(root, 'Run.xcresult'))),
+    /is an xcresult bundle; export its attachments first/);
+});
+
+test('ingestScreenshots sorts a directory tree into raw folders and explains what it skips', async () => {
+  const source = await writeTree({
+    'en/home.png': png(33, 72),
+    'en-home.png': png(33, 72),
+    'de-detail.png': png(60, 80),
+    'en-US/detail.png': png(33, 72),
+    'fr/home.png': png(33, 72),
+    'en/settings.png': png(33, 72),
+    'de/home.png': png(50, 50),
+    'notes.txt': 'not an image'
+  });
+  const baseDir = await writeTree({});
+  const { matched, unmatched, missing } = await ingestScreenshots(config, { source, baseDir });
+
+  assert.deepEqual(matched.map(({ source, target }) => [source, target]), [
+    ['de-detail.png', join('raw-tablet', 'de', 'detail.png')],
+    ['en-home.png', join('raw', 'en', 'home.png')],
+    ['en-US/detail.png', join('raw', 'en', 'detail.png')]
+  ]);
+  assert.deepEqual(unmatched, [
+    { source: 'de/home.png', reason: 'no size matches 50×50' },
+    { source: 'en/home.png', reason: 'same screenshot as en-home.png' },
+    { source: 'en/settings.png', reason: '"{locale}/{id}" matched, but "settings" is no screenshot id or raw name' },
+    { source: 'fr/home.png', reason: '"{locale}/{id}" matched, but "fr" is no configured locale' },
+    { source: 'notes.txt', reason: 'not a PNG' }
+  ]);
+  assert.deepEqual(await readFile(join(baseDir, 'raw/en/home.png')), png(33, 72));
+  assert.deepEqual(missing.map(raw => raw.path).sort(), [
+    join('raw-tablet', 'de', 'home.png'),
+    join('raw-tablet', 'en', 'detail.png'),
+    join('raw-tablet', 'en', 'home.png'),
+    join('raw', 'de', 'detail.png'),
+    join('raw', 'de', 'home.png')
+  ]);
+});
+
+test('ingestScreenshots reads stored and deflated ZIP entries, and a dry run writes nothing', async () => {
+  const source = join(tmp, 'screens.zip');
+  await writeFile(source, zipArchive([
+    { name: 'screens/' },
+    { name: 'screens/en/home.png', data: png(33, 72) },
+    { name: 'screens/en/detail.png', data: png(33, 72), deflate: true }
+  ]));
+  const baseDir = await writeTree({});
+
+  const planned = await ingestScreenshots(config, { source, baseDir, dryRun: true });
+  assert.deepEqual(planned.matched.map(({ target }) => target), [join('raw', 'en', 'detail.png'), join('raw', 'en', 'home.png')]);
+  assert.equal(existsSync(join(baseDir, 'raw')), false);
+  assert.ok(!planned.missing.some(raw => raw.path === join('raw', 'en', 'home.png')));
+
+  await ingestScreenshots(config, { source, baseDir });
+  assert.deepEqual(await readPngSize(join(baseDir, 'raw/en/detail.png')), { width: 33, height: 72 });
+});
+
+test('an {index} pattern maps numbers to ids through ingest.ids', async () => {
+  const source = await writeTree({
+    'en-1.png': png(33, 72),
+    'en-2.png': png(33, 72),
+    'en-3.png': png(33, 72),
+    'ja-1.png': png(33, 72)
+  });
+  const { matched, unmatched } = await ingestScreenshots(config, {
+    source,
+    baseDir: await writeTree({}),
+    dryRun: true,
+    patterns: ['{locale}-{index}'],
+    ids: { 1: 'detail', 2: 'home' }
+  });
+  assert.deepEqual(matched.map(({ source, id, locale }) => [source, id, locale]), [
+    ['en-1.png', 'detail', 'en'],
+    ['en-2.png', 'home', 'en']
+  ]);
+  assert.deepEqual(unmatched, [
+    { source: 'en-3.png', reason: '"{locale}-{index}" matched, but "3" is no screenshot id or raw name' },
+    { source: 'ja-1.png', reason: '"{locale}-{index}" matched, but "ja" is no configured locale' }
+  ]);
+});
+
+test('the raw folder is picked by exact dimensions in either orientation, then by aspect ratio', async () => {
+  const source = await writeTree({
+    'en/home.png': png(72, 33),
+    'en/detail.png': png(66, 144),
+    'de/home.png': png(120, 160),
+    'de/detail.png': png(40, 40)
+  });
+  const baseDir = await writeTree({});
+  const { matched, unmatched } = await ingestScreenshots(config, { source, baseDir, dryRun: true });
+  assert.deepEqual(matched.map(({ source, target }) => [source, target]), [
+    ['de/home.png', join('raw-tablet', 'de', 'home.png')],
+    ['en/detail.png', join('raw', 'en', 'detail.png')],
+    ['en/home.png', join('raw', 'en', 'home.png')]
+  ]);
+  assert.deepEqual(unmatched, [{ source: 'de/detail.png', reason: 'no size matches 40×40' }]);
+
+  // ingest.rawDirs adds dimensions; two folders taking the same image is ambiguous
+  const extra = await ingestScreenshots(config, {
+    source, baseDir, dryRun: true, rawDirs: { 'raw-tablet': ['33x72'], 'raw-square': ['40x40'] }
+  });
+  assert.deepEqual(extra.unmatched.map(({ source, reason }) => `${source}: ${reason}`), [
+    'en/detail.png: 66×144 fits several raw folders (raw, raw-tablet)',
+    'en/home.png: 72×33 fits several raw folders (raw, raw-tablet)'
+  ]);
+  assert.deepEqual(extra.matched.map(({ source, target }) => [source, target]), [
+    ['de/detail.png', join('raw-square', 'de', 'detail.png')],
+    ['de/home.png', join('raw-tablet', 'de', 'home.png')]
+  ]);
+});
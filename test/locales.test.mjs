@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { outputLocaleDirs } from '../lib/locales.mjs';
+import { loadConfig, outputImages } from '../lib/engine.mjs';
+
+const appStoreSize = { device: 'iPhone 6.9"', width: 1320, height: 2868, store: 'appStore' };
+const playStoreSize = { device: 'Pixel', width: 1080, height: 1920, store: 'playStore', supplyFolder: 'phoneScreenshots' };
+
+test('outputLocaleDirs names folders by the config locale by default', () => {
+  const config = { output: {}, locales: { en: { asc: ['en-US', 'en-GB'] } } };
+  assert.deepEqual(outputLocaleDirs(config, 'en', appStoreSize), ['en']);
+  assert.deepEqual(outputLocaleDirs(config, 'en', playStoreSize), ['en']);
+});
+
+test('outputLocaleDirs "asc" uses the codes of each size\'s store', () => {
+  const config = { output: { localeDirs: 'asc' }, locales: { en: { asc: ['en-US', 'en-GB'], play: 'en-US' } } };
+  assert.deepEqual(outputLocaleDirs(config, 'en', appStoreSize), ['en-US', 'en-GB']);
+  assert.deepEqual(outputLocaleDirs(config, 'en', playStoreSize), ['en-US']);
+  assert.deepEqual(outputLocaleDirs(config, 'ja', appStoreSize), ['ja']);
+  assert.deepEqual(outputLocaleDirs(config, 'ja', playStoreSize), ['ja-JP']);
+  // Sizes without a store are App Store sizes
+  assert.deepEqual(outputLocaleDirs(config, 'zh', { device: 'Custom' }), ['zh-Hans']);
+});
+
+test('Play Store images land in Google Play folders with output.localeDirs "asc"', () => {
+  const { config, problems } = loadConfig({
+    screenshots: [{ id: 'home', titles: { ja: '記録', zh: '记录' } }],
+    design: { background: { type: 'solid', color: '#FFFFFF' }, device: {}, text: { headlineColor: '#000000' } },
+    output: { path: 'output', localeDirs: 'asc', sizes: [appStoreSize, playStoreSize] }
+  }, { baseDir: '/app' });
+  assert.deepEqual(problems, []);
+  const paths = outputImages(config, { baseDir: '/app' }).map(image => image.outputPath);
+  assert.deepEqual(paths, [
+    '/app/output/ja/iPhone_6.9_/home.png',
+    '/app/output/zh-Hans/iPhone_6.9_/home.png',
+    '/app/output/ja-JP/images/phoneScreenshots/home.png',
+    '/app/output/zh-CN/images/phoneScreenshots/home.png'
+  ]);
+});
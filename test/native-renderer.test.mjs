@@ -0,0 +1,24 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderFixture, compareWithReference, MAX_DIFF_RATIO } from './reference.mjs';
+
+const rendered = await renderFixture('basic');
+
+describe('native renderer: basic fixture', () => {
+  after(rendered.cleanup);
+
+  test('renders every image', () => {
+    const { summary, entries } = rendered.result;
+    assert.equal(summary.failed, 0, entries.filter(entry => entry.status === 'failed').map(entry => entry.error).join('\n'));
+    assert.equal(summary.generated, rendered.images.length);
+  });
+
+  for (const image of rendered.images) {
+    test(`${image.locale}/${image.id} matches its reference render`, async () => {
+      const match = await compareWithReference(image);
+      if (!match) return;
+      assert.ok(match.ratio <= MAX_DIFF_RATIO,
+        `${match.diffPixels} pixels (${(match.ratio * 100).toFixed(2)}%) differ, at most ${MAX_DIFF_RATIO * 100}% allowed`);
+    });
+  }
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, stat, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolvePreprocess, preprocessRaw } from '../lib/preprocess.mjs';
+import { decodePng, encodeRgbPng, readPngSize } from '../lib/png.mjs';
+
+const size = { device: 'Test Phone', width: 60, height: 120 };
+const BLUE = [20, 40, 200];
+
+let dir;
+let rawPath;
+// Cache files this test created; the rest of .preprocess-cache/ is left alone
+const created = new Set();
+
+async function preprocess(path, options) {
+  const cachedPath = await preprocessRaw(path, options);
+  created.add(cachedPath);
+  return cachedPath;
+}
+
+async function pixel(path, x, y) {
+  const { width, data } = await decodePng(await readFile(path));
+  return [...data.subarray((y * width + x) * 4, (y * width + x) * 4 + 3)];
+}
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'appshot-preprocess-'));
+  // A 100×200 "simulator screenshot": a red status bar over blue app content
+  const width = 100;
+  const height = 200;
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) rgba.set([...(y < 12 ? [255, 0, 0] : BLUE), 255], (y * width + x) * 4);
+  }
+  rawPath = join(dir, 'home.png');
+  await writeFile(rawPath, encodeRgbPng(width, height, rgba));
+});
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+  await Promise.all([...created].map(path => rm(path, { force: true })));
+});
+
+test('resolvePreprocess fills in shorthands and merges the screenshot over the size', () => {
+  assert.equal(resolvePreprocess(size, {}), null);
+  assert.deepEqual(resolvePreprocess({ ...size, preprocess: { statusBar: true, crop: 4, scale: true } }, {}), {
+    statusBar: {},
+    crop: { top: 4, right: 4, bottom: 4, left: 4 },
+    scale: { width: 60, height: 120 }
+  });
+  assert.deepEqual(resolvePreprocess({ ...size, preprocess: { crop: { top: 10 } } }, { preprocess: { statusBar: { time: '10:09' } } }), {
+    statusBar: { time: '10:09' },
+    crop: { top: 10, right: 0, bottom: 0, left: 0 },
+    scale: null
+  });
+  // A screenshot can switch off what its size enables
+  assert.equal(resolvePreprocess({ ...size, preprocess: { statusBar: true } }, { preprocess: { statusBar: false } }), null);
+});
+
+test('a status bar keeps the size and takes its color from the content below', async () => {
+  const path = await preprocess(rawPath, resolvePreprocess({ ...size, preprocess: { statusBar: true } }, {}));
+  assert.deepEqual(await readPngSize(path), { width: 100, height: 200 });
+  // The red bar is painted over with the blue app background
+  assert.deepEqual(await pixel(path, 1, 1), BLUE);
+  // 9:41 is drawn in white on the dark background
+  const { width, data } = await decodePng(await readFile(path));
+  const bar = Array.from({ length: width * 12 }, (_, i) => data[i * 4]);
+  assert.ok(bar.some(red => red > 200), 'no light status bar text');
+});
+
+test('crop and scale produce the requested output size', async () => {
+  const cropped = await preprocess(rawPath, { statusBar: null, crop: { top: 12, right: 5, bottom: 8, left: 5 }, scale: null });
+  assert.deepEqual(await readPngSize(cropped), { width: 90, height: 180 });
+  assert.deepEqual(await pixel(cropped, 0, 0), BLUE);
+
+  // Scaling covers the target, so a different aspect ratio is cropped, not stretched
+  const scaled = await preprocess(rawPath, resolvePreprocess({ ...size, preprocess: { scale: true } }, {}));
+  assert.deepEqual(await readPngSize(scaled), { width: 60, height: 120 });
+  const square = await preprocess(rawPath, { statusBar: null, crop: null, scale: { width: 50, height: 50 } });
+  assert.deepEqual(await readPngSize(square), { width: 50, height: 50 });
+  assert.deepEqual(await pixel(square, 0, 0), BLUE);
+
+  await assert.rejects(preprocess(rawPath, { statusBar: null, crop: { top: 100, right: 0, bottom: 100, left: 0 }, scale: null }),
+    /crop leaves nothing of a 100×200 image/);
+});
+
+test('the cache key covers the raw bytes and the settings', async () => {
+  const options = { statusBar: null, crop: { top: 2, right: 2, bottom: 2, left: 2 }, scale: null };
+  const first = await preprocess(rawPath, options);
+  const { mtimeMs } = await stat(first);
+  assert.equal(await preprocess(rawPath, options), first);
+  assert.equal((await stat(first)).mtimeMs, mtimeMs, 'a cached result is not written again');
+
+  assert.notEqual(await preprocess(rawPath, { ...options, crop: { ...options.crop, top: 3 } }), first);
+
+  const otherRaw = join(dir, 'other.png');
+  const { width, height, data } = await decodePng(await readFile(rawPath));
+  data[0] = 0;
+  await writeFile(otherRaw, encodeRgbPng(width, height, data));
+  assert.notEqual(await preprocess(otherRaw, options), first);
+});
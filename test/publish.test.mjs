@@ -0,0 +1,183 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, mkdir, copyFile, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname, relative } from 'path';
+import { loadConfig, outputImages } from '../lib/engine.mjs';
+import { publish } from '../lib/publish.mjs';
+import { FIXTURES_DIR } from './reference.mjs';
+
+const RAW = {
+  home: join(FIXTURES_DIR, 'raw/en/home.png'),
+  detail: join(FIXTURES_DIR, 'raw/en/detail.png')
+};
+
+const rawConfig = {
+  screenshots: [
+    { id: 'home', titles: { en: 'Track every habit', de: 'Alle Gewohnheiten' } },
+    { id: 'detail', titles: { en: 'Beautiful charts', de: 'Schöne Diagramme' } }
+  ],
+  locales: {
+    en: { asc: ['en-US', 'en-GB'], play: 'en-US' },
+    de: { fallback: 'en' }
+  },
+  design: { background: { type: 'solid', color: '#FFFFFF' }, device: {}, text: { headlineColor: '#000000' } },
+  output: {
+    path: 'output',
+    sizes: [
+      { device: 'Test Phone', width: 330, height: 717 },
+      { device: 'Play Phone', width: 330, height: 717, store: 'playStore', supplyFolder: 'phoneScreenshots' }
+    ]
+  },
+  publish: {
+    metadata: {
+      en: {
+        appStore: { name: 'Habits', subtitle: 'Every habit in one place' },
+        playStore: { title: 'Habits' }
+      },
+      de: { appStore: { name: 'Gewohnheiten' } }
+    }
+  }
+};
+
+const credentials = { appStore: { appId: 'com.example.habits' }, playStore: { packageName: 'com.example.habits' } };
+
+let baseDir;
+let config;
+
+/**
+ * Upload function that records its calls instead of talking to a store
+ */
+function recordingUpload() {
+  const calls = [];
+  const upload = async call => { calls.push(call); };
+  return { calls, upload };
+}
+
+async function listFiles(dir) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile())
+    .map(entry => relative(dir, join(entry.parentPath ?? entry.path, entry.name)))
+    .sort();
+}
+
+const byChange = changes => Object.fromEntries(
+  ['added', 'replaced', 'unchanged', 'removed'].map(change => [change, changes.filter(entry => entry.change === change).map(entry => entry.target)])
+);
+
+before(async () => {
+  baseDir = await mkdtemp(join(tmpdir(), 'appshot-publish-'));
+  ({ config } = loadConfig(rawConfig, { baseDir }));
+  // Stand-ins for generated images: every image the config would produce
+  for (const { screenshot, outputPath } of outputImages(config, { baseDir })) {
+    await mkdir(dirname(outputPath), { recursive: true });
+    await copyFile(RAW[screenshot.id], outputPath);
+  }
+});
+after(() => rm(baseDir, { recursive: true, force: true }));
+
+test('a dry run lists every file as added and neither stages nor uploads', async () => {
+  const { calls, upload } = recordingUpload();
+  const result = await publish(config, { baseDir, dryRun: true, upload, credentials });
+
+  assert.deepEqual(result.stores, ['appStore', 'playStore']);
+  assert.deepEqual(result.uploaded, []);
+  assert.equal(calls.length, 0);
+  assert.equal(existsSync(result.stagingDir), false);
+  assert.equal(result.changes.length, 18);
+  assert.ok(result.changes.every(change => change.change === 'added'));
+});
+
+test('publishing stages the deliver and supply layout and uploads each store', async () => {
+  const { calls, upload } = recordingUpload();
+  const result = await publish(config, { baseDir, upload, credentials });
+
+  assert.equal(result.stagingDir, join(baseDir, '.publish-staging'));
+  assert.deepEqual(await listFiles(result.stagingDir), [
+    '.published.json',
+    'deliver/metadata/de-DE/name.txt',
+    'deliver/metadata/de-DE/subtitle.txt',
+    'deliver/metadata/en-GB/name.txt',
+    'deliver/metadata/en-GB/subtitle.txt',
+    'deliver/metadata/en-US/name.txt',
+    'deliver/metadata/en-US/subtitle.txt',
+    'deliver/screenshots/de-DE/Test_Phone-01-home.png',
+    'deliver/screenshots/de-DE/Test_Phone-02-detail.png',
+    'deliver/screenshots/en-GB/Test_Phone-01-home.png',
+    'deliver/screenshots/en-GB/Test_Phone-02-detail.png',
+    'deliver/screenshots/en-US/Test_Phone-01-home.png',
+    'deliver/screenshots/en-US/Test_Phone-02-detail.png',
+    'supply/de-DE/images/phoneScreenshots/01_home.png',
+    'supply/de-DE/images/phoneScreenshots/02_detail.png',
+    'supply/de-DE/title.txt',
+    'supply/en-US/images/phoneScreenshots/01_home.png',
+    'supply/en-US/images/phoneScreenshots/02_detail.png',
+    'supply/en-US/title.txt'
+  ]);
+
+  // Staged images are the generated files; each locale's own text wins over its fallback's
+  const staged = path => readFile(join(result.stagingDir, path));
+  assert.deepEqual(await staged('deliver/screenshots/de-DE/Test_Phone-02-detail.png'), await readFile(RAW.detail));
+  assert.equal(String(await staged('deliver/metadata/de-DE/name.txt')), 'Gewohnheiten');
+  assert.equal(String(await staged('deliver/metadata/de-DE/subtitle.txt')), 'Every habit in one place');
+  assert.equal(String(await staged('deliver/metadata/en-GB/name.txt')), 'Habits');
+  assert.equal(String(await staged('supply/de-DE/title.txt')), 'Habits');
+
+  assert.deepEqual(result.uploaded, ['appStore', 'playStore']);
+  assert.deepEqual(calls.map(call => [call.store, call.dir]), [
+    ['appStore', join(result.stagingDir, 'deliver')],
+    ['playStore', join(result.stagingDir, 'supply')]
+  ]);
+  assert.deepEqual(calls.map(call => call.credentials), [credentials.appStore, credentials.playStore]);
+  // Targets handed to the uploader are relative to its store folder
+  assert.ok(calls[0].files.some(file => file.target === join('screenshots', 'en-US', 'Test_Phone-01-home.png')));
+  assert.ok(calls[1].files.some(file => file.target === join('de-DE', 'title.txt')));
+  assert.equal(calls[0].changes.length + calls[1].changes.length, 18);
+});
+
+test('a dry run after publishing lists replaced, unchanged and removed files', async () => {
+  // A new home image for English and no more detail screenshot
+  for (const { screenshot, locale, outputPath } of outputImages(config, { baseDir })) {
+    if (screenshot.id === 'home' && locale === 'en') await copyFile(RAW.detail, outputPath);
+  }
+  const changed = {
+    ...config,
+    screenshots: config.screenshots.filter(screenshot => screenshot.id !== 'detail'),
+    publish: { metadata: { ...config.publish.metadata, de: { appStore: { name: 'Meine Gewohnheiten' } } } }
+  };
+  const { calls, upload } = recordingUpload();
+  const stagedBefore = await listFiles(join(baseDir, '.publish-staging'));
+  const { changes } = await publish(changed, { baseDir, dryRun: true, upload, credentials });
+
+  assert.equal(calls.length, 0);
+  assert.deepEqual(await listFiles(join(baseDir, '.publish-staging')), stagedBefore);
+  assert.deepEqual(byChange(changes), {
+    added: [],
+    replaced: [
+      'deliver/metadata/de-DE/name.txt',
+      'deliver/screenshots/en-GB/Test_Phone-01-home.png',
+      'deliver/screenshots/en-US/Test_Phone-01-home.png',
+      'supply/en-US/images/phoneScreenshots/01_home.png'
+    ],
+    unchanged: [
+      'deliver/metadata/de-DE/subtitle.txt',
+      'deliver/metadata/en-GB/name.txt',
+      'deliver/metadata/en-GB/subtitle.txt',
+      'deliver/metadata/en-US/name.txt',
+      'deliver/metadata/en-US/subtitle.txt',
+      'deliver/screenshots/de-DE/Test_Phone-01-home.png',
+      'supply/de-DE/images/phoneScreenshots/01_home.png',
+      'supply/de-DE/title.txt',
+      'supply/en-US/title.txt'
+    ],
+    removed: [
+      'deliver/screenshots/de-DE/Test_Phone-02-detail.png',
+      'deliver/screenshots/en-GB/Test_Phone-02-detail.png',
+      'deliver/screenshots/en-US/Test_Phone-02-detail.png',
+      'supply/de-DE/images/phoneScreenshots/02_detail.png',
+      'supply/en-US/images/phoneScreenshots/02_detail.png'
+    ]
+  });
+});
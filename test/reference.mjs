@@ -0,0 +1,87 @@
+/**
+ * Reference Renders
+ *
+ * Shared by the rendering tests: generates a fixture config (test/fixtures/
+ * <name>.json) into a temporary directory and compares every image with the
+ * committed reference in test/fixtures/references/<name>/, at the same path
+ * relative to the output directory. The references are native renders, so
+ * this catches native renderer regressions, not differences from YUZU.
+ *
+ * Two images match when pixelmatch (threshold 0.1, anti-aliasing ignored)
+ * finds at most 0.5% of their pixels differing, which absorbs font
+ * rasterisation differences between platforms but not a moved or recoloured
+ * element. With UPDATE_REFERENCES=1 the rendered images replace the
+ * references instead.
+ */
+
+import { mkdtemp, mkdir, copyFile, readFile, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import pixelmatch from 'pixelmatch';
+import { generate, loadConfig, outputImages } from '../lib/engine.mjs';
+import { decodePng } from '../lib/png.mjs';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+export const REFERENCES_DIR = join(FIXTURES_DIR, 'references');
+
+/** pixelmatch's per-pixel colour threshold (0–1) */
+export const PIXEL_THRESHOLD = 0.1;
+/** Share of an image's pixels allowed to differ from its reference */
+export const MAX_DIFF_RATIO = 0.005;
+
+const updating = process.env.UPDATE_REFERENCES === '1';
+
+/**
+ * Read a fixture config
+ */
+export async function readFixture(name) {
+  return JSON.parse(await readFile(join(FIXTURES_DIR, `${name}.json`), 'utf-8'));
+}
+
+/**
+ * Generate a fixture config with `options` (see createGenerator) into a fresh
+ * temporary directory. Returns { result, images, outputDir, cleanup }, with
+ * images as [{ id, locale, size, path, reference }] (absolute paths).
+ */
+export async function renderFixture(name, options = {}) {
+  const outputDir = await mkdtemp(join(tmpdir(), `appshot-${name}-`));
+  const fixture = await readFixture(name);
+  // output.path is joined to baseDir, so it has to be relative to the fixtures
+  fixture.output.path = relative(FIXTURES_DIR, outputDir);
+
+  const result = await generate(fixture, { renderer: 'native', ...options, baseDir: FIXTURES_DIR });
+  const { config } = loadConfig(fixture, { baseDir: FIXTURES_DIR, renderer: 'native' });
+  const images = outputImages(config, { baseDir: FIXTURES_DIR }).map(({ screenshot, locale, size, outputPath }) => ({
+    id: screenshot.id,
+    locale,
+    size: size.device,
+    path: outputPath,
+    reference: join(REFERENCES_DIR, name, relative(outputDir, outputPath))
+  }));
+  return { result, images, outputDir, cleanup: () => rm(outputDir, { recursive: true, force: true }) };
+}
+
+/**
+ * Compare a rendered image with its reference. Returns { diffPixels, ratio },
+ * or null after replacing the reference (UPDATE_REFERENCES=1). Throws when
+ * the reference is missing or the sizes differ.
+ */
+export async function compareWithReference({ path, reference }) {
+  if (updating) {
+    await mkdir(dirname(reference), { recursive: true });
+    await copyFile(path, reference);
+    return null;
+  }
+  if (!existsSync(reference)) {
+    throw new Error(`No reference render at ${reference} (run UPDATE_REFERENCES=1 npm test)`);
+  }
+  const actual = await decodePng(await readFile(path));
+  const expected = await decodePng(await readFile(reference));
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    throw new Error(`Rendered ${actual.width}x${actual.height}, reference is ${expected.width}x${expected.height}`);
+  }
+  const diffPixels = pixelmatch(actual.data, expected.data, null, actual.width, actual.height, { threshold: PIXEL_THRESHOLD });
+  return { diffPixels, ratio: diffPixels / (actual.width * actual.height) };
+}
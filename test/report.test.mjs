@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeJsonReport, writeJUnitReport } from '../lib/report.mjs';
+
+const entries = [
+  {
+    id: 'home', locale: 'en', size: 'iPhone 6.9"', status: 'generated', renderer: 'yuzu', attempts: 1, durationMs: 1500,
+    outputPath: 'output/en/iPhone_6.9_/home.png', dimensions: { width: 1320, height: 2868 }, error: null, artifacts: []
+  },
+  {
+    id: 'home', locale: 'de', size: 'iPhone 6.9"', status: 'cached', renderer: 'yuzu', attempts: 0, durationMs: 2,
+    outputPath: 'output/de/iPhone_6.9_/home.png', dimensions: { width: 1320, height: 2868 }, error: null, artifacts: []
+  },
+  {
+    id: 'charts&stats', locale: 'de', size: 'iPhone 6.9"', status: 'failed', renderer: 'yuzu', attempts: 3, durationMs: 95120,
+    outputPath: 'output/de/iPhone_6.9_/charts&stats.png', dimensions: null,
+    error: 'Output verification failed: is 1320×2867, expected <1320×2868>\nat "export"',
+    artifacts: [
+      { attempt: 1, screenshot: 'artifacts/de/charts&stats/attempt-1.png', html: 'artifacts/de/charts&stats/attempt-1.html' },
+      { attempt: 3, screenshot: 'artifacts/de/charts&stats/attempt-3.png' }
+    ]
+  },
+  {
+    id: 'home', locale: 'en', size: 'iPad 13"', status: 'failed', renderer: 'native', attempts: 1, durationMs: 400,
+    outputPath: 'output/en/iPad_13_/home.png', dimensions: null, error: '', artifacts: []
+  }
+];
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), 'appshot-report-')); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('the JSON report counts each status and lists every entry', async () => {
+  const path = join(dir, 'nested', 'report.json');
+  await writeJsonReport(path, { startedAt: '2026-03-02T09:14:03.512Z', durationMs: 97022, entries });
+  const report = JSON.parse(await readFile(path, 'utf-8'));
+  assert.deepEqual(report.summary, { total: 4, generated: 1, cached: 1, failed: 2 });
+  assert.equal(report.startedAt, '2026-03-02T09:14:03.512Z');
+  assert.deepEqual(report.jobs, entries);
+});
+
+test('the JUnit report has a suite per size, escapes names and details failures', async () => {
+  const path = join(dir, 'junit.xml');
+  await writeJUnitReport(path, { durationMs: 97022, entries });
+  const xml = await readFile(path, 'utf-8');
+
+  assert.equal(xml, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites name="appshot" tests="4" failures="2" time="97.022">',
+    '  <testsuite name="iPhone 6.9&quot;" tests="3" failures="1" time="96.622">',
+    '    <testcase name="en/home" classname="iPhone 6.9&quot;" time="1.500"/>',
+    '    <testcase name="de/home" classname="iPhone 6.9&quot;" time="0.002"/>',
+    '    <testcase name="de/charts&amp;stats" classname="iPhone 6.9&quot;" time="95.120">',
+    '      <failure message="Output verification failed: is 1320×2867, expected &lt;1320×2868&gt;">' +
+      'Output verification failed: is 1320×2867, expected &lt;1320×2868&gt;\nat &quot;export&quot;\n(after 3 attempt(s))</failure>',
+    '      <system-out>[[ATTACHMENT|artifacts/de/charts&amp;stats/attempt-1.png]]\n' +
+      '[[ATTACHMENT|artifacts/de/charts&amp;stats/attempt-1.html]]\n' +
+      '[[ATTACHMENT|artifacts/de/charts&amp;stats/attempt-3.png]]</system-out>',
+    '    </testcase>',
+    '  </testsuite>',
+    '  <testsuite name="iPad 13&quot;" tests="1" failures="1" time="0.400">',
+    '    <testcase name="en/home" classname="iPad 13&quot;" time="0.400">',
+    '      <failure message="Failed">Failed\n(after 1 attempt(s))</failure>',
+    '    </testcase>',
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n'));
+});
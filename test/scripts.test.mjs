@@ -0,0 +1,62 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mirrorDesign, mirrorPlacement } from '../lib/scripts.mjs';
+import { renderFixture, compareWithReference, MAX_DIFF_RATIO } from './reference.mjs';
+
+describe('mirrorDesign', () => {
+  test('mirrors the gradient angle and swaps tilt presets', () => {
+    const design = {
+      background: { type: 'gradient', color1: '#000000', color2: '#FFFFFF', angle: 60 },
+      device: { preset: 'Tilt Right', cornerRadius: 24 },
+      text: {}
+    };
+    const mirrored = mirrorDesign(design);
+    assert.equal(mirrored.mirrored, true);
+    assert.equal(mirrored.background.angle, 300);
+    assert.equal(mirrored.device.preset, 'tilt-left');
+    assert.equal(mirrored.device.cornerRadius, 24);
+    assert.equal(design.background.angle, 60, 'the input design is left alone');
+  });
+
+  test('uses the default angle and keeps presets without a direction', () => {
+    const mirrored = mirrorDesign({ background: { type: 'gradient' }, device: { preset: 'Bleed Bottom' } });
+    assert.equal(mirrored.background.angle, 225);
+    assert.equal(mirrored.device.preset, 'Bleed Bottom');
+    assert.equal(mirrorDesign({ background: { angle: 0 }, device: {} }).background.angle, 0);
+  });
+
+  test('leaves solid and image backgrounds alone', () => {
+    const background = { type: 'solid', color: '#123456' };
+    assert.equal(mirrorDesign({ background, device: {} }).background, background);
+  });
+
+  test('negates the 3D rotation around the y and z axes', () => {
+    const mirrored = mirrorDesign({ background: { type: 'solid' }, device: { type: '3D', rotation: { x: 10, y: -20 } } });
+    assert.deepEqual(mirrored.device.rotation, { x: 10, y: 20 });
+  });
+
+  test('mirrorPlacement flips x and rotation', () => {
+    assert.deepEqual(mirrorPlacement({ x: 0.3, y: 0.6, scale: 0.45, rotation: -6 }), { x: 0.7, y: 0.6, scale: 0.45, rotation: 6 });
+  });
+});
+
+const rendered = await renderFixture('scripts');
+
+describe('native renderer: Arabic, Hebrew and Japanese fixture', () => {
+  after(rendered.cleanup);
+
+  test('renders every image', () => {
+    const { summary, entries } = rendered.result;
+    assert.equal(summary.failed, 0, entries.filter(entry => entry.status === 'failed').map(entry => entry.error).join('\n'));
+    assert.deepEqual([...new Set(rendered.images.map(image => image.locale))].sort(), ['ar', 'he', 'ja']);
+  });
+
+  for (const image of rendered.images) {
+    test(`${image.locale}/${image.id} matches its reference render`, async () => {
+      const match = await compareWithReference(image);
+      if (!match) return;
+      assert.ok(match.ratio <= MAX_DIFF_RATIO,
+        `${match.diffPixels} pixels (${(match.ratio * 100).toFixed(2)}%) differ, at most ${MAX_DIFF_RATIO * 100}% allowed`);
+    });
+  }
+});
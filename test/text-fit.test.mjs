@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { breakUnits } from '../lib/text-fit.mjs';
+
+const texts = units => units.map(unit => unit.text);
+
+test('breakUnits splits Latin, Arabic and Hebrew text at spaces', () => {
+  assert.deepEqual(breakUnits('Track every  habit'), [
+    { text: 'Track', space: false },
+    { text: 'every', space: true },
+    { text: 'habit', space: true }
+  ]);
+  assert.deepEqual(texts(breakUnits('تابع عاداتك اليومية')), ['تابع', 'عاداتك', 'اليومية']);
+  assert.deepEqual(texts(breakUnits('עקבו אחרי ההרגלים')), ['עקבו', 'אחרי', 'ההרגלים']);
+  assert.deepEqual(breakUnits('  '), []);
+});
+
+test('breakUnits breaks CJK text between characters', () => {
+  assert.deepEqual(texts(breakUnits('毎日記録')), ['毎', '日', '記', '録']);
+  // Latin runs inside CJK text stay whole
+  assert.deepEqual(texts(breakUnits('iPhoneで記録')), ['iPhone', 'で', '記', '録']);
+});
+
+test('breakUnits keeps kinsoku punctuation off the wrong side of a break', () => {
+  // Closing punctuation and small kana never start a line, opening brackets never end one
+  assert.deepEqual(texts(breakUnits('記録。「今日」から')), ['記', '録。', '「今', '日」', 'か', 'ら']);
+  assert.deepEqual(texts(breakUnits('ちょっと')), ['ちょっ', 'と']);
+});
+
+test('breakUnits marks units after a space in mixed text', () => {
+  assert.deepEqual(breakUnits('今日 から'), [
+    { text: '今', space: false },
+    { text: '日', space: false },
+    { text: 'か', space: true },
+    { text: 'ら', space: false }
+  ]);
+});
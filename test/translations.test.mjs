@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig, buildJobs } from '../lib/engine.mjs';
+
+const design = { background: { type: 'solid', color: '#FFFFFF' }, device: {}, text: { headlineColor: '#000000' } };
+const output = { path: 'output', sizes: [{ device: 'Test Phone', width: 330, height: 717 }] };
+
+let baseDir;
+
+before(async () => {
+  baseDir = await mkdtemp(join(tmpdir(), 'appshot-translations-'));
+  // The German translator hasn't done "detail" yet
+  await writeFile(join(baseDir, 'titles.csv'), 'key,en,de\nhome,Track every habit,Alle Gewohnheiten\ndetail,Beautiful charts,\n');
+});
+after(() => rm(baseDir, { recursive: true, force: true }));
+
+const jobKeys = config => buildJobs(config).map(job => `${job.locale}/${job.screenshot.id}`).sort();
+
+test('a translation missing from a titlesSource file skips that image instead of failing validation', () => {
+  const loaded = loadConfig({
+    titlesSource: 'titles.csv',
+    screenshots: [{ id: 'home' }, { id: 'detail' }],
+    design,
+    output
+  }, { baseDir });
+
+  assert.deepEqual(loaded.problems, []);
+  assert.equal(loaded.importedTitles, 3);
+  assert.deepEqual(loaded.missingTranslations, [{ locale: 'de', ids: ['detail'] }]);
+  assert.deepEqual(jobKeys(loaded.config), ['de/home', 'en/detail', 'en/home']);
+});
+
+test('a locale fallback fills a translation missing from a titlesSource file', () => {
+  const loaded = loadConfig({
+    titlesSource: 'titles.csv',
+    screenshots: [{ id: 'home' }, { id: 'detail' }],
+    locales: { de: { fallback: 'en' } },
+    design,
+    output
+  }, { baseDir });
+
+  assert.deepEqual(loaded.problems, []);
+  assert.deepEqual(loaded.missingTranslations, []);
+  assert.equal(loaded.config.screenshots[1].titles.de, 'Beautiful charts');
+  assert.deepEqual(jobKeys(loaded.config), ['de/detail', 'de/home', 'en/detail', 'en/home']);
+});
+
+test('a locale missing from inline titles is still a config problem', () => {
+  const { problems } = loadConfig({
+    titlesSource: 'titles.csv',
+    screenshots: [
+      { id: 'home', titles: { fr: 'Toutes vos habitudes' } },
+      { id: 'detail' }
+    ],
+    design,
+    output
+  }, { baseDir });
+
+  assert.deepEqual(problems, [{ path: 'screenshots[1].titles', message: 'missing locale(s): fr' }]);
+});
+
+test('a titlesSource that matches no file is a problem naming the path and the expected format', () => {
+  const problems = titlesSource => loadConfig({ titlesSource, screenshots: [{ id: 'home' }], design, output }, { baseDir })
+    .problems.filter(problem => problem.path.startsWith('titlesSource'));
+
+  assert.deepEqual(problems('ios/{locale}.lproj/Screenshots.strings'), [{
+    path: 'titlesSource.path',
+    message: `no file matches "${join(baseDir, 'ios/{locale}.lproj/Screenshots.strings')}" (expected one Apple .strings file per locale, with {locale} standing for the locale code)`
+  }]);
+  assert.deepEqual(problems([{ path: 'titles.xcstrings' }]), [{
+    path: 'titlesSource[0].path',
+    message: `no file found at "${join(baseDir, 'titles.xcstrings')}" (expected a String Catalog (.xcstrings))`
+  }]);
+  assert.deepEqual(problems([]), [{ path: 'titlesSource', message: 'must have at least 1 item(s)' }]);
+  assert.deepEqual(problems(''), [{ path: 'titlesSource', message: 'must not be empty' }]);
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { deflateSync } from 'zlib';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { verifyImage } from '../lib/verify.mjs';
+import { flattenAlpha, decodePng, encodeRgbPng } from '../lib/png.mjs';
+import { FIXTURES_DIR } from './reference.mjs';
+
+const size = { device: 'Test Phone', width: 330, height: 717 };
+
+/**
+ * The fixture raw screenshot re-encoded by canvas, which writes RGBA PNGs
+ * like YUZU's export
+ */
+async function writeRgbaPng(path) {
+  const image = await loadImage(await readFile(join(FIXTURES_DIR, 'raw/en/home.png')));
+  const canvas = createCanvas(image.width, image.height);
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  await writeFile(path, await canvas.encode('png'));
+}
+
+test('an image with an alpha channel fails verification until it is flattened', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'appshot-verify-'));
+  try {
+    const path = join(dir, 'home.png');
+    await writeRgbaPng(path);
+    assert.deepEqual(await verifyImage(path, size), ['has an alpha channel']);
+
+    assert.equal(await flattenAlpha(path), true);
+    assert.deepEqual(await verifyImage(path, size), []);
+    assert.equal(await flattenAlpha(path), false);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('wrong dimensions and blank images fail verification', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'appshot-verify-'));
+  try {
+    const path = join(dir, 'blank.png');
+    const canvas = createCanvas(size.width, size.height + 1);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    await writeFile(path, await canvas.encode('png'));
+    await flattenAlpha(path);
+    assert.deepEqual(await verifyImage(path, size), [
+      'is 330×718, expected 330×717',
+      'looks blank (near-uniform color)'
+    ]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function pngChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  let crc = 0xffffffff;
+  for (const byte of typeAndData) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+  return Buffer.concat([length, typeAndData, checksum]);
+}
+
+/**
+ * An ICC profile with nothing but a description tag, as ICC v2 'desc' or
+ * v4 'mluc' (UTF-16BE)
+ */
+function iccProfile(description, { v4 = false } = {}) {
+  let tag;
+  if (v4) {
+    const text = Buffer.from(description, 'utf16le').swap16();
+    tag = Buffer.alloc(28 + text.length);
+    tag.write('mluc', 0, 'latin1');
+    tag.writeUInt32BE(1, 8); // records
+    tag.writeUInt32BE(12, 12); // record size
+    tag.write('enUS', 16, 'latin1');
+    tag.writeUInt32BE(text.length, 20);
+    tag.writeUInt32BE(28, 24);
+    text.copy(tag, 28);
+  } else {
+    tag = Buffer.alloc(12 + description.length + 1);
+    tag.write('desc', 0, 'latin1');
+    tag.writeUInt32BE(description.length + 1, 8);
+    tag.write(description, 12, 'latin1');
+  }
+  const table = Buffer.alloc(16);
+  table.writeUInt32BE(1, 0);
+  table.write('desc', 4, 'latin1');
+  table.writeUInt32BE(144, 8);
+  table.writeUInt32BE(tag.length, 12);
+  return Buffer.concat([Buffer.alloc(128), table, tag]);
+}
+
+/**
+ * The fixture raw screenshot as an opaque PNG with `chunks` ([type, data])
+ * inserted after its header
+ */
+async function writePngWithChunks(path, chunks) {
+  const { width, height, data } = await decodePng(await readFile(join(FIXTURES_DIR, 'raw/en/home.png')));
+  const png = encodeRgbPng(width, height, data);
+  const headerEnd = 8 + 25; // signature + IHDR chunk
+  await writeFile(path, Buffer.concat([
+    png.subarray(0, headerEnd),
+    ...chunks.map(([type, chunkData]) => pngChunk(type, chunkData)),
+    png.subarray(headerEnd)
+  ]));
+}
+
+const iccp = (name, profile) => ['iCCP', Buffer.concat([Buffer.from(`${name}\0\0`, 'latin1'), deflateSync(profile)])];
+const gama = gamma => {
+  const data = Buffer.alloc(4);
+  data.writeUInt32BE(Math.round(gamma * 100000));
+  return ['gAMA', data];
+};
+
+test('only an sRGB color profile or none passes verification', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'appshot-verify-'));
+  try {
+    const path = join(dir, 'home.png');
+    const cases = [
+      [[], []],
+      [[['sRGB', Buffer.from([0])], gama(0.45455)], []],
+      [[iccp('ICC profile', iccProfile('sRGB IEC61966-2.1'))], []],
+      [[iccp('ICC profile', iccProfile('sRGB IEC61966-2.1', { v4: true }))], []],
+      [[gama(0.45455)], []],
+      [[iccp('ICC profile', iccProfile('Display P3'))], ['has a non-sRGB color profile ("Display P3")']],
+      [[iccp('ICC profile', iccProfile('Display P3', { v4: true }))], ['has a non-sRGB color profile ("Display P3")']],
+      // Without a readable description the profile name decides
+      [[iccp('Adobe RGB (1998)', Buffer.alloc(16))], ['has a non-sRGB color profile ("Adobe RGB (1998)")']],
+      [[gama(1)], ['has gamma 1 without an sRGB profile']]
+    ];
+    for (const [chunks, expected] of cases) {
+      await writePngWithChunks(path, chunks);
+      assert.deepEqual(await verifyImage(path, size), expected, chunks.map(([type]) => type).join(', ') || 'no color chunks');
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,177 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, relative } from 'path';
+import { chromium } from 'playwright';
+import { generate, createGenerator, loadConfig, buildJobs } from '../lib/engine.mjs';
+import { resolveDesign } from '../lib/design.mjs';
+import { yuzuSelectors } from '../lib/yuzu.mjs';
+import { verifyImage } from '../lib/verify.mjs';
+import { FIXTURES_DIR, readFixture, renderFixture } from './reference.mjs';
+
+/** Static page implementing the selectors lib/yuzu.mjs relies on */
+const STUB_DIR = join(FIXTURES_DIR, 'yuzu-stub');
+
+function chromiumMissing() {
+  try {
+    return existsSync(chromium.executablePath()) ? false : 'Chromium is not installed (npx playwright install chromium)';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Rename an element id in the stub page, serve the copy with `fixture` and
+ * return the generate() promise; the copy is removed once it settles
+ */
+async function generateWithRenamedId(fixture, id) {
+  const dir = await mkdtemp(join(tmpdir(), 'appshot-yuzu-stub-'));
+  try {
+    const html = await readFile(join(STUB_DIR, 'index.html'), 'utf-8');
+    await writeFile(join(dir, 'index.html'), html.replace(`id="${id}"`, `id="renamed-${id}"`));
+    fixture.output.path = relative(FIXTURES_DIR, dir);
+    return await generate(fixture, { baseDir: FIXTURES_DIR, renderer: 'yuzu', yuzuDir: dir, force: true });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('a run only relies on the optional YUZU controls its designs use', async () => {
+  const fixture = await readFixture('basic');
+  const { config } = loadConfig(fixture, { baseDir: FIXTURES_DIR });
+  const jobs = buildJobs(config).map(({ screenshot, locale, size }) => {
+    const design = resolveDesign(config, screenshot, locale, size);
+    return { design, size, subtitle: locale === 'en' ? screenshot.subtitles?.en : null };
+  });
+  const selectors = yuzuSelectors(jobs).map(([selector]) => selector);
+
+  for (const used of [
+    '#export-current', '#headline-text', '.device-option[data-device="custom"]', '#gradient-angle', '#bg-solid-color',
+    'button.position-preset[data-preset="bleed-bottom"]', 'button.position-preset[data-preset="tilt-left"]',
+    '#frame-width', '#subheadline-text', '#text-spacing'
+  ]) {
+    assert.ok(selectors.includes(used), used);
+  }
+  for (const unused of [
+    '#device-3d-model', '#rotation-3d-x', '#bg-image-input', '#bg-overlay-opacity', '#bg-overlay-color',
+    '#add-gradient-stop', 'button.position-preset[data-preset="centered"]'
+  ]) {
+    assert.ok(!selectors.includes(unused), unused);
+  }
+  assert.equal(new Set(selectors).size, selectors.length);
+
+  // Without subtitles the subheadline controls aren't needed either
+  const untitled = yuzuSelectors(jobs.map(job => ({ ...job, subtitle: null }))).map(([selector]) => selector);
+  assert.ok(!untitled.includes('#subheadline-font-picker-trigger'));
+  assert.ok(!untitled.includes('#text-spacing'));
+});
+
+test('a YUZU run draws composites natively and says so', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'appshot-yuzu-composite-'));
+  try {
+    const fixture = await readFixture('basic');
+    fixture.screenshots[1].devices = [{ raw: 'home', x: 30 }, { raw: 'detail', x: 70 }];
+    fixture.output.path = relative(FIXTURES_DIR, dir);
+    const messages = [];
+    // Only the composite: no YUZU page is needed at all
+    const { summary, entries } = await generate(fixture, {
+      baseDir: FIXTURES_DIR,
+      renderer: 'yuzu',
+      filter: { screenshots: ['detail'] },
+      onMessage: message => messages.push(message)
+    });
+
+    assert.equal(summary.generated, 2, entries.map(entry => entry.error).join('\n'));
+    assert.deepEqual(entries.map(entry => entry.renderer), ['native', 'native']);
+    assert.deepEqual(
+      messages.map(({ message, id, locale }) => `${locale}/${id}: ${message}`).sort(),
+      ['de', 'en'].map(locale =>
+        `${locale}/detail: Composite screenshot "detail" is drawn by the native renderer (YUZU frames one screenshot per canvas)`)
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a YUZU that failed to start is started again by the next run', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'appshot-yuzu-retry-'));
+  const messages = [];
+  const generator = createGenerator({
+    baseDir: FIXTURES_DIR,
+    yuzuDir: dir,
+    force: true,
+    filter: { screenshots: ['home'], locales: ['en'] },
+    onMessage: ({ message }) => messages.push(message)
+  });
+  try {
+    const fixture = await readFixture('basic');
+    fixture.output.path = relative(FIXTURES_DIR, dir);
+    const { config } = loadConfig(fixture, { baseDir: FIXTURES_DIR });
+
+    await assert.rejects(generator.run(config), /has no index\.html/);
+    await writeFile(join(dir, 'index.html'), await readFile(join(STUB_DIR, 'index.html')));
+    // Without Chromium the second run fails later, once YUZU is served
+    await generator.run(config).catch(() => null);
+    assert.ok(messages.some(message => message.startsWith(`Serving YUZU from ${dir}`)), messages.join('\n'));
+  } finally {
+    await generator.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+describe('YUZU automation against the stub page', { skip: chromiumMissing() }, () => {
+  const messages = [];
+  let rendered;
+
+  before(async () => {
+    rendered = await renderFixture('basic', {
+      renderer: 'yuzu',
+      yuzuDir: STUB_DIR,
+      concurrency: 1,
+      contextJobs: 1,
+      onMessage: message => messages.push(message)
+    });
+  });
+  after(() => rendered?.cleanup());
+
+  test('generates every image at its exact size', async () => {
+    const { summary, entries } = rendered.result;
+    assert.equal(summary.failed, 0, entries.filter(entry => entry.status === 'failed').map(entry => entry.error).join('\n'));
+    assert.equal(summary.generated, rendered.images.length);
+    // The stub's canvas exports are RGBA, flattened after they pass verification
+    assert.ok(entries.every(entry => entry.alphaFlattened));
+    for (const image of rendered.images) {
+      assert.deepEqual(await verifyImage(image.path, { width: 330, height: 717 }), [], `${image.locale}/${image.id}`);
+    }
+  });
+
+  test('reports the server and browser pool notices through onMessage', () => {
+    const texts = messages.map(({ message }) => message);
+    assert.ok(texts.some(text => text.startsWith(`Serving YUZU from ${STUB_DIR}`)), texts.join('\n'));
+    // contextJobs 1 recycles the context after every job
+    assert.ok(texts.some(text => text.startsWith('Recycling browser context')), texts.join('\n'));
+  });
+
+  test('stops before the first job when YUZU lacks a selector', async () => {
+    await assert.rejects(
+      generateWithRenamedId(await readFixture('basic'), 'corner-radius'),
+      /missing 1 selector\(s\) appshot relies on: #corner-radius \(corner radius\)/
+    );
+  });
+
+  test('stops before the first job when YUZU lacks a 3D model', async () => {
+    const fixture = await readFixture('basic');
+    fixture.design.device = { ...fixture.design.device, type: '3D', model: 'pixel' };
+    await assert.rejects(
+      generateWithRenamedId(fixture, 'unused'),
+      /has no 3D device model "pixel" \(#device-3d-model offers: iphone, iPhone, samsung, Samsung Galaxy\)/
+    );
+  });
+
+  test('ignores a missing control no design uses', async () => {
+    const { summary } = await generateWithRenamedId(await readFixture('basic'), 'device-3d-model');
+    assert.equal(summary.failed, 0);
+  });
+});